@@ -2,9 +2,9 @@ import {
   CrosspostPluginClient, 
   type CreatePostRequest,
   type MediaNormalizationOptions,
-  type RequestOverride,
-  type CrosspostError
+  type RequestOverride
 } from '../src/client';
+import { CrosspostApiError, CrosspostAuthError } from '../src/errors';
 
 async function fullUsageExample() {
   console.log('🚀 Crosspost Plugin - Full Usage Example');
@@ -115,9 +115,12 @@ async function fullUsageExample() {
       timeout: 15000
     };
     
-    const healthWithOverride = await client.healthWithOverrides(override);
+    const healthWithOverride = await client.health(override);
     console.log('🔄 Health with override:', healthWithOverride.status);
     
+    // Any method takes the override as its last argument
+    await client.likePost({ postId: 'some-post-id', platforms: ['twitter'] }, override);
+    
     // ===== ERROR HANDLING =====
     console.log('\n⚠️ Error Handling');
     
@@ -127,8 +130,11 @@ async function fullUsageExample() {
         platforms: ['invalid-platform']
       });
     } catch (error) {
-      const crosspostError = error as CrosspostError;
-      console.log('❌ Error caught:', crosspostError.code, crosspostError.message);
+      if (error instanceof CrosspostAuthError) {
+        console.log('🔏 Signature rejected, re-sign with NEAR:', error.code);
+      } else if (error instanceof CrosspostApiError) {
+        console.log('❌ Error caught:', error.code, error.statusCode, error.message);
+      }
     }
     
     console.log('\n🎉 Full usage example completed!');
@@ -1,4 +1,5 @@
 import { CrosspostPluginClient } from '../src/client';
+import { KeyPairSigner } from '../src/near-signer';
 
 // Example usage with NEAR authentication
 async function exampleUsage() {
@@ -31,6 +32,23 @@ async function exampleUsage() {
   console.log('Account ID:', client.getAccountId());
 }
 
+// Example with built-in NEAR signing (no pre-generated signature needed)
+async function signerExample() {
+  const client = new CrosspostPluginClient({
+    baseUrl: 'https://api.opencrosspost.com/',
+    accountId: 'your.near'
+  });
+
+  // Full-access or function-call key of the account, e.g. from ~/.near-credentials
+  const signer = await KeyPairSigner.fromSecretKey('your.near', 'ed25519:YOUR_SECRET_KEY');
+
+  // Every POST/DELETE is signed on demand with a fresh NEP-413 nonce
+  client.setSigner(signer, { recipient: 'crosspost.near' });
+  await client.authorizeNearSigner();
+
+  await client.likePost({ postId: 'some-post-id', platforms: ['twitter'] });
+}
+
 // Example with different environments
 async function environmentExamples() {
   // Production
@@ -64,4 +82,4 @@ async function moduleFederationExample() {
   console.log('MF Health:', health);
 }
 
-export { exampleUsage, environmentExamples, moduleFederationExample };
+export { exampleUsage, signerExample, environmentExamples, moduleFederationExample };
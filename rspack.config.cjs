@@ -2,7 +2,11 @@ const { container } = require('@rspack/core');
 
 module.exports = {
   mode: 'development',
-  entry: './src/index.ts',
+  entry: {
+    main: './src/index.ts',
+    testing: './src/testing.ts', // FakeCrosspostServer, not exposed through federation
+    react: './src/react-entry.ts', // provider, hooks and components; the main entry works without React
+  },
   target: 'web',
   devtool: 'source-map',
   devServer: {
@@ -43,6 +47,9 @@ module.exports = {
       filename: 'remoteEntry.js',
       exposes: {
         './plugin': './src/index.ts',
+        './react': './src/react.tsx',
+        './composer': './src/composer.tsx',
+        './feeds': './src/feeds.tsx',
       },
       shared: {
         react: {
@@ -56,6 +63,13 @@ module.exports = {
       },
     }),
   ],
+  // Node.js-only code paths (e.g. normalizeMedia with file paths, FakeCrosspostServer.listen) load these lazily at runtime
+  externals: {
+    'node:fs/promises': 'import node:fs/promises',
+    'node:http': 'import node:http',
+    'node:path': 'import node:path',
+    'node:url': 'import node:url',
+  },
   resolve: {
     extensions: ['.ts', '.tsx', '.js', '.jsx'],
   },
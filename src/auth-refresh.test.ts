@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { AuthChangeEvent, ClientConfig, CrosspostPluginClient } from './client';
+import { CrosspostAuthError } from './errors';
+import { FakeCrosspostServer } from './testing';
+
+function setup(config: Partial<ClientConfig> = {}) {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter, retry: false, ...config });
+  const token = fake.issueToken('alice.near');
+  client.setAuth({ accountId: 'alice.near', nearSignature: token });
+  const events: AuthChangeEvent[] = [];
+  client.onAuthChange((event) => events.push(event));
+  const refreshes = () => fake.requests.filter((request) => request.path === '/api/auth/refresh').length;
+  return { fake, client, token, events, refreshes };
+}
+
+const post = (text: string) => ({ content: { text }, platforms: ['twitter'] });
+
+describe('token refresh', () => {
+  it('refreshes an expired token once for concurrent writes and replays them', async () => {
+    const { fake, client, token, events, refreshes } = setup();
+    fake.expireToken(token);
+
+    const results = await Promise.all([client.createPost(post('One')), client.createPost(post('Two')), client.createPost(post('Three'))]);
+
+    expect(results.every((result) => result.success)).toBe(true);
+    expect(refreshes()).toBe(1);
+    expect(events.map((event) => event.type)).toEqual(['refreshed']);
+    expect(fake.getPosts()).toHaveLength(3);
+  });
+
+  it('refreshes ahead of time when the token is about to expire', async () => {
+    const { fake, client, token, refreshes } = setup({ refreshThreshold: 60000 });
+    client.setAuth({ accountId: 'alice.near', nearSignature: token, expiresAt: new Date(Date.now() + 30000).toISOString() });
+
+    await client.createPost(post('Soon'));
+
+    expect(refreshes()).toBe(1);
+    const write = fake.requests.find((request) => request.path === '/api/posts')!;
+    expect(write.headers.authorization).not.toBe(`Bearer ${token}`);
+  });
+
+  it('asks for a new sign-in when the refresh is rejected', async () => {
+    const { fake, client, token, events } = setup();
+    fake.expireToken(token);
+    fake.inject({ path: '/api/auth/refresh', status: 401, code: 'INVALID_TOKEN' });
+
+    const error = await client.createPost(post('Nope')).catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(CrosspostAuthError);
+    expect(error.code).toBe('REAUTHENTICATE_REQUIRED');
+    expect(events).toEqual([expect.objectContaining({ type: 'expired', error })]);
+    expect(client.isAuthenticated()).toBe(false);
+  });
+
+  it('leaves the 401 to the caller when auto refresh is off', async () => {
+    const { fake, client, token, refreshes } = setup({ autoRefreshToken: false });
+    fake.expireToken(token);
+
+    await expect(client.createPost(post('Expired'))).rejects.toMatchObject({ code: 'INVALID_TOKEN', statusCode: 401 });
+    expect(refreshes()).toBe(0);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { CacheOptions } from './cache';
+import { CrosspostPluginClient } from './client';
+import { FakeCrosspostServer } from './testing';
+
+function setup(cache: CacheOptions = {}) {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter, cache });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  const count = (path: string) => fake.requests.filter((request) => request.method === 'get' && request.path === path).length;
+  return { fake, client, count };
+}
+
+describe('response cache', () => {
+  it('serves repeated GETs from the cache until the ttl expires', async () => {
+    const { client, count } = setup({ ttl: 60000 });
+
+    await client.getLeaderboard();
+    await client.getLeaderboard();
+    await client.getLeaderboard('weekly', 50, { cache: false });
+
+    expect(count('/api/activity/leaderboard')).toBe(2);
+  });
+
+  it('does not cache health, rate limits or auth status by default', async () => {
+    const { client, count } = setup();
+
+    for (let i = 0; i < 2; i++) {
+      await client.health();
+      await client.getRateLimits();
+      await client.getAuthStatus();
+    }
+
+    expect(count('/health')).toBe(2);
+    expect(count('/api/rate-limits')).toBe(2);
+    expect(count('/api/auth/status')).toBe(2);
+  });
+
+  it('invalidates the account posts when a post is created', async () => {
+    const { client, count } = setup();
+    await client.getAccountPosts('alice.near');
+
+    const { post } = await client.createPost({ content: { text: 'New' }, platforms: ['twitter'] });
+    const posts = await client.getAccountPosts('alice.near');
+
+    expect(count('/api/activity/account/alice.near/posts')).toBe(2);
+    expect(posts.posts.map((item) => item.id)).toContain(post.id);
+  });
+
+  it('invalidates cached lists containing a liked post', async () => {
+    const { client, count } = setup();
+    const { post } = await client.createPost({ content: { text: 'Like me' }, platforms: ['twitter'] });
+    await client.getAccountPosts('alice.near');
+
+    await client.likePost({ postId: post.id, platforms: ['twitter'] });
+    await client.getAccountPosts('alice.near');
+
+    expect(count('/api/activity/account/alice.near/posts')).toBe(2);
+  });
+});
@@ -0,0 +1,237 @@
+import { stableStringify } from './encoding';
+import { MemoryStorage, StorageAdapter } from './storage';
+
+export interface CacheEntry {
+  key: string;
+  path: string;
+  accountId: string;
+  tags: string[]; // e.g. 'posts:alice.near', 'post:123', used for write invalidation
+  value: unknown;
+  storedAt: number;
+  expiresAt: number; // fresh until
+  staleUntil: number; // served while revalidating until
+}
+
+export interface CacheRule {
+  ttl: number; // ms a response is served without asking the server
+  staleWhileRevalidate?: number; // ms after ttl the stale response is still served while it is refreshed
+}
+
+export interface CacheOptions {
+  enabled?: boolean; // default true once `cache` is configured
+  ttl?: number; // default for every GET endpoint (ms), default 30000
+  staleWhileRevalidate?: number; // default for every GET endpoint (ms), default 0
+  endpoints?: Record<string, number | CacheRule | false>; // by path prefix, the longest match wins; a number is a ttl
+  storage?: StorageAdapter<CacheEntry>; // defaults to in-memory, e.g. IndexedDBStorage to survive reloads
+  maxEntries?: number; // least recently stored entries are evicted past this, default 200
+}
+
+export interface CacheRequest {
+  path: string;
+  params?: unknown;
+  accountId: string;
+}
+
+// A health check has to reach the server to mean anything, rate limits and auth status are only
+// useful while current (a cached quota would feed the rate-limit governor stale numbers)
+const DEFAULT_ENDPOINTS: Record<string, number | CacheRule | false> = {
+  '/health': false,
+  '/api/rate-limits': false,
+  '/api/auth/status': false,
+};
+
+const ACCOUNT_PATH = /^\/api\/activity\/account\/([^/]+)(\/posts)?$/;
+
+/**
+ * Tags that let writes find the cached responses they make outdated
+ */
+function tagsFor(request: CacheRequest, value: any): string[] {
+  const tags = [`account:${request.accountId}`];
+  const match = ACCOUNT_PATH.exec(request.path);
+  if (match) {
+    const owner = decodeURIComponent(match[1]);
+    tags.push(match[2] ? `posts:${owner}` : `activity:${owner}`);
+  }
+  (Array.isArray(value?.posts) ? value.posts : []).forEach((post: any) => post?.id && tags.push(`post:${post.id}`));
+  (Array.isArray(value?.activities) ? value.activities : [])
+    .filter((item: any) => item?.target?.type === 'post' && item.target.id)
+    .forEach((item: any) => tags.push(`post:${item.target.id}`));
+  return Array.from(new Set(tags));
+}
+
+/**
+ * Cache for GET responses with per-endpoint TTLs and stale-while-revalidate
+ */
+export class ResponseCache {
+  private readonly storage: StorageAdapter<CacheEntry>;
+  private readonly defaults: CacheRule;
+  private readonly endpoints: Array<[string, CacheRule | false]>;
+  private readonly maxEntries: number;
+  private readonly revalidating = new Set<string>();
+  private generation = 0; // bumped by every invalidation
+
+  constructor(options: CacheOptions = {}) {
+    this.storage = options.storage || new MemoryStorage<CacheEntry>();
+    this.defaults = { ttl: options.ttl ?? 30000, staleWhileRevalidate: options.staleWhileRevalidate ?? 0 };
+    this.maxEntries = options.maxEntries ?? 200;
+    this.endpoints = Object.entries({ ...DEFAULT_ENDPOINTS, ...options.endpoints })
+      .map(([prefix, rule]): [string, CacheRule | false] => [prefix, typeof rule === 'number' ? { ttl: rule } : rule])
+      .sort(([a], [b]) => b.length - a.length);
+  }
+
+  /**
+   * Serve from the cache when possible, otherwise `load` and remember the result
+   */
+  async fetch<T>(request: CacheRequest, load: () => Promise<T>): Promise<T> {
+    const rule = this.ruleFor(request.path);
+    if (!rule) {
+      return load();
+    }
+
+    const key = this.keyOf(request);
+    const entry = await this.read(key);
+    const now = Date.now();
+    if (entry && entry.expiresAt > now) {
+      return copy(entry.value) as T;
+    }
+    if (entry && entry.staleUntil > now) {
+      this.revalidate(key, request, rule, load);
+      return copy(entry.value) as T;
+    }
+
+    const generation = this.generation;
+    const value = await load();
+    await this.store(key, request, rule, value, generation);
+    return value;
+  }
+
+  /**
+   * Store a response fetched outside the cache, e.g. with `cache: false`
+   */
+  async put(request: CacheRequest, value: unknown): Promise<void> {
+    const rule = this.ruleFor(request.path);
+    if (rule) {
+      await this.store(this.keyOf(request), request, rule, value, this.generation);
+    }
+  }
+
+  /**
+   * Drop cached responses: all of them, those whose path starts with a string, or those matching a RegExp
+   */
+  async invalidate(path?: string | RegExp): Promise<number> {
+    return this.remove((entry) => path === undefined
+      || (typeof path === 'string' ? entry.path.startsWith(path) : path.test(entry.path)));
+  }
+
+  /**
+   * Drop cached responses carrying any of the tags (`account:<id>`, `posts:<id>`, `activity:<id>`, `post:<id>`)
+   */
+  async invalidateTags(...tags: string[]): Promise<number> {
+    return this.remove((entry) => entry.tags.some((tag) => tags.includes(tag)));
+  }
+
+  /**
+   * Invalidate whatever a successful write to `path` made outdated
+   */
+  async invalidateAfterWrite(path: string, data: any, accountId: string): Promise<void> {
+    try {
+      if (path.startsWith('/api/posts')) {
+        const tags = [`posts:${accountId}`, `activity:${accountId}`];
+        const postId = data?.postId ?? data?.originalPostId;
+        if (postId !== undefined) {
+          tags.push(`post:${postId}`);
+        }
+        await this.invalidateTags(...tags);
+      } else if (path.startsWith('/api/auth/')) {
+        // Logins and revocations change the status, profile and connected accounts
+        await this.remove((entry) => entry.accountId === accountId && entry.path.startsWith('/api/auth/'));
+      }
+    } catch (error) {
+      // The write went through; failing it now would invite a duplicate
+      console.warn('Response cache could not be invalidated:', error);
+    }
+  }
+
+  private ruleFor(path: string): CacheRule | false {
+    const match = this.endpoints.find(([prefix]) => path.startsWith(prefix));
+    if (!match) {
+      return this.defaults;
+    }
+    return match[1] && { staleWhileRevalidate: this.defaults.staleWhileRevalidate, ...match[1] };
+  }
+
+  private keyOf(request: CacheRequest): string {
+    return `get ${request.path} ${stableStringify(request.params ?? {})} @${request.accountId}`;
+  }
+
+  private async read(key: string): Promise<CacheEntry | undefined> {
+    try {
+      return await this.storage.get(key);
+    } catch (error) {
+      console.warn('Response cache could not be read:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Refresh a stale entry in the background, once per key at a time
+   */
+  private revalidate<T>(key: string, request: CacheRequest, rule: CacheRule, load: () => Promise<T>): void {
+    if (this.revalidating.has(key)) {
+      return;
+    }
+    this.revalidating.add(key);
+    const generation = this.generation;
+    load()
+      .then((value) => this.store(key, request, rule, value, generation))
+      // The stale response was served; the next request past staleUntil reports errors
+      .catch(() => undefined)
+      .finally(() => {
+        this.revalidating.delete(key);
+      });
+  }
+
+  /**
+   * Remember a response, unless an invalidation happened while it was loading (it may predate a write)
+   */
+  private async store(key: string, request: CacheRequest, rule: CacheRule, value: unknown, generation: number): Promise<void> {
+    if (generation !== this.generation) {
+      return;
+    }
+    const now = Date.now();
+    const entry: CacheEntry = {
+      key,
+      path: request.path,
+      accountId: request.accountId,
+      tags: tagsFor(request, value),
+      value: copy(value),
+      storedAt: now,
+      expiresAt: now + rule.ttl,
+      staleUntil: now + rule.ttl + (rule.staleWhileRevalidate ?? 0),
+    };
+    try {
+      await this.storage.set(key, entry);
+      const entries = (await this.storage.entries()).map(([, stored]) => stored);
+      const live = entries.filter((stored) => stored.staleUntil > now).sort((a, b) => a.storedAt - b.storedAt);
+      const evicted = entries
+        .filter((stored) => stored.staleUntil <= now)
+        .concat(live.slice(0, Math.max(0, live.length - this.maxEntries)));
+      await Promise.all(evicted.map((stored) => this.storage.delete(stored.key)));
+    } catch (error) {
+      // A cache that can't be written must not fail the request
+      console.warn('Response cache could not be written:', error);
+    }
+  }
+
+  private async remove(predicate: (entry: CacheEntry) => boolean): Promise<number> {
+    this.generation++;
+    const matches = (await this.storage.entries()).map(([, entry]) => entry).filter(predicate);
+    await Promise.all(matches.map((entry) => this.storage.delete(entry.key)));
+    return matches.length;
+  }
+}
+
+// Callers may mutate responses; cached ones must not change with them
+function copy<T>(value: T): T {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
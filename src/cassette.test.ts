@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { CassetteInteraction } from './cassette';
+import { FakeCrosspostServer } from './testing';
+
+describe('cassette', () => {
+  it('records traffic without credentials and replays it offline', async () => {
+    const fake = new FakeCrosspostServer();
+    const recorder = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter, cassette: { mode: 'record' } });
+    const token = fake.issueToken('alice.near');
+    recorder.setAuth({ accountId: 'alice.near', nearSignature: token });
+    const recorded = await recorder.createPost({ content: { text: 'Recorded' }, platforms: ['twitter'] });
+    const interactions: CassetteInteraction[] = recorder.cassette!.getInteractions();
+
+    expect(JSON.stringify(interactions)).not.toContain(token);
+
+    const player = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', cassette: { mode: 'replay', interactions } });
+    player.setAuth({ accountId: 'alice.near', nearSignature: 'anything' });
+    const replayed = await player.createPost({ content: { text: 'Recorded' }, platforms: ['twitter'] });
+
+    expect(replayed.post.id).toBe(recorded.post.id);
+    await expect(player.createPost({ content: { text: 'Never recorded' }, platforms: ['twitter'] }))
+      .rejects.toMatchObject({ code: 'CASSETTE_NO_MATCH' });
+  });
+
+  it('fails requests, not the process, when the cassette file is missing', async () => {
+    const unhandled: unknown[] = [];
+    const track = (reason: unknown) => unhandled.push(reason);
+    process.on('unhandledRejection', track);
+    try {
+      const client = new CrosspostPluginClient({
+        baseUrl: 'http://fake.local',
+        accountId: 'alice.near',
+        retry: false,
+        cassette: { mode: 'replay', path: '/nonexistent/crosspost-cassette.json' },
+      });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      await expect(client.getAuthStatus()).rejects.toMatchObject({ code: 'CASSETTE_NOT_FOUND' });
+      expect(unhandled).toEqual([]);
+    } finally {
+      process.off('unhandledRejection', track);
+    }
+  });
+});
@@ -0,0 +1,240 @@
+import axios, { AxiosError, AxiosResponse, InternalAxiosRequestConfig } from 'axios';
+import type { AxiosRequestConfig } from 'axios';
+import { stableStringify } from './encoding';
+import { CrosspostApiError } from './errors';
+
+export interface CassetteRequest {
+  method: string;
+  path: string;
+  query: Record<string, string | string[]>;
+  headers: Record<string, string>;
+  body?: unknown;
+}
+
+export interface CassetteInteraction {
+  request: CassetteRequest;
+  response: {
+    status: number;
+    headers: Record<string, string>;
+    body?: unknown;
+  };
+  recordedAt: string;
+}
+
+export interface CassetteOptions {
+  mode: 'record' | 'replay';
+  path?: string; // JSON file (Node.js); record mode rewrites it from scratch
+  interactions?: CassetteInteraction[]; // replay from memory, e.g. an imported JSON file in the browser
+  redact?: string[]; // extra header names and body fields to redact
+}
+
+export const REDACTED = '[REDACTED]';
+
+// Header names and body fields that carry credentials
+const DEFAULT_REDACTED = ['authorization', 'cookie', 'set-cookie', 'signature', 'token', 'nearSignature', 'authToken', 'refreshToken', 'password'];
+
+function toQuery(search: URLSearchParams): Record<string, string | string[]> {
+  const query: Record<string, string | string[]> = {};
+  search.forEach((value, key) => {
+    const existing = query[key];
+    query[key] = existing === undefined ? value : ([] as string[]).concat(existing, value);
+  });
+  return query;
+}
+
+// Adapters see raw JSON strings; parse them so fields can be redacted and compared
+function parseBody(body: unknown): unknown {
+  if (typeof body === 'string') {
+    try {
+      return JSON.parse(body);
+    } catch {
+      // Keep non-JSON bodies as they are
+    }
+  }
+  return body;
+}
+
+/**
+ * Records request/response pairs to JSON and serves them back without touching the network
+ */
+export class Cassette {
+  readonly mode: CassetteOptions['mode'];
+  readonly unmatched: CassetteRequest[] = [];
+  private interactions: CassetteInteraction[] = [];
+  private used = new Set<CassetteInteraction>();
+  private readonly redacted: string[];
+  private ready: Promise<void> | null = null; // loaded on the first request, so a missing file fails that request
+  private writes: Promise<void> = Promise.resolve();
+
+  constructor(private readonly options: CassetteOptions) {
+    this.mode = options.mode;
+    this.redacted = DEFAULT_REDACTED.concat(options.redact || []).map((name) => name.toLowerCase());
+  }
+
+  getInteractions(): CassetteInteraction[] {
+    return this.interactions;
+  }
+
+  /**
+   * Wrap a transport: record mode sends through it, replay mode never does
+   */
+  adapter(transport: AxiosRequestConfig['adapter']): (config: InternalAxiosRequestConfig) => Promise<AxiosResponse> {
+    const send = axios.getAdapter(transport ?? axios.defaults.adapter);
+
+    return async (config) => {
+      this.ready ??= this.load();
+      await this.ready;
+      const request = this.toRequest(config);
+
+      if (this.mode === 'replay') {
+        return this.replay(request, config);
+      }
+
+      try {
+        const response = await send(config);
+        await this.record(request, response);
+        return response;
+      } catch (error) {
+        // HTTP errors are part of the API's behavior; network failures are not recorded
+        if ((error as AxiosError)?.response) {
+          await this.record(request, (error as AxiosError).response!);
+        }
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Wait for pending writes of the cassette file
+   */
+  flush(): Promise<void> {
+    return this.writes;
+  }
+
+  private async load(): Promise<void> {
+    if (this.options.interactions) {
+      this.interactions = this.mode === 'replay' ? [...this.options.interactions] : [];
+      return;
+    }
+    if (this.mode === 'record' || !this.options.path) {
+      return;
+    }
+    try {
+      const { readFile } = await import(/* webpackIgnore: true */ 'node:fs/promises');
+      this.interactions = JSON.parse(await readFile(this.options.path, 'utf8')) as CassetteInteraction[];
+    } catch (error) {
+      throw new CrosspostApiError({
+        code: 'CASSETTE_NOT_FOUND',
+        message: `Cannot load cassette ${this.options.path}, record it first`,
+        details: { path: this.options.path },
+        cause: error,
+      });
+    }
+  }
+
+  private redact<T>(value: T): T {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redact(item)) as T;
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        this.redacted.includes(key.toLowerCase()) ? REDACTED : this.redact(item),
+      ])) as T;
+    }
+    return value;
+  }
+
+  private toRequest(config: InternalAxiosRequestConfig): CassetteRequest {
+    const url = new URL(axios.getUri(config), 'http://cassette.local');
+    const headers: Record<string, string> = {};
+    Object.entries(config.headers?.toJSON?.() ?? config.headers ?? {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) {
+        headers[name.toLowerCase()] = String(value);
+      }
+    });
+
+    const body = parseBody(config.data);
+
+    return this.redact({
+      method: (config.method || 'get').toLowerCase(),
+      path: url.pathname,
+      query: toQuery(url.searchParams),
+      headers,
+      ...(body === undefined ? {} : { body }),
+    });
+  }
+
+  private matches(recorded: CassetteRequest, request: CassetteRequest): boolean {
+    return recorded.method === request.method
+      && recorded.path === request.path
+      && stableStringify(recorded.query) === stableStringify(request.query)
+      && stableStringify(recorded.body) === stableStringify(request.body);
+  }
+
+  /**
+   * Serve matching interactions in recorded order; the last one repeats once all were used
+   */
+  private replay(request: CassetteRequest, config: InternalAxiosRequestConfig): AxiosResponse {
+    const candidates = this.interactions.filter((interaction) => this.matches(interaction.request, request));
+    const interaction = candidates.find((candidate) => !this.used.has(candidate)) || candidates[candidates.length - 1];
+
+    if (!interaction) {
+      this.unmatched.push(request);
+      const samePath = this.interactions.filter((candidate) => candidate.request.path === request.path);
+      throw new CrosspostApiError({
+        code: 'CASSETTE_NO_MATCH',
+        message: `No recorded interaction for ${request.method.toUpperCase()} ${request.path} (replay mode never uses the network)`,
+        details: {
+          request,
+          recordedForPath: samePath.map((candidate) => ({ method: candidate.request.method, query: candidate.request.query, body: candidate.request.body })),
+        },
+      });
+    }
+
+    this.used.add(interaction);
+    const response: AxiosResponse = {
+      // A copy, so callers mutating the response can't change later replays
+      data: interaction.response.body === undefined ? undefined : JSON.parse(JSON.stringify(interaction.response.body)),
+      status: interaction.response.status,
+      statusText: String(interaction.response.status),
+      headers: { ...interaction.response.headers },
+      config,
+      request: {},
+    };
+    if (interaction.response.status >= 400) {
+      throw new AxiosError(`Request failed with status code ${response.status}`, AxiosError.ERR_BAD_RESPONSE, config, {}, response);
+    }
+    return response;
+  }
+
+  private async record(request: CassetteRequest, response: AxiosResponse): Promise<void> {
+    const headers: Record<string, string> = {};
+    Object.entries((response.headers as any)?.toJSON?.() ?? response.headers ?? {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) {
+        headers[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+      }
+    });
+
+    this.interactions.push({
+      request,
+      response: this.redact({ status: response.status, headers, body: parseBody(response.data) }),
+      recordedAt: new Date().toISOString(),
+    });
+
+    if (this.options.path) {
+      const path = this.options.path;
+      const snapshot = JSON.stringify(this.interactions, null, 2);
+      const write = this.writes.then(async () => {
+        const [{ writeFile, mkdir }, { dirname }] = await Promise.all([
+          import(/* webpackIgnore: true */ 'node:fs/promises'),
+          import(/* webpackIgnore: true */ 'node:path'),
+        ]);
+        await mkdir(dirname(path), { recursive: true });
+        await writeFile(path, snapshot, 'utf8');
+      });
+      this.writes = write.catch(() => undefined);
+      await write;
+    }
+  }
+}
@@ -1,9 +1,45 @@
-import axios, { AxiosInstance, AxiosResponse } from 'axios';
+import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse } from 'axios';
+import {
+  CrosspostApiError,
+  CrosspostAuthError,
+  CrosspostQueuedError,
+  CrosspostRateLimitError,
+  CrosspostSchemaError,
+  CrosspostValidationError,
+  toCrosspostApiError,
+} from './errors';
+import { CacheOptions, ResponseCache } from './cache';
+import { Cassette, CassetteOptions } from './cassette';
+import { RequestCoalescer } from './coalesce';
+import { bytesToBase64, stableStringify } from './encoding';
+import { DraftManager, DraftManagerOptions } from './drafts';
+import { IdempotencyOptions, IdempotencyStore } from './idempotency';
+import { MediaInput, readMediaSource } from './media';
+import { extractMediaMetadata } from './media-metadata';
+import { isAllowedMimeType, isGenericMimeType, resolveMimeType } from './mime';
+import { NearSigner, NearSignerOptions, createNearAuthToken } from './near-signer';
+import { Outbox, OutboxOperation, OutboxOptions } from './outbox';
+import { PageIterator, PaginationOptions } from './pagination';
+import { PlatformResult, getFailedPlatforms, mergePlatformResults, normalizePlatformResults } from './platform-results';
+import { PlatformRules, PostValidationReport, getPlatformRules, validatePost } from './post-validation';
+import { CreateThreadResult, ThreadChain, ThreadOptions, splitIntoSegments } from './threads';
+import { RateLimitGovernorOptions, RateLimitTracker } from './rate-limits';
+import { IDEMPOTENCY_KEY_HEADER, ResolvedRetryPolicy, RetryPolicy, getRetryDelay, resolveRetryPolicy, sleep } from './retry';
+import { PostScheduler, SchedulerOptions } from './scheduler';
+import { ResponseValidationOptions, Schema, responseSchemaFor, responseSchemas, validateSchema } from './schemas';
 
 export interface AuthConfig {
   nearSignature: string;
   accountId: string;
   baseUrl?: string;
+  expiresAt?: string; // refreshed ahead of time when set
+}
+
+export interface AuthChangeEvent {
+  type: 'set' | 'refreshed' | 'expired' | 'cleared';
+  accountId: string;
+  expiresAt?: string;
+  error?: CrosspostApiError;
 }
 
 export interface HealthResponse {
@@ -142,6 +178,13 @@ export interface CreatePostResponse {
   success: boolean;
   post: Post;
   message?: string;
+  platformResults?: PlatformResult[]; // per-platform outcome, filled in by the client
+}
+
+export interface WriteResponse {
+  success: boolean;
+  message?: string;
+  platformResults?: PlatformResult[]; // per-platform outcome, filled in by the client
 }
 
 export interface RepostRequest {
@@ -256,6 +299,18 @@ export interface AccountPostsResponse {
   };
 }
 
+export interface AccountActivityFilters {
+  types?: string[];
+  platforms?: string[];
+  dateRange?: { start: string; end: string };
+}
+
+export interface AccountPostsFilters {
+  platforms?: string[];
+  status?: string[];
+  dateRange?: { start: string; end: string };
+}
+
 // ===== MEDIA HANDLING INTERFACES =====
 
 export interface MediaNormalizationOptions {
@@ -263,6 +318,8 @@ export interface MediaNormalizationOptions {
   allowedTypes?: string[];
   quality?: number; // for images/videos
   thumbnailSize?: { width: number; height: number };
+  mimeType?: string; // declared type for inputs that carry none (Buffer, stream, ArrayBuffer)
+  verifyType?: boolean; // reject content whose signature contradicts the declared type (default true)
 }
 
 export interface NormalizedMedia {
@@ -294,18 +351,77 @@ export interface RequestOverride {
   accountId?: string;
   timeout?: number;
   headers?: Record<string, string>;
+  idempotencyKey?: string; // sent as Idempotency-Key by createPost, repost, quotePost and replyToPost
+  cache?: boolean; // false skips the response cache for this GET (the fresh response is still cached)
+  signal?: AbortSignal; // cancels the call; a coalesced GET is only aborted once all its callers cancelled
 }
 
 export interface ClientConfig {
   baseUrl: string;
   accountId: string;
   timeout?: number;
+  adapter?: AxiosRequestConfig['adapter']; // custom transport, e.g. FakeCrosspostServer.adapter in tests
+  cassette?: CassetteOptions; // record real traffic to JSON, or replay it without network access
+  retry?: RetryPolicy | false; // defaults to DEFAULT_RETRY_POLICY, false disables retries
+  rateLimit?: RateLimitGovernorOptions;
+  autoRefreshToken?: boolean; // refresh expired tokens via /api/auth/refresh (default true)
+  refreshThreshold?: number; // in ms before expiresAt to refresh proactively, default 60000
+  validation?: PostValidationOptions;
+  outbox?: OutboxOptions; // queue writes that fail with NETWORK_ERROR or TIMEOUT and replay them later
+  idempotency?: IdempotencyOptions | false; // false stops sending Idempotency-Key headers
+  cache?: CacheOptions; // cache GET responses, invalidated by writes
+  coalesce?: boolean; // identical concurrent GETs share one request, default true
+  responseValidation?: ResponseValidationOptions; // check responses against their schema, off by default; strict only throws for GETs
 }
 
+export interface PostValidationOptions {
+  strict?: boolean; // createPost refuses to send posts that fail validatePost()
+  rules?: Record<string, Partial<PlatformRules>>; // per-platform overrides or additional platforms
+}
+
+const REFRESH_TOKEN_URL = '/api/auth/refresh';
+
 export class CrosspostPluginClient {
   private client: AxiosInstance;
   private authConfig: AuthConfig | null = null;
+  private signer: NearSigner | null = null;
+  private signerOptions: NearSignerOptions = {};
+  private signerToken: string | null = null;
+  private autoRefreshToken: boolean;
+  private refreshThreshold: number;
+  private refreshPromise: Promise<void> | null = null;
+  private authListeners = new Set<(event: AuthChangeEvent) => void>();
+  private validationOptions: PostValidationOptions;
   private accountId: string;
+  private retryPolicy: ResolvedRetryPolicy | null;
+  private coalescer: RequestCoalescer | null;
+  private responseValidation: ResponseValidationOptions | null;
+  private writeOrigins = new WeakMap<object, { operation: OutboxOperation; request: any; override?: RequestOverride }>();
+
+  /**
+   * Client-side view of the server quota, learned from getRateLimits() and X-RateLimit-* headers
+   */
+  readonly rateLimits: RateLimitTracker;
+
+  /**
+   * Offline queue for writes, null unless enabled with ClientConfig.outbox
+   */
+  readonly outbox: Outbox | null = null;
+
+  /**
+   * Record/replay fixture, null unless ClientConfig.cassette is set
+   */
+  readonly cassette: Cassette | null = null;
+
+  /**
+   * Recently used idempotency keys and their responses, null when disabled
+   */
+  readonly idempotency: IdempotencyStore | null = null;
+
+  /**
+   * Cached GET responses, null unless enabled with ClientConfig.cache
+   */
+  readonly cache: ResponseCache | null = null;
 
   constructor(config: ClientConfig | string = 'https://api.opencrosspost.com/') {
     // Handle both string (legacy) and object config
@@ -314,29 +430,66 @@ export class CrosspostPluginClient {
       : config;
 
     this.accountId = clientConfig.accountId;
+    this.retryPolicy = resolveRetryPolicy(clientConfig.retry);
+    this.rateLimits = new RateLimitTracker(clientConfig.rateLimit);
+    this.autoRefreshToken = clientConfig.autoRefreshToken ?? true;
+    this.refreshThreshold = clientConfig.refreshThreshold ?? 60000;
+    this.validationOptions = clientConfig.validation || {};
+    this.coalescer = clientConfig.coalesce === false ? null : new RequestCoalescer();
+    this.responseValidation = clientConfig.responseValidation || null;
+    if (clientConfig.idempotency !== false && clientConfig.idempotency?.enabled !== false) {
+      this.idempotency = new IdempotencyStore(clientConfig.idempotency || {});
+    }
+    if (clientConfig.cache && clientConfig.cache.enabled !== false) {
+      this.cache = new ResponseCache(clientConfig.cache);
+    }
+    if (clientConfig.outbox && clientConfig.outbox.enabled !== false) {
+      this.outbox = new Outbox(
+        (entry) => this.executeRequest({ method: entry.method, url: entry.url, data: entry.data }, entry.override)
+          .then((response) => this.trackWrite(entry.operation, entry.data, entry.override, response)),
+        clientConfig.outbox
+      );
+      // Writes held back for a new sign-in go out as soon as there is one
+      this.onAuthChange((event) => {
+        if ((event.type === 'set' || event.type === 'refreshed') && this.outbox?.blockedBy) {
+          this.outbox.flush().catch(() => undefined);
+        }
+      });
+    }
     
+    if (clientConfig.cassette) {
+      this.cassette = new Cassette(clientConfig.cassette);
+    }
+
     this.client = axios.create({
       baseURL: clientConfig.baseUrl,
       timeout: clientConfig.timeout || 30000,
+      adapter: this.cassette ? this.cassette.adapter(clientConfig.adapter) : clientConfig.adapter,
       headers: {
         'Content-Type': 'application/json',
       },
     });
 
     // Add request interceptor for NEAR auth
-    this.client.interceptors.request.use((config) => {
+    // Headers already set by a RequestOverride take precedence
+    this.client.interceptors.request.use(async (config) => {
       // For GET requests, use X-Near-Account header
-      if (config.method === 'get') {
+      if (config.method === 'get' && !config.headers['X-Near-Account']) {
         config.headers['X-Near-Account'] = this.accountId;
       }
       
       // For POST/DELETE requests, use Authorization Bearer with NEAR signature
       if (config.method === 'post' || config.method === 'delete') {
-        if (this.authConfig?.nearSignature) {
-          config.headers.Authorization = `Bearer ${this.authConfig.nearSignature}`;
+        if (!config.headers.Authorization) {
+          const authToken = await this.getAuthToken(config);
+          if (authToken) {
+            config.headers.Authorization = `Bearer ${authToken}`;
+          }
         }
         // Still include account ID for context
-        config.headers['X-Near-Account'] = this.accountId;
+        if (!config.headers['X-Near-Account']) {
+          config.headers['X-Near-Account'] = this.accountId;
+        }
       }
       
       return config;
@@ -353,6 +506,29 @@ export class CrosspostPluginClient {
     if (config.baseUrl) {
       this.client.defaults.baseURL = config.baseUrl;
     }
+
+    this.emitAuthChange({ type: 'set', accountId: config.accountId, expiresAt: config.expiresAt });
+  }
+
+  /**
+   * Subscribe to authentication changes (set, refreshed, expired, cleared)
+   */
+  onAuthChange(listener: (event: AuthChangeEvent) => void): () => void {
+    this.authListeners.add(listener);
+    return () => {
+      this.authListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Sign POST/DELETE requests on demand with a NEAR signer instead of a fixed nearSignature
+   */
+  setSigner(signer: NearSigner, options: NearSignerOptions = {}): void {
+    this.signer = signer;
+    this.signerOptions = options;
+    this.signerToken = null;
+    this.accountId = signer.accountId;
+    this.emitAuthChange({ type: 'set', accountId: signer.accountId });
   }
 
   /**
@@ -365,10 +541,9 @@ export class CrosspostPluginClient {
   /**
    * Check plugin health status (GET request)
    */
-  async health(): Promise<HealthResponse> {
+  async health(override?: RequestOverride): Promise<HealthResponse> {
     try {
-      const response: AxiosResponse<HealthResponse> = await this.client.get('/health');
-      return response.data;
+      return await this.executeRequest<HealthResponse>({ method: 'get', url: '/health' }, override);
     } catch (error) {
       return {
         status: 'error',
@@ -382,7 +557,7 @@ export class CrosspostPluginClient {
    * Get current authentication status
    */
   isAuthenticated(): boolean {
-    return this.authConfig !== null && !!this.authConfig.nearSignature && !!this.accountId;
+    return (!!this.signer || (this.authConfig !== null && !!this.authConfig.nearSignature)) && !!this.accountId;
   }
 
   /**
@@ -390,6 +565,9 @@ export class CrosspostPluginClient {
    */
   clearAuth(): void {
     this.authConfig = null;
+    this.signer = null;
+    this.signerToken = null;
+    this.emitAuthChange({ type: 'cleared', accountId: this.accountId });
   }
 
   /**
@@ -404,25 +582,25 @@ export class CrosspostPluginClient {
   /**
    * Get rate limits for all endpoints
    */
-  async getRateLimits(): Promise<RateLimitsResponse> {
-    try {
-      const response: AxiosResponse<RateLimitsResponse> = await this.client.get('/api/rate-limits');
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to get rate limits: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async getRateLimits(override?: RequestOverride): Promise<RateLimitsResponse> {
+    const rateLimits = await this.executeRequest<RateLimitsResponse>({
+      method: 'get',
+      url: '/api/rate-limits',
+    }, override);
+    this.rateLimits.updateFromRateLimits(rateLimits);
+    return rateLimits;
   }
 
   /**
    * Get rate limit for a specific endpoint
    */
-  async getEndpointRateLimit(endpoint: string): Promise<EndpointRateLimitResponse> {
-    try {
-      const response: AxiosResponse<EndpointRateLimitResponse> = await this.client.get(`/api/rate-limits/${encodeURIComponent(endpoint)}`);
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to get rate limit for endpoint ${endpoint}: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async getEndpointRateLimit(endpoint: string, override?: RequestOverride): Promise<EndpointRateLimitResponse> {
+    const rateLimit = await this.executeRequest<EndpointRateLimitResponse>({
+      method: 'get',
+      url: `/api/rate-limits/${encodeURIComponent(endpoint)}`,
+    }, override);
+    this.rateLimits.updateFromEndpointRateLimit(rateLimit);
+    return rateLimit;
   }
 
   // ===== AUTH API =====
@@ -430,189 +608,351 @@ export class CrosspostPluginClient {
   /**
    * Authorize NEAR account with signature
    */
-  async authorizeNearAccount(signature: string, accountId: string): Promise<LoginResponse> {
-    try {
-      const response: AxiosResponse<LoginResponse> = await this.client.post('/api/auth/authorize-near', {
-        signature,
-        accountId
+  async authorizeNearAccount(signature: string, accountId: string, override?: RequestOverride): Promise<LoginResponse> {
+    return this.executeRequest<LoginResponse>({
+      method: 'post',
+      url: '/api/auth/authorize-near',
+      data: { signature, accountId },
+    }, override);
+  }
+
+  /**
+   * Authorize the account of the configured NEAR signer
+   */
+  async authorizeNearSigner(override?: RequestOverride): Promise<LoginResponse> {
+    if (!this.signer) {
+      throw new CrosspostAuthError({
+        code: 'NO_SIGNER',
+        message: 'No NEAR signer configured, call setSigner() first',
       });
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to authorize NEAR account: ${error instanceof Error ? error.message : 'Unknown error'}`);
     }
+    const token = await createNearAuthToken(this.signer, this.signerOptions, { method: 'post', url: '/api/auth/authorize-near' });
+    return this.authorizeNearAccount(token, this.signer.accountId, override);
   }
 
   /**
    * Get NEAR authorization status
    */
-  async getNearAuthorizationStatus(): Promise<NearAuthorizationStatus> {
-    try {
-      const response: AxiosResponse<NearAuthorizationStatus> = await this.client.get('/api/auth/near-status');
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to get NEAR authorization status: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async getNearAuthorizationStatus(override?: RequestOverride): Promise<NearAuthorizationStatus> {
+    return this.executeRequest<NearAuthorizationStatus>({
+      method: 'get',
+      url: '/api/auth/near-status',
+    }, override);
   }
 
   /**
    * Login to platform
    */
-  async loginToPlatform(platform: string, credentials: Record<string, any>): Promise<LoginResponse> {
-    try {
-      const response: AxiosResponse<LoginResponse> = await this.client.post('/api/auth/login', {
-        platform,
-        credentials
-      });
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to login to platform ${platform}: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async loginToPlatform(platform: string, credentials: Record<string, any>, override?: RequestOverride): Promise<LoginResponse> {
+    return this.executeRequest<LoginResponse>({
+      method: 'post',
+      url: '/api/auth/login',
+      data: { platform, credentials },
+    }, override);
   }
 
   /**
-   * Refresh authentication token
+   * Refresh authentication token and use it for subsequent requests
    */
-  async refreshToken(): Promise<RefreshTokenResponse> {
-    try {
-      const response: AxiosResponse<RefreshTokenResponse> = await this.client.post('/api/auth/refresh');
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to refresh token: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  async refreshToken(override?: RequestOverride): Promise<RefreshTokenResponse> {
+    const refreshed = await this.executeRequest<RefreshTokenResponse>({
+      method: 'post',
+      url: REFRESH_TOKEN_URL,
+    }, override);
+
+    if (refreshed.success && refreshed.token && this.authConfig && !override?.authToken) {
+      this.authConfig = { ...this.authConfig, nearSignature: refreshed.token, expiresAt: refreshed.expiresAt };
+      this.emitAuthChange({ type: 'refreshed', accountId: this.accountId, expiresAt: refreshed.expiresAt });
     }
+    return refreshed;
   }
 
   /**
    * Refresh user profile data
    */
-  async refreshProfile(): Promise<ProfileData> {
-    try {
-      const response: AxiosResponse<ProfileData> = await this.client.get('/api/auth/profile');
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to refresh profile: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async refreshProfile(override?: RequestOverride): Promise<ProfileData> {
+    return this.executeRequest<ProfileData>({
+      method: 'get',
+      url: '/api/auth/profile',
+    }, override);
   }
 
   /**
    * Get authentication status
    */
-  async getAuthStatus(): Promise<AuthStatus> {
-    try {
-      const response: AxiosResponse<AuthStatus> = await this.client.get('/api/auth/status');
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to get auth status: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async getAuthStatus(override?: RequestOverride): Promise<AuthStatus> {
+    return this.executeRequest<AuthStatus>({
+      method: 'get',
+      url: '/api/auth/status',
+    }, override);
   }
 
   /**
    * Revoke authentication
    */
-  async revokeAuth(): Promise<{ success: boolean; message?: string }> {
-    try {
-      const response: AxiosResponse<{ success: boolean; message?: string }> = await this.client.post('/api/auth/revoke');
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to revoke auth: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async revokeAuth(override?: RequestOverride): Promise<{ success: boolean; message?: string }> {
+    return this.executeRequest<{ success: boolean; message?: string }>({
+      method: 'post',
+      url: '/api/auth/revoke',
+    }, override);
   }
 
   /**
    * Get connected accounts
    */
-  async getConnectedAccounts(): Promise<ConnectedAccount[]> {
-    try {
-      const response: AxiosResponse<ConnectedAccount[]> = await this.client.get('/api/auth/connected-accounts');
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to get connected accounts: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async getConnectedAccounts(override?: RequestOverride): Promise<ConnectedAccount[]> {
+    return this.executeRequest<ConnectedAccount[]>({
+      method: 'get',
+      url: '/api/auth/connected-accounts',
+    }, override);
   }
 
   // ===== POST API =====
 
+  /**
+   * Check a post against the rules of every target platform without sending it
+   */
+  validatePost(request: CreatePostRequest): PostValidationReport {
+    return validatePost(request, this.validationOptions.rules);
+  }
+
   /**
    * Create a new post
    */
-  async createPost(request: CreatePostRequest): Promise<CreatePostResponse> {
-    try {
-      const response: AxiosResponse<CreatePostResponse> = await this.client.post('/api/posts', request);
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to create post: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  async createPost(request: CreatePostRequest, override?: RequestOverride): Promise<CreatePostResponse> {
+    if (this.validationOptions.strict) {
+      const report = this.validatePost(request);
+      if (!report.valid) {
+        const failed = Object.values(report.platforms).filter((result) => !result.valid).map((result) => result.platform);
+        throw new CrosspostValidationError({
+          code: 'POST_VALIDATION_FAILED',
+          message: `Post is not valid for ${failed.join(', ')}`,
+          details: { report },
+        });
+      }
     }
+
+    return this.executeIdempotent<CreatePostResponse>('createPost', {
+      method: 'post',
+      url: '/api/posts',
+      data: request,
+    }, override);
   }
 
   /**
    * Repost an existing post
    */
-  async repost(request: RepostRequest): Promise<CreatePostResponse> {
-    try {
-      const response: AxiosResponse<CreatePostResponse> = await this.client.post('/api/posts/repost', request);
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to repost: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async repost(request: RepostRequest, override?: RequestOverride): Promise<CreatePostResponse> {
+    return this.executeIdempotent<CreatePostResponse>('repost', {
+      method: 'post',
+      url: '/api/posts/repost',
+      data: request,
+    }, override);
   }
 
   /**
    * Quote post (repost with comment)
    */
-  async quotePost(request: QuotePostRequest): Promise<CreatePostResponse> {
-    try {
-      const response: AxiosResponse<CreatePostResponse> = await this.client.post('/api/posts/quote', request);
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to quote post: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async quotePost(request: QuotePostRequest, override?: RequestOverride): Promise<CreatePostResponse> {
+    return this.executeIdempotent<CreatePostResponse>('quotePost', {
+      method: 'post',
+      url: '/api/posts/quote',
+      data: request,
+    }, override);
   }
 
   /**
    * Reply to a post
    */
-  async replyToPost(request: ReplyToPostRequest): Promise<CreatePostResponse> {
-    try {
-      const response: AxiosResponse<CreatePostResponse> = await this.client.post('/api/posts/reply', request);
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to reply to post: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async replyToPost(request: ReplyToPostRequest, override?: RequestOverride): Promise<CreatePostResponse> {
+    return this.executeIdempotent<CreatePostResponse>('replyToPost', {
+      method: 'post',
+      url: '/api/posts/reply',
+      data: request,
+    }, override);
   }
 
   /**
    * Like a post
    */
-  async likePost(request: LikePostRequest): Promise<{ success: boolean; message?: string }> {
-    try {
-      const response: AxiosResponse<{ success: boolean; message?: string }> = await this.client.post('/api/posts/like', request);
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to like post: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async likePost(request: LikePostRequest, override?: RequestOverride): Promise<WriteResponse> {
+    return this.executeWrite<WriteResponse>('likePost', {
+      method: 'post',
+      url: '/api/posts/like',
+      data: request,
+    }, override);
   }
 
   /**
    * Unlike a post
    */
-  async unlikePost(request: LikePostRequest): Promise<{ success: boolean; message?: string }> {
-    try {
-      const response: AxiosResponse<{ success: boolean; message?: string }> = await this.client.post('/api/posts/unlike', request);
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to unlike post: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async unlikePost(request: LikePostRequest, override?: RequestOverride): Promise<WriteResponse> {
+    return this.executeWrite<WriteResponse>('unlikePost', {
+      method: 'post',
+      url: '/api/posts/unlike',
+      data: request,
+    }, override);
   }
 
   /**
    * Delete a post
    */
-  async deletePost(request: DeletePostRequest): Promise<{ success: boolean; message?: string }> {
-    try {
-      const response: AxiosResponse<{ success: boolean; message?: string }> = await this.client.delete('/api/posts', { data: request });
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to delete post: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  async deletePost(request: DeletePostRequest, override?: RequestOverride): Promise<WriteResponse> {
+    return this.executeWrite<WriteResponse>('deletePost', {
+      method: 'delete',
+      url: '/api/posts',
+      data: request,
+    }, override);
+  }
+
+  /**
+   * Re-send a write returned by this client to the platforms it failed on; results are merged
+   */
+  async retryFailedPlatforms<T extends CreatePostResponse | WriteResponse>(result: T, override?: RequestOverride): Promise<T> {
+    const origin = this.writeOrigins.get(result);
+    if (!origin) {
+      throw new CrosspostValidationError({
+        code: 'UNKNOWN_WRITE_RESULT',
+        message: 'retryFailedPlatforms() only accepts results returned by this client',
+      });
     }
+
+    const failed = getFailedPlatforms(result);
+    if (!failed.length) {
+      return result;
+    }
+
+    // A different payload needs a new idempotency key
+    const { idempotencyKey: _key, ...rest } = { ...origin.override, ...override };
+    const headers = Object.fromEntries(Object.entries(rest.headers || {})
+      .filter(([name]) => name.toLowerCase() !== IDEMPOTENCY_KEY_HEADER.toLowerCase()));
+    const send = this[origin.operation] as (request: any, override?: RequestOverride) => Promise<T>;
+    const retried = await send.call(this, { ...origin.request, platforms: failed }, { ...rest, headers });
+
+    const platformResults = mergePlatformResults(result.platformResults || [], retried.platformResults || []);
+    const merged = {
+      ...result,
+      ...retried,
+      ...('post' in result && result.post ? { post: result.post } : {}),
+      success: platformResults.every((entry) => entry.status === 'published'),
+      platformResults,
+    } as T;
+    this.writeOrigins.set(merged, origin);
+    return merged;
+  }
+
+  // ===== THREADS =====
+
+  /**
+   * Publish long content as a thread: split per platform, then chain replies onto the first post
+   */
+  async createThread(
+    content: PostContent,
+    platforms: string[],
+    options: ThreadOptions = {},
+    override?: RequestOverride
+  ): Promise<CreateThreadResult> {
+    // Platforms with identical segments share one chain of requests
+    const chains = new Map<string, ThreadChain>();
+    platforms.forEach((platform) => {
+      const segments = splitIntoSegments(content, getPlatformRules(platform, this.validationOptions.rules), options);
+      const key = JSON.stringify(segments);
+      const chain = chains.get(key);
+      if (chain) {
+        chain.platforms.push(platform);
+      } else {
+        chains.set(key, {
+          platforms: [platform],
+          segments,
+          visibility: options.visibility,
+          replySettings: options.replySettings,
+          posts: [],
+          status: 'failed',
+          failedAt: 0,
+        });
+      }
+    });
+
+    return this.resumeThread({ success: false, chains: Array.from(chains.values()) }, override);
+  }
+
+  /**
+   * Continue every chain of a thread from its first unpublished segment
+   */
+  async resumeThread(thread: CreateThreadResult, override?: RequestOverride): Promise<CreateThreadResult> {
+    const chains = await Promise.all(thread.chains.map((chain) => this.publishThreadChain(chain, override)));
+    return {
+      success: chains.every((chain) => chain.status === 'published'),
+      chains,
+    };
+  }
+
+  private async publishThreadChain(chain: ThreadChain, override?: RequestOverride): Promise<ThreadChain> {
+    const posts = [...chain.posts];
+
+    for (let index = posts.length; index < chain.segments.length; index++) {
+      const content = chain.segments[index];
+      // Every segment has its own body, so a caller's key is narrowed down to one segment of one chain
+      const segmentOverride = override?.idempotencyKey
+        ? { ...override, idempotencyKey: `${override.idempotencyKey}:${chain.platforms.join(',')}:${index}` }
+        : override;
+      try {
+        const response = index === 0
+          ? await this.createPost({
+            content,
+            platforms: chain.platforms,
+            visibility: chain.visibility,
+            replySettings: chain.replySettings,
+          }, segmentOverride)
+          : await this.replyToPost({ originalPostId: posts[index - 1].id, content, platforms: chain.platforms }, segmentOverride);
+
+        if (!response.success || !response.post) {
+          throw new CrosspostApiError({
+            code: 'THREAD_SEGMENT_FAILED',
+            message: response.message || `Segment ${index + 1} of the thread was not published`,
+            details: { index, platforms: chain.platforms },
+          });
+        }
+        posts.push(response.post);
+      } catch (error) {
+        return {
+          ...chain,
+          posts,
+          status: posts.length ? 'partial' : 'failed',
+          failedAt: index,
+          error: this.mapError(error),
+        };
+      }
+    }
+
+    return { ...chain, posts, status: 'published', failedAt: undefined, error: undefined };
+  }
+
+  // ===== SCHEDULING =====
+
+  /**
+   * Client-side scheduling queue that publishes due posts through createPost
+   */
+  createScheduler(options: SchedulerOptions = {}, override?: RequestOverride): PostScheduler {
+    // The scheduled post id doubles as idempotency key, so a publish interrupted by a restart isn't duplicated
+    return new PostScheduler(
+      (request, item) => this.createPost(request, { ...override, idempotencyKey: item.id }),
+      options,
+      this.outbox
+    );
+  }
+
+  // ===== DRAFTS =====
+
+  /**
+   * Local drafts that are published through createPost
+   */
+  createDraftManager(options: DraftManagerOptions = {}, override?: RequestOverride): DraftManager {
+    // One key per draft version: publishing the same version twice can't create two posts
+    return new DraftManager(
+      (request, draft) => this.createPost(request, { ...override, idempotencyKey: `draft:${draft.id}:${draft.version}` }),
+      options
+    );
   }
 
   // ===== ACTIVITY API =====
@@ -620,15 +960,16 @@ export class CrosspostPluginClient {
   /**
    * Get leaderboard
    */
-  async getLeaderboard(period: 'daily' | 'weekly' | 'monthly' | 'all-time' = 'weekly', limit: number = 50): Promise<LeaderboardResponse> {
-    try {
-      const response: AxiosResponse<LeaderboardResponse> = await this.client.get('/api/activity/leaderboard', {
-        params: { period, limit }
-      });
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to get leaderboard: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+  async getLeaderboard(
+    period: 'daily' | 'weekly' | 'monthly' | 'all-time' = 'weekly',
+    limit: number = 50,
+    override?: RequestOverride
+  ): Promise<LeaderboardResponse> {
+    return this.executeRequest<LeaderboardResponse>({
+      method: 'get',
+      url: '/api/activity/leaderboard',
+      params: { period, limit },
+    }, override);
   }
 
   /**
@@ -636,22 +977,14 @@ export class CrosspostPluginClient {
    */
   async getAccountActivity(
     accountId: string,
-    options: {
-      page?: number;
-      limit?: number;
-      types?: string[];
-      platforms?: string[];
-      dateRange?: { start: string; end: string };
-    } = {}
+    options: AccountActivityFilters & { page?: number; limit?: number } = {},
+    override?: RequestOverride
   ): Promise<AccountActivityResponse> {
-    try {
-      const response: AxiosResponse<AccountActivityResponse> = await this.client.get(`/api/activity/account/${accountId}`, {
-        params: options
-      });
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to get account activity: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+    return this.executeRequest<AccountActivityResponse>({
+      method: 'get',
+      url: `/api/activity/account/${accountId}`,
+      params: options,
+    }, override);
   }
 
   /**
@@ -659,31 +992,55 @@ export class CrosspostPluginClient {
    */
   async getAccountPosts(
     accountId: string,
-    options: {
-      page?: number;
-      limit?: number;
-      platforms?: string[];
-      status?: string[];
-      dateRange?: { start: string; end: string };
-    } = {}
+    options: AccountPostsFilters & { page?: number; limit?: number } = {},
+    override?: RequestOverride
   ): Promise<AccountPostsResponse> {
-    try {
-      const response: AxiosResponse<AccountPostsResponse> = await this.client.get(`/api/activity/account/${accountId}/posts`, {
-        params: options
-      });
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to get account posts: ${error instanceof Error ? error.message : 'Unknown error'}`);
-    }
+    return this.executeRequest<AccountPostsResponse>({
+      method: 'get',
+      url: `/api/activity/account/${accountId}/posts`,
+      params: options,
+    }, override);
+  }
+
+  // ===== PAGINATION =====
+
+  /**
+   * Iterate over all activity of an account, fetching pages lazily
+   */
+  iterateAccountActivity(
+    accountId: string,
+    filters: AccountActivityFilters = {},
+    options: PaginationOptions = {},
+    override?: RequestOverride
+  ): PageIterator<ActivityItem> {
+    return new PageIterator(async (page, limit) => {
+      const response = await this.getAccountActivity(accountId, { ...filters, page, limit }, override);
+      return { items: response.activities, hasMore: response.pagination.hasMore };
+    }, options);
+  }
+
+  /**
+   * Iterate over all posts of an account, fetching pages lazily
+   */
+  iterateAccountPosts(
+    accountId: string,
+    filters: AccountPostsFilters = {},
+    options: PaginationOptions = {},
+    override?: RequestOverride
+  ): PageIterator<Post> {
+    return new PageIterator(async (page, limit) => {
+      const response = await this.getAccountPosts(accountId, { ...filters, page, limit }, override);
+      return { items: response.posts, hasMore: response.pagination.hasMore };
+    }, options);
   }
 
   // ===== MEDIA HANDLING =====
 
   /**
-   * Normalize media from various sources (Blob, File, URL, base64)
+   * Normalize media from various sources (Blob, File, URL, base64, and in Node.js Buffer, stream or file path)
    */
   async normalizeMedia(
-    media: Blob | File | string | ArrayBuffer,
+    media: MediaInput,
     options: MediaNormalizationOptions = {}
   ): Promise<NormalizedMedia> {
     const {
@@ -694,54 +1051,33 @@ export class CrosspostPluginClient {
     } = options;
 
     try {
-      let data: string;
-      let mimeType: string;
-      let size: number;
-      let metadata: NormalizedMedia['metadata'] = {};
-
-      if (typeof media === 'string') {
-        // Handle URL or base64 string
-        if (media.startsWith('data:')) {
-          // Base64 data URL
-          const [header, base64Data] = media.split(',');
-          mimeType = header.match(/data:([^;]+)/)?.[1] || 'application/octet-stream';
-          data = base64Data;
-          size = Math.floor(base64Data.length * 0.75); // Approximate size
-        } else {
-          // URL - fetch and convert
-          const response = await fetch(media);
-          const blob = await response.blob();
-          mimeType = blob.type;
-          size = blob.size;
-          data = await this.blobToBase64(blob);
-        }
-      } else if (media instanceof Blob || media instanceof File) {
-        // Handle Blob or File
-        mimeType = media.type;
-        size = media.size;
-        data = await this.blobToBase64(media);
-        
-        if (media instanceof File) {
-          metadata.originalName = media.name;
-        }
-      } else if (media instanceof ArrayBuffer) {
-        // Handle ArrayBuffer
-        const blob = new Blob([media]);
-        mimeType = blob.type;
-        size = blob.size;
-        data = await this.blobToBase64(blob);
-      } else {
-        throw new Error('Unsupported media type');
+      const source = await readMediaSource(media);
+      const declaredType = isGenericMimeType(source.mimeType) ? options.mimeType : source.mimeType;
+      const mimeType = resolveMimeType(source.bytes, declaredType, options.verifyType !== false);
+      const size = source.bytes.byteLength;
+      const data = bytesToBase64(source.bytes);
+      const metadata: NormalizedMedia['metadata'] = extractMediaMetadata(source.bytes, mimeType);
+
+      if (source.originalName) {
+        metadata.originalName = source.originalName;
       }
 
       // Validate size
       if (size > maxSize) {
-        throw new Error(`Media size (${size} bytes) exceeds maximum allowed size (${maxSize} bytes)`);
+        throw new CrosspostValidationError({
+          code: 'MEDIA_TOO_LARGE',
+          message: `Media size (${size} bytes) exceeds maximum allowed size (${maxSize} bytes)`,
+          details: { size, maxSize },
+        });
       }
 
       // Validate type
-      if (!allowedTypes.includes(mimeType)) {
-        throw new Error(`Media type ${mimeType} is not allowed`);
+      if (!isAllowedMimeType(mimeType, allowedTypes)) {
+        throw new CrosspostValidationError({
+          code: 'MEDIA_TYPE_NOT_ALLOWED',
+          message: `Media type ${mimeType} is not allowed`,
+          details: { mimeType, allowedTypes },
+        });
       }
 
       // Determine media type category
@@ -756,9 +1092,9 @@ export class CrosspostPluginClient {
         type = 'document';
       }
 
-      // Generate thumbnail for images and videos
+      // Generate thumbnail for images and videos (needs a DOM canvas, skipped in Node.js)
       let thumbnail: string | undefined;
-      if (type === 'image' || type === 'video') {
+      if ((type === 'image' || type === 'video') && typeof Image !== 'undefined' && typeof document !== 'undefined') {
         try {
           thumbnail = await this.generateThumbnail(data, mimeType, thumbnailSize);
         } catch (error) {
@@ -775,25 +1111,17 @@ export class CrosspostPluginClient {
         metadata
       };
     } catch (error) {
-      throw new Error(`Failed to normalize media: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      if (error instanceof CrosspostApiError) {
+        throw error;
+      }
+      throw new CrosspostApiError({
+        code: 'MEDIA_ERROR',
+        message: `Failed to normalize media: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        cause: error,
+      });
     }
   }
 
-  /**
-   * Convert Blob to base64
-   */
-  private async blobToBase64(blob: Blob): Promise<string> {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        const result = reader.result as string;
-        resolve(result.split(',')[1]); // Remove data:type;base64, prefix
-      };
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
-  }
-
   /**
    * Generate thumbnail for media
    */
@@ -840,123 +1168,372 @@ export class CrosspostPluginClient {
   // ===== ERROR HANDLING & REQUEST OVERRIDES =====
 
   /**
-   * Create a request with per-request overrides
+   * Apply per-request overrides to a request config (no extra axios instance needed)
    */
-  private createRequestWithOverrides(override?: RequestOverride) {
-    const client = axios.create({
-      baseURL: this.client.defaults.baseURL,
-      timeout: override?.timeout || this.client.defaults.timeout,
-      headers: {
-        ...this.client.defaults.headers,
-        ...override?.headers,
-      },
-    });
+  private applyOverrides(config: AxiosRequestConfig, override?: RequestOverride): AxiosRequestConfig {
+    if (!override) {
+      return config;
+    }
 
-    // Add request interceptor for overrides
-    client.interceptors.request.use((config) => {
-      // For GET requests, use X-Near-Account header
-      if (config.method === 'get') {
-        config.headers['X-Near-Account'] = override?.accountId || this.accountId;
+    const headers: Record<string, string> = { ...override.headers, ...(config.headers as Record<string, string>) };
+    if (override.accountId) {
+      headers['X-Near-Account'] = override.accountId;
+    }
+    if (override.authToken && (config.method === 'post' || config.method === 'delete')) {
+      headers.Authorization = `Bearer ${override.authToken}`;
+    }
+    if (override.idempotencyKey) {
+      headers[IDEMPOTENCY_KEY_HEADER] = override.idempotencyKey;
+    }
+
+    return {
+      ...config,
+      timeout: override.timeout || config.timeout,
+      headers,
+      ...(override.signal ? { signal: override.signal } : {}),
+    };
+  }
+
+  /**
+   * Bearer token for a write request: signed on demand by the signer, or the static nearSignature
+   */
+  private async getAuthToken(config: AxiosRequestConfig): Promise<string | undefined> {
+    if (!this.signer) {
+      return this.authConfig?.nearSignature;
+    }
+
+    if (this.signerOptions.freshNoncePerRequest === false && this.signerToken) {
+      return this.signerToken;
+    }
+
+    const token = await createNearAuthToken(this.signer, this.signerOptions, { method: config.method, url: config.url });
+    if (this.signerOptions.freshNoncePerRequest === false) {
+      this.signerToken = token;
+    }
+    return token;
+  }
+
+  private emitAuthChange(event: AuthChangeEvent): void {
+    this.authListeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn('onAuthChange listener failed:', error);
       }
-      
-      // For POST/DELETE requests, use Authorization Bearer with NEAR signature
-      if (config.method === 'post' || config.method === 'delete') {
-        if (override?.authToken) {
-          config.headers.Authorization = `Bearer ${override.authToken}`;
-        } else if (this.authConfig?.nearSignature) {
-          config.headers.Authorization = `Bearer ${this.authConfig.nearSignature}`;
+    });
+  }
+
+  /**
+   * Whether a failed or upcoming request may be fixed by refreshing the static token
+   */
+  private canRefreshToken(config: AxiosRequestConfig, override?: RequestOverride): boolean {
+    return this.autoRefreshToken
+      && !this.signer
+      && !!this.authConfig?.nearSignature
+      && !override?.authToken
+      && config.url !== REFRESH_TOKEN_URL
+      && (config.method === 'post' || config.method === 'delete');
+  }
+
+  /**
+   * Refresh the token once, no matter how many requests are waiting for it
+   */
+  private refreshAuth(): Promise<void> {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.refreshToken()
+        .then((refreshed) => {
+          if (!refreshed.success || !refreshed.token) {
+            throw new CrosspostAuthError({ code: 'REFRESH_FAILED', message: 'Token refresh was rejected' });
+          }
+        })
+        .catch((error) => {
+          const cause = this.mapError(error);
+          const reauthenticate = new CrosspostAuthError({
+            code: 'REAUTHENTICATE_REQUIRED',
+            message: 'Session expired and could not be refreshed, sign in with NEAR again',
+            details: { accountId: this.accountId, reason: cause.code },
+            cause,
+          });
+          this.authConfig = null;
+          this.emitAuthChange({ type: 'expired', accountId: this.accountId, error: reauthenticate });
+          throw reauthenticate;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Refresh ahead of time when the token is about to expire
+   */
+  private async ensureFreshToken(config: AxiosRequestConfig, override?: RequestOverride): Promise<void> {
+    if (this.refreshPromise) {
+      await this.refreshPromise;
+      return;
+    }
+
+    const expiresAt = this.authConfig?.expiresAt ? Date.parse(this.authConfig.expiresAt) : NaN;
+    if (!Number.isNaN(expiresAt) && expiresAt - Date.now() <= this.refreshThreshold && this.canRefreshToken(config, override)) {
+      await this.refreshAuth();
+    }
+  }
+
+  /**
+   * Map API errors to the matching CrosspostApiError subclass
+   */
+  private mapError(error: any): CrosspostApiError {
+    return toCrosspostApiError(error);
+  }
+
+  /**
+   * Attach the per-platform breakdown and remember the request, for retryFailedPlatforms()
+   */
+  private trackWrite<T>(operation: OutboxOperation, request: any, override: RequestOverride | undefined, response: T): T {
+    if (!response || typeof response !== 'object') {
+      return response;
+    }
+    const tracked = {
+      ...response,
+      platformResults: normalizePlatformResults(response, request?.platforms || []),
+    } as T;
+    this.writeOrigins.set(tracked as object, { operation, request, override });
+    return tracked;
+  }
+
+  /**
+   * Send a write under an idempotency key, reused by retries and outbox replays
+   */
+  private executeIdempotent<T>(
+    operation: OutboxOperation,
+    config: AxiosRequestConfig,
+    override?: RequestOverride
+  ): Promise<T> {
+    if (!this.idempotency) {
+      return this.executeWrite<T>(operation, config, override);
+    }
+    return this.idempotency.run(operation, config.data, override, (keyed) => this.executeWrite<T>(operation, config, keyed));
+  }
+
+  /**
+   * Send a write, or store it in the outbox when the network is unavailable or too slow
+   */
+  private async executeWrite<T>(
+    operation: OutboxOperation,
+    config: AxiosRequestConfig,
+    override?: RequestOverride
+  ): Promise<T> {
+    if (!this.outbox) {
+      return this.trackWrite(operation, config.data, override, await this.executeRequest<T>(config, override));
+    }
+
+    // Writes queued earlier go first, so that replays can't overtake newer writes. While replays
+    // back off (e.g. after a 429), this write waits in the queue too instead of asking again.
+    const { nextAttemptAt } = this.outbox.getState();
+    if (this.outbox.size && !(nextAttemptAt && nextAttemptAt > Date.now())) {
+      await this.outbox.flush();
+    }
+    const blocker = this.outbox.blockedBy;
+    if (blocker) {
+      // Queued writes wait for a new sign-in; queueing this one as "offline" would hide that
+      throw new CrosspostAuthError({
+        code: blocker.code,
+        message: `${operation} was not sent: queued writes need a new sign-in first (${blocker.message})`,
+        details: { operation, queued: this.outbox.size },
+        statusCode: blocker.statusCode,
+        cause: blocker,
+      });
+    }
+
+    let cause: CrosspostApiError | undefined;
+    if (!this.outbox.size) {
+      try {
+        return this.trackWrite(operation, config.data, override, await this.executeRequest<T>(config, override));
+      } catch (error) {
+        cause = this.mapError(error);
+        // A timed-out write may have arrived; its idempotency key keeps the replay from doubling it
+        if (cause.code !== 'NETWORK_ERROR' && cause.code !== 'TIMEOUT') {
+          throw cause;
         }
-        // Still include account ID for context
-        config.headers['X-Near-Account'] = override?.accountId || this.accountId;
       }
-      
-      return config;
+    }
+
+    const entry = await this.outbox.enqueue({
+      operation,
+      method: config.method as 'post' | 'delete',
+      url: config.url as string,
+      data: config.data,
+      override,
+    });
+    if (!entry) {
+      // Cancelled out a queued write (e.g. unlike after a queued like): the net result already holds
+      return this.trackWrite(operation, config.data, override, {
+        success: true,
+        message: `${operation} cancelled out a queued write, nothing needs to be sent`,
+      } as T);
+    }
+    throw new CrosspostQueuedError({
+      code: 'QUEUED_OFFLINE',
+      message: `${operation} was queued and will be sent when the connection is back`,
+      details: { operation, entryId: entry.id },
+      entryId: entry.id,
+      cause,
     });
+  }
 
-    return client;
+  /**
+   * Execute request through the response cache: GETs may be served from it, writes invalidate it
+   */
+  private async executeRequest<T>(
+    config: AxiosRequestConfig,
+    override?: RequestOverride
+  ): Promise<T> {
+    const accountId = override?.accountId || this.accountId;
+    if ((config.method || 'get').toLowerCase() !== 'get') {
+      const response = await this.sendRequest<T>(config, override);
+      await this.cache?.invalidateAfterWrite(config.url || '/', config.data, accountId);
+      return response;
+    }
+
+    if (!this.cache) {
+      return this.sendGet<T>(config, override);
+    }
+    const cacheRequest = { path: config.url || '/', params: config.params, accountId };
+    if (override?.cache === false) {
+      const response = await this.sendGet<T>(config, override);
+      await this.cache.put(cacheRequest, response);
+      return response;
+    }
+    return this.cache.fetch(cacheRequest, () => this.sendGet<T>(config, override));
   }
 
   /**
-   * Map API errors to consistent CrosspostError format
+   * Send a GET, sharing the request with identical ones already in flight
    */
-  private mapError(error: any): CrosspostError {
-    const timestamp = new Date().toISOString();
-    
-    if (error.response) {
-      // API responded with error status
-      const { status, data } = error.response;
-      return {
-        code: data?.code || `HTTP_${status}`,
-        message: data?.message || error.message || `HTTP ${status} Error`,
-        details: data?.details || { status, url: error.config?.url },
-        statusCode: status,
-        timestamp,
-      };
-    } else if (error.request) {
-      // Network error
-      return {
-        code: 'NETWORK_ERROR',
-        message: 'Network request failed',
-        details: { url: error.config?.url },
-        timestamp,
-      };
-    } else {
-      // Other error
-      return {
-        code: 'UNKNOWN_ERROR',
-        message: error.message || 'Unknown error occurred',
-        timestamp,
-      };
+  private sendGet<T>(config: AxiosRequestConfig, override?: RequestOverride): Promise<T> {
+    if (!this.coalescer) {
+      return this.sendRequest<T>(config, override);
     }
+    const { signal, ...shared } = override || {};
+    const key = stableStringify({
+      url: config.url,
+      params: config.params ?? {},
+      accountId: override?.accountId || this.accountId,
+      headers: override?.headers ?? {},
+    });
+    return this.coalescer.run(key, signal, (sharedSignal) => this.sendRequest<T>({ ...config, signal: sharedSignal }, shared));
   }
 
   /**
-   * Execute request with error mapping and optional overrides
+   * Send a request with error mapping, retries and optional overrides
    */
-  private async executeRequest<T>(
-    requestFn: (client: AxiosInstance) => Promise<AxiosResponse<T>>,
+  private async sendRequest<T>(
+    config: AxiosRequestConfig,
     override?: RequestOverride
   ): Promise<T> {
-    try {
-      const client = override ? this.createRequestWithOverrides(override) : this.client;
-      const response = await requestFn(client);
-      return response.data;
-    } catch (error) {
-      const crosspostError = this.mapError(error);
-      throw crosspostError;
+    const request = this.applyOverrides(config, override);
+    const headers = request.headers as Record<string, any> | undefined;
+    const endpoint = config.url || '/';
+    let refreshed = false;
+
+    if (this.canRefreshToken(config, override)) {
+      await this.ensureFreshToken(config, override);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.rateLimits.acquire(endpoint, request.signal as AbortSignal | undefined);
+        const response: AxiosResponse<T> = await this.client.request<T>(request);
+        this.rateLimits.updateFromHeaders(endpoint, response.headers);
+        return this.checkResponse(config, response.data);
+      } catch (error) {
+        if (error instanceof CrosspostSchemaError) {
+          // The server answered; asking again would get the same answer
+          throw error;
+        }
+        const crosspostError = this.mapError(error);
+        const failed = (error as any)?.response;
+        this.rateLimits.updateFromHeaders(endpoint, failed?.headers, failed?.status);
+        if (crosspostError instanceof CrosspostRateLimitError && crosspostError.statusCode === 429 && crosspostError.retryAfter !== undefined) {
+          this.rateLimits.markExhausted(endpoint, crosspostError.retryAfter);
+        }
+
+        if (crosspostError.statusCode === 401 && !refreshed && this.canRefreshToken(config, override)) {
+          // Replay once with the new token; skip the refresh if another request already did it
+          refreshed = true;
+          const sentToken = String((error as any)?.config?.headers?.Authorization || '').replace(/^Bearer /, '');
+          if (sentToken === this.authConfig?.nearSignature) {
+            await this.refreshAuth();
+          }
+          attempt--;
+          continue;
+        }
+
+        const delay = this.retryPolicy
+          ? getRetryDelay(this.retryPolicy, crosspostError, { method: config.method, headers }, attempt)
+          : null;
+
+        if (delay === null) {
+          throw crosspostError;
+        }
+
+        this.retryPolicy?.onRetry?.({
+          attempt,
+          delay,
+          error: crosspostError,
+          method: (config.method || 'get').toLowerCase(),
+          url: config.url,
+        });
+        await sleep(delay);
+      }
     }
   }
 
+  /**
+   * Check a response against the schema of its endpoint when ClientConfig.responseValidation is set
+   */
+  private checkResponse<T>(config: AxiosRequestConfig, data: T): T {
+    const options = this.responseValidation;
+    const method = (config.method || 'get').toLowerCase();
+    const url = config.url || '/';
+    const name = options && responseSchemaFor(method, url);
+    if (!options || !name) {
+      return data;
+    }
+    const onIssues = options.onIssues;
+    return validateSchema(responseSchemas[name] as Schema<any>, data, {
+      // A write the server accepted must still be recorded and invalidate the cache; throwing now would invite a duplicate
+      mode: method === 'get' ? options.mode : 'lenient',
+      label: `${name} from ${method.toUpperCase()} ${url}`,
+      onIssues: onIssues && ((issues) => onIssues(issues, { method, url, schema: name })),
+    });
+  }
+
   /**
    * Health check with overrides
+   * @deprecated Use health(override), which reports failures in its response instead of throwing
    */
   async healthWithOverrides(override?: RequestOverride): Promise<HealthResponse> {
-    return this.executeRequest(
-      (client) => client.get('/health'),
-      override
-    );
+    return this.executeRequest<HealthResponse>({ method: 'get', url: '/health' }, override);
   }
 
   /**
    * Create post with overrides
+   * @deprecated Use createPost(request, override)
    */
   async createPostWithOverrides(
     request: CreatePostRequest,
     override?: RequestOverride
   ): Promise<CreatePostResponse> {
-    return this.executeRequest(
-      (client) => client.post('/api/posts', request),
-      override
-    );
+    return this.createPost(request, override);
   }
 
   /**
    * Get rate limits with overrides
+   * @deprecated Use getRateLimits(override)
    */
   async getRateLimitsWithOverrides(override?: RequestOverride): Promise<RateLimitsResponse> {
-    return this.executeRequest(
-      (client) => client.get('/api/rate-limits'),
-      override
-    );
+    return this.getRateLimits(override);
   }
 }
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { CrosspostAbortError } from './errors';
+import { FakeCrosspostServer } from './testing';
+
+function setup(coalesce?: boolean) {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter, coalesce });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  const count = (path: string, method = 'get') => fake.requests.filter((request) => request.method === method && request.path === path).length;
+  return { fake, client, count };
+}
+
+describe('request coalescing', () => {
+  it('shares one request between identical concurrent GETs', async () => {
+    const { client, count } = setup();
+
+    const [first, second, third] = await Promise.all([client.getAuthStatus(), client.getAuthStatus(), client.getAuthStatus()]);
+
+    expect(count('/api/auth/status')).toBe(1);
+    expect(second).toEqual(first);
+    expect(third).toEqual(first);
+  });
+
+  it('gives every caller its own copy of the response', async () => {
+    const { client } = setup();
+
+    const [first, second] = await Promise.all([client.getAuthStatus(), client.getAuthStatus({ signal: new AbortController().signal })]);
+    first.accountId = 'changed.near';
+
+    expect(second).not.toBe(first);
+    expect(second.accountId).toBe('alice.near');
+  });
+
+  it('keeps different params, accounts and sequential calls apart', async () => {
+    const { client, count } = setup();
+
+    await Promise.all([client.getLeaderboard('daily'), client.getLeaderboard('weekly')]);
+    await Promise.all([client.getAuthStatus(), client.getAuthStatus({ accountId: 'bob.near' })]);
+    await client.getAuthStatus();
+
+    expect(count('/api/activity/leaderboard')).toBe(2);
+    expect(count('/api/auth/status')).toBe(3);
+  });
+
+  it('never coalesces writes', async () => {
+    const { client, count } = setup();
+    const { post } = await client.createPost({ content: { text: 'Hi' }, platforms: ['twitter'] });
+
+    await Promise.all([
+      client.likePost({ postId: post.id, platforms: ['twitter'] }),
+      client.likePost({ postId: post.id, platforms: ['twitter'] }),
+    ]);
+
+    expect(count('/api/posts/like', 'post')).toBe(2);
+  });
+
+  it('rejects only the caller that aborted', async () => {
+    const { fake, client, count } = setup();
+    fake.inject({ path: '/api/auth/status', latency: 50 });
+    const controller = new AbortController();
+
+    const mine = client.getAuthStatus({ signal: controller.signal });
+    const other = client.getAuthStatus();
+    controller.abort();
+
+    await expect(mine).rejects.toBeInstanceOf(CrosspostAbortError);
+    await expect(other).resolves.toMatchObject({ accountId: 'alice.near' });
+    expect(count('/api/auth/status')).toBe(1);
+  });
+
+  it('can be turned off', async () => {
+    const { client, count } = setup(false);
+
+    await Promise.all([client.getAuthStatus(), client.getAuthStatus()]);
+
+    expect(count('/api/auth/status')).toBe(2);
+  });
+});
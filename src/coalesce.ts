@@ -0,0 +1,81 @@
+import { CrosspostAbortError } from './errors';
+
+interface SharedRequest {
+  promise: Promise<unknown>;
+  controller: AbortController;
+  callers: number; // callers still waiting for the response
+}
+
+function abortError(key: string): CrosspostAbortError {
+  return new CrosspostAbortError({ code: 'ABORTED', message: 'Request was cancelled', details: { request: key } });
+}
+
+/**
+ * Every caller gets its own top-level object or array; nested values are still shared
+ */
+function shallowCopy<T>(value: T): T {
+  if (Array.isArray(value)) {
+    return [...value] as T;
+  }
+  return value && typeof value === 'object' ? { ...value } : value;
+}
+
+/**
+ * Lets identical concurrent requests share one underlying request. A caller that aborts only
+ * stops waiting; the request itself is aborted once every caller has.
+ */
+export class RequestCoalescer {
+  private readonly inFlight = new Map<string, SharedRequest>();
+
+  run<T>(key: string, signal: AbortSignal | undefined, send: (signal: AbortSignal) => Promise<T>): Promise<T> {
+    if (signal?.aborted) {
+      return Promise.reject(abortError(key));
+    }
+
+    let shared = this.inFlight.get(key);
+    if (!shared) {
+      const controller = new AbortController();
+      const created: SharedRequest = { controller, callers: 0, promise: Promise.resolve() };
+      created.promise = send(controller.signal).finally(() => {
+        if (this.inFlight.get(key) === created) {
+          this.inFlight.delete(key);
+        }
+      });
+      // Rejections reach callers through their own promises; this one may be left unobserved
+      created.promise.catch(() => undefined);
+      this.inFlight.set(key, created);
+      shared = created;
+    }
+    shared.callers++;
+
+    const request = shared;
+    if (!signal) {
+      return request.promise.then((value) => shallowCopy(value as T));
+    }
+
+    return new Promise<T>((resolve, reject) => {
+      const onAbort = () => {
+        request.callers--;
+        if (request.callers === 0) {
+          request.controller.abort();
+          // Later callers start a fresh request instead of joining the aborted one
+          if (this.inFlight.get(key) === request) {
+            this.inFlight.delete(key);
+          }
+        }
+        reject(abortError(key));
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      request.promise.then(
+        (value) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(shallowCopy(value as T));
+        },
+        (error) => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+}
@@ -0,0 +1,127 @@
+import { act, create, ReactTestInstance, ReactTestRenderer } from 'react-test-renderer';
+import { describe, expect, it, vi } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { Composer, ComposerProps } from './composer';
+import { FakeCrosspostServer } from './testing';
+
+(globalThis as any).IS_REACT_ACT_ENVIRONMENT = true;
+
+// PNG signature plus an IHDR chunk for a 3x2 image
+const PNG = Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 73, 72, 68, 82, 0, 0, 0, 3, 0, 0, 0, 2, 8, 6, 0, 0, 0]);
+
+async function setup(props: Partial<ComposerProps> = {}) {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter, retry: false });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  await client.loginToPlatform('twitter', {});
+  await client.loginToPlatform('mastodon', {});
+
+  let renderer!: ReactTestRenderer;
+  act(() => {
+    renderer = create(<Composer client={client} {...props} />);
+  });
+  await settle(() => expect(checkboxes(renderer)).toHaveLength(2));
+  return { fake, client, renderer };
+}
+
+// Lets the fake server answer and React commit, until `check` passes
+async function settle(check: () => void) {
+  for (let attempt = 0; ; attempt++) {
+    await act(() => new Promise((resolve) => setTimeout(resolve, 5)));
+    try {
+      check();
+      return;
+    } catch (error) {
+      if (attempt >= 100) {
+        throw error;
+      }
+    }
+  }
+}
+
+const slots = (renderer: ReactTestRenderer, name: string) => renderer.root.findAll((node) => typeof node.type === 'string'
+  && String(node.props.className || '').split(' ').includes(`crosspost-composer__${name}`));
+const checkboxes = (renderer: ReactTestRenderer) => renderer.root.findAll((node) => node.type === 'input' && node.props.type === 'checkbox');
+const textOf = (node: ReactTestInstance): string => node.children.map((child) => (typeof child === 'string' ? child : textOf(child))).join('');
+const submitButton = (renderer: ReactTestRenderer) => slots(renderer, 'submit')[0];
+
+function type(renderer: ReactTestRenderer, text: string) {
+  act(() => renderer.root.findByProps({ 'aria-label': 'Post text' }).props.onChange({ target: { value: text } }));
+}
+
+describe('Composer', () => {
+  it('selects the connected platforms and counts characters per platform', async () => {
+    const { renderer } = await setup();
+
+    type(renderer, 'Hello');
+
+    expect(checkboxes(renderer).map((box) => box.props.checked)).toEqual([true, true]);
+    expect(slots(renderer, 'counter').map(textOf)).toEqual(['5/280', '5/500']);
+    expect(submitButton(renderer).props.disabled).toBe(false);
+
+    type(renderer, 'x'.repeat(300));
+
+    const [twitter] = slots(renderer, 'counter');
+    expect(twitter.props['data-over']).toBe(true);
+    expect(slots(renderer, 'issues')).toHaveLength(1);
+    expect(submitButton(renderer).props.disabled).toBe(true);
+
+    act(() => checkboxes(renderer)[0].props.onChange());
+    expect(submitButton(renderer).props.disabled).toBe(false);
+  });
+
+  it('normalizes dropped files and publishes them with the post settings', async () => {
+    const onPublished = vi.fn();
+    const { fake, renderer } = await setup({ onPublished });
+    type(renderer, 'With a picture');
+
+    act(() => slots(renderer, 'dropzone')[0].props.onDrop({
+      preventDefault: () => undefined,
+      dataTransfer: { files: [new File([PNG], 'photo.png', { type: 'image/png' })] },
+    }));
+    await settle(() => expect(slots(renderer, 'attachment')[0].props['data-status']).toBe('ready'));
+    act(() => renderer.root.findByProps({ 'aria-label': 'Alt text for photo.png' }).props.onChange({ target: { value: 'A dot' } }));
+    const [visibility] = renderer.root.findAllByType('select');
+    act(() => visibility.props.onChange({ target: { value: 'followers' } }));
+
+    // Twitter has no followers-only posts
+    expect(submitButton(renderer).props.disabled).toBe(true);
+    act(() => checkboxes(renderer)[0].props.onChange());
+
+    await act(() => submitButton(renderer).props.onClick());
+
+    const [post] = fake.getPosts();
+    expect(post.content.text).toBe('With a picture');
+    expect(post.content.media).toEqual([expect.objectContaining({ type: 'image', alt: 'A dot', url: expect.stringMatching(/^data:image\/png;base64,/) })]);
+    expect(fake.requests.find((request) => request.path === '/api/posts')!.body.visibility).toBe('followers');
+    expect(onPublished).toHaveBeenCalledWith(expect.objectContaining({ success: true }), expect.objectContaining({ platforms: ['mastodon'] }));
+    expect(renderer.root.findByProps({ 'aria-label': 'Post text' }).props.value).toBe('');
+    expect(slots(renderer, 'attachment')).toHaveLength(0);
+  });
+
+  it('shows a failed submission and reports it', async () => {
+    const onError = vi.fn();
+    const { fake, renderer } = await setup({ onError, defaultPlatforms: ['twitter'] });
+    fake.inject({ path: '/api/posts', status: 422, code: 'VALIDATION_ERROR', message: 'Rejected by the server' });
+    type(renderer, 'Hello');
+
+    await act(() => submitButton(renderer).props.onClick());
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    expect(textOf(renderer.root.findByProps({ role: 'alert' }))).toBe('Rejected by the server');
+    expect(renderer.root.findByProps({ 'aria-label': 'Post text' }).props.value).toBe('Hello');
+  });
+
+  it('applies theme variables, class names and the unstyled mode', async () => {
+    const { renderer } = await setup({ theme: { primary: 'hotpink' }, className: 'host', classNames: { submit: 'host-button' } });
+
+    const [root] = slots(renderer, 'root');
+    expect(root.props.className).toBe('crosspost-composer__root host');
+    expect(root.props.style).toMatchObject({ '--crosspost-primary': 'hotpink', display: 'flex' });
+    expect(submitButton(renderer).props.className).toBe('crosspost-composer__submit host-button');
+
+    const { renderer: unstyled } = await setup({ unstyled: true });
+    expect(slots(unstyled, 'root')[0].props.style).toEqual({});
+    expect(submitButton(unstyled).props.style).toBeUndefined();
+  });
+});
@@ -0,0 +1,364 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import type { CSSProperties, DragEvent } from 'react';
+import type {
+  CreatePostRequest,
+  CreatePostResponse,
+  CrosspostPluginClient,
+  MediaItem,
+  MediaNormalizationOptions,
+  NormalizedMedia,
+} from './client';
+import { CrosspostApiError, toCrosspostApiError } from './errors';
+import { generateId } from './events';
+import { CrosspostProvider, useConnectedAccounts, useCreatePost, useCrosspostClient } from './react';
+import { CrosspostTheme, ThemingProps, baseStyles, createSlots, themed } from './theme';
+
+// ===== THEMING =====
+
+export type ComposerTheme = CrosspostTheme;
+
+export type ComposerSlot =
+  | 'root'
+  | 'editor'
+  | 'platforms'
+  | 'platform'
+  | 'counter'
+  | 'dropzone'
+  | 'attachments'
+  | 'attachment'
+  | 'settings'
+  | 'issues'
+  | 'error'
+  | 'submit';
+
+const STYLES: Record<ComposerSlot, CSSProperties> = {
+  root: baseStyles.root,
+  editor: {
+    minHeight: 96,
+    padding: 8,
+    resize: 'vertical',
+    font: 'inherit',
+    color: 'inherit',
+    background: 'transparent',
+    border: `1px solid ${themed('border')}`,
+    borderRadius: themed('radius'),
+  },
+  platforms: { display: 'flex', flexWrap: 'wrap', gap: 8 },
+  platform: { display: 'inline-flex', alignItems: 'center', gap: 4 },
+  counter: baseStyles.muted,
+  dropzone: {
+    padding: 12,
+    textAlign: 'center',
+    color: themed('muted'),
+    background: themed('surface'),
+    border: `1px dashed ${themed('border')}`,
+    borderRadius: themed('radius'),
+  },
+  attachments: { display: 'flex', flexWrap: 'wrap', gap: 8 },
+  attachment: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4,
+    width: 120,
+    padding: 4,
+    fontSize: '0.85em',
+    background: themed('surface'),
+    border: `1px solid ${themed('border')}`,
+    borderRadius: themed('radius'),
+  },
+  settings: { display: 'flex', flexWrap: 'wrap', gap: 12 },
+  issues: { margin: 0, paddingLeft: 16, fontSize: '0.85em', color: themed('danger') },
+  error: baseStyles.error,
+  submit: { ...baseStyles.button, alignSelf: 'flex-end' },
+};
+
+// ===== COMPONENT =====
+
+export interface ComposerAttachment {
+  id: string;
+  name: string;
+  status: 'processing' | 'ready' | 'failed';
+  media?: NormalizedMedia;
+  alt: string;
+  error?: CrosspostApiError;
+}
+
+export interface ComposerProps extends ThemingProps<ComposerSlot> {
+  client?: CrosspostPluginClient; // defaults to the client of the surrounding CrosspostProvider
+  defaultPlatforms?: string[]; // default: every active connected platform
+  placeholder?: string;
+  submitLabel?: string;
+  mediaOptions?: MediaNormalizationOptions; // passed to normalizeMedia for every attachment
+  onPublished?: (response: CreatePostResponse, request: CreatePostRequest) => void;
+  onError?: (error: CrosspostApiError) => void;
+}
+
+const VISIBILITY_OPTIONS: Array<NonNullable<CreatePostRequest['visibility']>> = ['public', 'followers', 'private'];
+const REPLY_OPTIONS: Array<NonNullable<CreatePostRequest['replySettings']>> = ['everyone', 'mentioned', 'followers'];
+
+function toMediaItem(attachment: ComposerAttachment): MediaItem {
+  const media = attachment.media!;
+  return {
+    type: media.type,
+    url: `data:${media.mimeType};base64,${media.data}`,
+    ...(media.thumbnail ? { thumbnail: `data:image/jpeg;base64,${media.thumbnail}` } : {}),
+    ...(attachment.alt ? { alt: attachment.alt } : {}),
+  };
+}
+
+function previewOf(media?: NormalizedMedia): string | undefined {
+  if (media?.thumbnail) {
+    return `data:image/jpeg;base64,${media.thumbnail}`;
+  }
+  return media?.type === 'image' ? `data:${media.mimeType};base64,${media.data}` : undefined;
+}
+
+/**
+ * Ready-made crossposting UI: editor, platform picker with live character counters, media and post settings
+ */
+export function Composer(props: ComposerProps) {
+  return props.client
+    ? <CrosspostProvider client={props.client}><ComposerForm {...props} /></CrosspostProvider>
+    : <ComposerForm {...props} />;
+}
+
+function ComposerForm(props: ComposerProps) {
+  const {
+    defaultPlatforms,
+    placeholder = "What's happening?",
+    submitLabel = 'Post',
+    mediaOptions,
+    onPublished,
+    onError,
+  } = props;
+  const client = useCrosspostClient();
+  const accounts = useConnectedAccounts();
+  const { createPost, pending, error, reset } = useCreatePost();
+
+  const [text, setText] = useState('');
+  const [selected, setSelected] = useState<string[]>(defaultPlatforms || []);
+  const [pickedByUser, setPickedByUser] = useState(defaultPlatforms !== undefined);
+  const [attachments, setAttachments] = useState<ComposerAttachment[]>([]);
+  const [visibility, setVisibility] = useState<CreatePostRequest['visibility']>();
+  const [replySettings, setReplySettings] = useState<CreatePostRequest['replySettings']>();
+  const [dragging, setDragging] = useState(false);
+  const fileInput = useRef<HTMLInputElement>(null);
+  const mounted = useRef(true);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  const connected = useMemo(() => (accounts.data || [])
+    .filter((account) => account.isActive)
+    .map((account) => account.platform), [accounts.data]);
+  // Default platforms stay pickable even when their account isn't connected (the server reports it)
+  const platforms = useMemo(() => Array.from(new Set([...connected, ...(defaultPlatforms || [])])), [connected, defaultPlatforms]);
+
+  useEffect(() => {
+    if (!pickedByUser && accounts.data) {
+      setSelected(Array.from(new Set(connected)));
+    }
+  }, [pickedByUser, accounts.data, connected]);
+
+  const request: CreatePostRequest = {
+    content: {
+      text,
+      ...(attachments.some((attachment) => attachment.status === 'ready')
+        ? { media: attachments.filter((attachment) => attachment.status === 'ready').map(toMediaItem) }
+        : {}),
+    },
+    platforms: selected,
+    ...(visibility ? { visibility } : {}),
+    ...(replySettings ? { replySettings } : {}),
+  };
+  const report = client.validatePost(request);
+  const issues = Array.from(new Set(Object.values(report.platforms).flatMap((result) => result.issues
+    .filter((issue) => issue.severity === 'error' && (issue.code !== 'EMPTY_POST' || text.length > 0))
+    .map((issue) => `${result.platform}: ${issue.message}`))));
+  const processing = attachments.some((attachment) => attachment.status === 'processing');
+  const canSubmit = !pending && !processing && selected.length > 0 && report.valid;
+
+  const slot = createSlots('composer', STYLES, props);
+
+  const togglePlatform = (platform: string) => {
+    setPickedByUser(true);
+    setSelected((current) => (current.includes(platform)
+      ? current.filter((entry) => entry !== platform)
+      : [...current, platform]));
+  };
+
+  const addFiles = (files: ArrayLike<File>) => {
+    Array.from(files).forEach((file) => {
+      const id = generateId();
+      setAttachments((current) => [...current, { id, name: file.name, status: 'processing', alt: '' }]);
+      client.normalizeMedia(file, mediaOptions).then(
+        (media) => ({ status: 'ready' as const, media }),
+        (cause) => ({ status: 'failed' as const, error: toCrosspostApiError(cause) })
+      ).then((result) => {
+        if (mounted.current) {
+          setAttachments((current) => current.map((attachment) => (attachment.id === id ? { ...attachment, ...result } : attachment)));
+        }
+      });
+    });
+  };
+
+  const updateAttachment = (id: string, changes: Partial<ComposerAttachment>) => {
+    setAttachments((current) => current.map((attachment) => (attachment.id === id ? { ...attachment, ...changes } : attachment)));
+  };
+
+  const onDrop = (event: DragEvent<HTMLDivElement>) => {
+    event.preventDefault();
+    setDragging(false);
+    if (event.dataTransfer?.files?.length) {
+      addFiles(event.dataTransfer.files);
+    }
+  };
+
+  const submit = async () => {
+    if (!canSubmit) {
+      return;
+    }
+    try {
+      const response = await createPost(request);
+      if (!mounted.current) {
+        return;
+      }
+      setText('');
+      setAttachments([]);
+      reset();
+      onPublished?.(response, request);
+    } catch (cause) {
+      // Already shown through the error state
+      onError?.(toCrosspostApiError(cause));
+    }
+  };
+
+  return (
+    <div {...slot('root')}>
+      <textarea
+        {...slot('editor')}
+        aria-label="Post text"
+        placeholder={placeholder}
+        value={text}
+        onChange={(event) => setText(event.target.value)}
+      />
+
+      <div {...slot('platforms')} role="group" aria-label="Platforms">
+        {accounts.loading && !accounts.data && <span {...slot('counter')}>Loading accounts…</span>}
+        {accounts.error && <span {...slot('error')}>{accounts.error.message}</span>}
+        {platforms.map((platform) => {
+          const result = report.platforms[platform];
+          const over = result?.characterLimit !== undefined && result.characterCount > result.characterLimit;
+          return (
+            <label key={platform} {...slot('platform')}>
+              <input type="checkbox" checked={selected.includes(platform)} onChange={() => togglePlatform(platform)} />
+              {platform}
+              {result && (
+                <span {...slot('counter', over ? { color: themed('danger') } : undefined)} data-over={over || undefined}>
+                  {result.characterLimit === undefined ? result.characterCount : `${result.characterCount}/${result.characterLimit}`}
+                </span>
+              )}
+            </label>
+          );
+        })}
+      </div>
+
+      <div
+        {...slot('dropzone', dragging ? { borderColor: themed('primary') } : undefined)}
+        data-dragging={dragging || undefined}
+        onDragOver={(event) => {
+          event.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+        onClick={() => fileInput.current?.click()}
+      >
+        Drop images or videos here, or click to choose
+        <input
+          ref={fileInput}
+          type="file"
+          multiple
+          accept="image/*,video/*,audio/*"
+          hidden
+          onChange={(event) => {
+            if (event.target.files) {
+              addFiles(event.target.files);
+            }
+            event.target.value = '';
+          }}
+        />
+      </div>
+
+      {attachments.length > 0 && (
+        <div {...slot('attachments')}>
+          {attachments.map((attachment) => {
+            const preview = previewOf(attachment.media);
+            return (
+              <div key={attachment.id} {...slot('attachment')} data-status={attachment.status}>
+                {preview
+                  ? <img src={preview} alt={attachment.alt || attachment.name} style={{ maxWidth: '100%' }} />
+                  : <span>{attachment.name}</span>}
+                {attachment.status === 'processing' && <span>Processing…</span>}
+                {attachment.status === 'failed' && <span {...slot('error')}>{attachment.error?.message}</span>}
+                {attachment.status === 'ready' && (
+                  <input
+                    aria-label={`Alt text for ${attachment.name}`}
+                    placeholder="Alt text"
+                    value={attachment.alt}
+                    onChange={(event) => updateAttachment(attachment.id, { alt: event.target.value })}
+                  />
+                )}
+                <button
+                  type="button"
+                  aria-label={`Remove ${attachment.name}`}
+                  onClick={() => setAttachments((current) => current.filter((entry) => entry.id !== attachment.id))}
+                >
+                  Remove
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div {...slot('settings')}>
+        <label>
+          Visibility{' '}
+          <select
+            value={visibility || ''}
+            onChange={(event) => setVisibility((event.target.value || undefined) as CreatePostRequest['visibility'])}
+          >
+            <option value="">Default</option>
+            {VISIBILITY_OPTIONS.map((option) => <option key={option} value={option}>{option}</option>)}
+          </select>
+        </label>
+        <label>
+          Replies{' '}
+          <select
+            value={replySettings || ''}
+            onChange={(event) => setReplySettings((event.target.value || undefined) as CreatePostRequest['replySettings'])}
+          >
+            <option value="">Default</option>
+            {REPLY_OPTIONS.map((option) => <option key={option} value={option}>{option}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {issues.length > 0 && (
+        <ul {...slot('issues')}>
+          {issues.map((issue) => <li key={issue}>{issue}</li>)}
+        </ul>
+      )}
+      {error && <div {...slot('error')} role="alert">{error.message}</div>}
+
+      <button {...slot('submit', canSubmit ? undefined : { opacity: 0.5, cursor: 'not-allowed' })} type="button" disabled={!canSubmit} onClick={submit}>
+        {pending ? 'Posting…' : submitLabel}
+      </button>
+    </div>
+  );
+}
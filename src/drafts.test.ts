@@ -0,0 +1,119 @@
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { Draft, DraftManager } from './drafts';
+import { CrosspostNotFoundError, CrosspostValidationError } from './errors';
+import { JsonFileStorage } from './storage';
+import { FakeCrosspostServer } from './testing';
+
+function setup() {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter, retry: false });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  return { fake, client };
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('drafts', () => {
+  it('creates, lists and deletes drafts', async () => {
+    const drafts = setup().client.createDraftManager();
+    const first = await drafts.create({ content: { text: 'First' } });
+    const second = await drafts.create({ content: { text: 'Second' }, platforms: ['twitter'] });
+    await drafts.update(first.id, { content: { text: 'First, edited' } });
+
+    expect((await drafts.list()).map((draft) => draft.content.text)).toEqual(['First, edited', 'Second']);
+
+    await drafts.delete(second.id);
+    expect(await drafts.get(second.id)).toBeUndefined();
+    await expect(drafts.delete(second.id)).rejects.toMatchObject({ code: 'DRAFT_NOT_FOUND', constructor: CrosspostNotFoundError });
+  });
+
+  it('keeps a bounded history and restores an old version as a new one', async () => {
+    const drafts = new DraftManager(vi.fn(), { maxVersions: 2 });
+    const draft = await drafts.create({ content: { text: 'v1' } });
+    await drafts.update(draft.id, { content: { text: 'v2' } });
+    await drafts.update(draft.id, { content: { text: 'v3' }, settings: { visibility: 'private' } });
+    const unchanged = await drafts.update(draft.id, { content: { text: 'v3' } });
+    await drafts.update(draft.id, { content: { text: 'v4' } });
+
+    expect(unchanged.version).toBe(3);
+    expect((await drafts.history(draft.id)).map((entry) => entry.content.text)).toEqual(['v2', 'v3']);
+    await expect(drafts.restore(draft.id, 1)).rejects.toMatchObject({ code: 'DRAFT_VERSION_NOT_FOUND' });
+
+    const restored = await drafts.restore(draft.id, 2);
+
+    expect(restored).toMatchObject({ version: 5, content: { text: 'v2' }, settings: {} });
+    expect(restored.history.map((entry) => entry.version)).toEqual([3, 4]);
+  });
+
+  it('merges autosaves made within the delay into one version', async () => {
+    vi.useFakeTimers();
+    const drafts = new DraftManager(vi.fn(), { autosaveDelay: 500 });
+    const draft = await drafts.create();
+    const saved = vi.fn();
+    drafts.on('saved', saved);
+
+    const first = drafts.autosave(draft.id, { content: { text: 'Hel' } });
+    const second = drafts.autosave(draft.id, { content: { text: 'Hello' }, platforms: ['twitter'] });
+    await vi.advanceTimersByTimeAsync(500);
+
+    expect(await first).toBe(await second);
+    expect(await second).toMatchObject({ version: 2, content: { text: 'Hello' }, platforms: ['twitter'] });
+    expect(saved).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects pending autosaves when the draft is deleted', async () => {
+    const drafts = new DraftManager(vi.fn(), { autosaveDelay: 10000 });
+    const draft = await drafts.create();
+
+    const pending = drafts.autosave(draft.id, { content: { text: 'Lost' } });
+    await drafts.delete(draft.id);
+
+    await expect(pending).rejects.toMatchObject({ code: 'DRAFT_DELETED' });
+  });
+
+  it('publishes through createPost with pending edits and links the post', async () => {
+    const { fake, client } = setup();
+    const drafts = client.createDraftManager({ autosaveDelay: 10000 });
+    const draft = await drafts.create({ content: { text: 'Draft' }, platforms: ['twitter'] });
+    drafts.autosave(draft.id, { content: { text: 'Final' } });
+
+    const response = await drafts.publish(draft.id);
+
+    const published = await drafts.get(draft.id);
+    expect(response.post.content.text).toBe('Final');
+    expect(published).toMatchObject({ status: 'published', postId: response.post.id, version: 2 });
+    expect(fake.requests[0].headers['idempotency-key']).toBe(`draft:${draft.id}:2`);
+    await expect(drafts.update(draft.id, { content: { text: 'Too late' } })).rejects.toMatchObject({ code: 'DRAFT_ALREADY_PUBLISHED' });
+    await expect(drafts.publish(draft.id)).rejects.toBeInstanceOf(CrosspostValidationError);
+    expect(fake.getPosts()).toHaveLength(1);
+  });
+
+  it('needs target platforms to publish', async () => {
+    const publish = vi.fn();
+    const drafts = new DraftManager(publish);
+    const draft = await drafts.create({ content: { text: 'Nowhere' } });
+
+    await expect(drafts.publish(draft.id)).rejects.toMatchObject({ code: 'DRAFT_HAS_NO_PLATFORMS' });
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  it('persists drafts in a JSON file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'crosspost-drafts-'));
+    try {
+      const file = join(dir, 'drafts.json');
+      const draft = await new DraftManager(vi.fn(), { storage: new JsonFileStorage<Draft>(file) }).create({ content: { text: 'Saved' } });
+
+      const reopened = new DraftManager(vi.fn(), { storage: new JsonFileStorage<Draft>(file) });
+
+      expect(await reopened.get(draft.id)).toEqual(draft);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,337 @@
+import type { CreatePostRequest, CreatePostResponse, PostContent } from './client';
+import { CrosspostApiError, CrosspostNotFoundError, CrosspostValidationError } from './errors';
+import { TypedEmitter, generateId } from './events';
+import { MemoryStorage, StorageAdapter } from './storage';
+
+export interface DraftSettings {
+  visibility?: CreatePostRequest['visibility'];
+  replySettings?: CreatePostRequest['replySettings'];
+  scheduledAt?: string;
+}
+
+export interface DraftVersion {
+  version: number;
+  content: PostContent;
+  platforms: string[];
+  settings: DraftSettings;
+  savedAt: string;
+}
+
+export interface Draft {
+  id: string;
+  content: PostContent;
+  platforms: string[];
+  settings: DraftSettings;
+  version: number; // bumped on every save that changes something
+  history: DraftVersion[]; // previous versions, oldest first
+  status: 'draft' | 'published';
+  createdAt: string;
+  updatedAt: string;
+  postId?: string; // set once published through createPost
+  publishedAt?: string;
+}
+
+export interface DraftChanges {
+  content?: PostContent;
+  platforms?: string[];
+  settings?: DraftSettings; // merged into the current settings
+}
+
+export interface DraftManagerOptions {
+  storage?: StorageAdapter<Draft>; // defaults to in-memory
+  maxVersions?: number; // versions kept in history, default 20
+  autosaveDelay?: number; // debounce for autosave() in ms, default 1000
+}
+
+export interface DraftEvents {
+  saved: Draft;
+  deleted: Draft;
+  published: { draft: Draft; response: CreatePostResponse };
+  autosaveFailed: { id: string; error: unknown };
+}
+
+export type DraftPublishFunction = (request: CreatePostRequest, draft: Draft) => Promise<CreatePostResponse>;
+
+interface PendingAutosave {
+  changes: DraftChanges;
+  timer: ReturnType<typeof setTimeout>;
+  waiters: Array<{ resolve: (draft: Draft) => void; reject: (error: unknown) => void }>;
+}
+
+function snapshot(draft: Draft): DraftVersion {
+  return {
+    version: draft.version,
+    content: draft.content,
+    platforms: draft.platforms,
+    settings: draft.settings,
+    savedAt: draft.updatedAt,
+  };
+}
+
+/**
+ * Local drafts with debounced autosave and a bounded version history
+ */
+export class DraftManager {
+  private readonly storage: StorageAdapter<Draft>;
+  private readonly maxVersions: number;
+  private readonly autosaveDelay: number;
+  private readonly events = new TypedEmitter<DraftEvents>();
+  private readonly pending = new Map<string, PendingAutosave>();
+  private readonly locks = new Map<string, Promise<unknown>>();
+
+  constructor(private readonly publishPost: DraftPublishFunction, options: DraftManagerOptions = {}) {
+    this.storage = options.storage || new MemoryStorage<Draft>();
+    this.maxVersions = Math.max(0, options.maxVersions ?? 20);
+    this.autosaveDelay = options.autosaveDelay ?? 1000;
+  }
+
+  on<K extends keyof DraftEvents>(event: K, listener: (payload: DraftEvents[K]) => void): () => void {
+    return this.events.on(event, listener);
+  }
+
+  async create(changes: DraftChanges = {}): Promise<Draft> {
+    const now = new Date().toISOString();
+    const draft: Draft = {
+      id: generateId(),
+      content: changes.content || { text: '' },
+      platforms: changes.platforms || [],
+      settings: changes.settings || {},
+      version: 1,
+      history: [],
+      status: 'draft',
+      createdAt: now,
+      updatedAt: now,
+    };
+    await this.storage.set(draft.id, draft);
+    this.events.emit('saved', draft);
+    return draft;
+  }
+
+  async get(id: string): Promise<Draft | undefined> {
+    return this.storage.get(id);
+  }
+
+  /**
+   * Drafts, most recently updated first
+   */
+  async list(filter: { status?: Draft['status'] } = {}): Promise<Draft[]> {
+    return (await this.storage.entries())
+      .map(([, draft]) => draft)
+      .filter((draft) => !filter.status || draft.status === filter.status)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Save changes as a new version; saves that change nothing keep the current version
+   */
+  update(id: string, changes: DraftChanges): Promise<Draft> {
+    return this.withLock(id, () => this.applyChanges(id, changes));
+  }
+
+  /**
+   * Debounced update: changes made within `autosaveDelay` are merged into one save
+   */
+  autosave(id: string, changes: DraftChanges): Promise<Draft> {
+    const pending = this.pending.get(id);
+    if (pending) {
+      clearTimeout(pending.timer);
+    }
+
+    const merged: DraftChanges = {
+      ...pending?.changes,
+      ...changes,
+      settings: pending?.changes.settings || changes.settings
+        ? { ...pending?.changes.settings, ...changes.settings }
+        : undefined,
+    };
+
+    const saved = new Promise<Draft>((resolve, reject) => {
+      const waiters = [...(pending?.waiters || []), { resolve, reject }];
+      this.pending.set(id, {
+        changes: merged,
+        waiters,
+        timer: setTimeout(() => {
+          this.flush(id).catch(() => undefined);
+        }, this.autosaveDelay),
+      });
+    });
+    // Callers often don't await autosaves; failures are also reported through "autosaveFailed"
+    saved.catch(() => undefined);
+    return saved;
+  }
+
+  /**
+   * Save pending autosaves right away (e.g. before the page unloads)
+   */
+  async flush(id?: string): Promise<void> {
+    const ids = id === undefined ? Array.from(this.pending.keys()) : [id];
+    await Promise.all(ids.map(async (draftId) => {
+      const pending = this.pending.get(draftId);
+      if (!pending) {
+        return;
+      }
+      clearTimeout(pending.timer);
+      this.pending.delete(draftId);
+      try {
+        const draft = await this.update(draftId, pending.changes);
+        pending.waiters.forEach((waiter) => waiter.resolve(draft));
+      } catch (error) {
+        this.events.emit('autosaveFailed', { id: draftId, error });
+        pending.waiters.forEach((waiter) => waiter.reject(error));
+        throw error;
+      }
+    }));
+  }
+
+  async delete(id: string): Promise<void> {
+    const pending = this.pending.get(id);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pending.delete(id);
+      const error = new CrosspostNotFoundError({ code: 'DRAFT_DELETED', message: `Draft ${id} was deleted`, details: { id } });
+      pending.waiters.forEach((waiter) => waiter.reject(error));
+    }
+    await this.withLock(id, async () => {
+      const draft = await this.require(id);
+      await this.storage.delete(id);
+      this.events.emit('deleted', draft);
+    });
+  }
+
+  /**
+   * Previous versions of a draft, oldest first
+   */
+  async history(id: string): Promise<DraftVersion[]> {
+    return (await this.require(id)).history;
+  }
+
+  /**
+   * Bring back an older version; it is saved as a new version so nothing is lost
+   */
+  async restore(id: string, version: number): Promise<Draft> {
+    await this.flush(id);
+    return this.withLock(id, () => this.restoreVersion(id, version));
+  }
+
+  /**
+   * Publish through createPost and link the resulting post back to the draft
+   */
+  async publish(id: string): Promise<CreatePostResponse> {
+    await this.flush(id);
+    // Held for the whole request, so autosaves can't slip in between publishing and linking the post
+    return this.withLock(id, () => this.publishDraft(id));
+  }
+
+  private async applyChanges(id: string, changes: DraftChanges): Promise<Draft> {
+    const draft = await this.require(id);
+    this.assertEditable(draft);
+
+    const next = {
+      content: changes.content ?? draft.content,
+      platforms: changes.platforms ?? draft.platforms,
+      settings: changes.settings ? { ...draft.settings, ...changes.settings } : draft.settings,
+    };
+    const current = { content: draft.content, platforms: draft.platforms, settings: draft.settings };
+    if (JSON.stringify(next) === JSON.stringify(current)) {
+      return draft;
+    }
+
+    return this.save(draft, next);
+  }
+
+  private async restoreVersion(id: string, version: number): Promise<Draft> {
+    const draft = await this.require(id);
+    this.assertEditable(draft);
+    const target = draft.history.find((entry) => entry.version === version);
+    if (!target) {
+      throw new CrosspostNotFoundError({
+        code: 'DRAFT_VERSION_NOT_FOUND',
+        message: `Version ${version} of draft ${id} is not in its history`,
+        details: { id, version, available: draft.history.map((entry) => entry.version) },
+      });
+    }
+    return this.save(draft, { content: target.content, platforms: target.platforms, settings: target.settings });
+  }
+
+  private async publishDraft(id: string): Promise<CreatePostResponse> {
+    const draft = await this.require(id);
+    this.assertEditable(draft);
+    if (!draft.platforms.length) {
+      throw new CrosspostValidationError({
+        code: 'DRAFT_HAS_NO_PLATFORMS',
+        message: `Draft ${id} has no target platforms`,
+        details: { id },
+      });
+    }
+
+    const response = await this.publishPost({
+      content: draft.content,
+      platforms: draft.platforms,
+      ...draft.settings,
+    }, draft);
+    // A partial success still created the post: link it and let the caller retry the failed platforms
+    if (!response.post) {
+      throw new CrosspostApiError({
+        code: 'DRAFT_PUBLISH_FAILED',
+        message: response.message || `Draft ${id} was not published`,
+        details: { id, platformResults: response.platformResults },
+      });
+    }
+
+    const now = new Date().toISOString();
+    const published: Draft = { ...draft, status: 'published', postId: response.post.id, publishedAt: now, updatedAt: now };
+    await this.storage.set(id, published);
+    this.events.emit('published', { draft: published, response });
+    return response;
+  }
+
+  /**
+   * Run read-modify-write operations on one draft one at a time
+   */
+  private withLock<T>(id: string, operation: () => Promise<T>): Promise<T> {
+    const run = (this.locks.get(id) || Promise.resolve()).catch(() => undefined).then(operation);
+    const settled = run.catch(() => undefined);
+    this.locks.set(id, settled);
+    settled.then(() => {
+      if (this.locks.get(id) === settled) {
+        this.locks.delete(id);
+      }
+    });
+    return run;
+  }
+
+  private async save(draft: Draft, next: Pick<Draft, 'content' | 'platforms' | 'settings'>): Promise<Draft> {
+    const saved: Draft = {
+      ...draft,
+      ...next,
+      version: draft.version + 1,
+      history: this.maxVersions ? [...draft.history, snapshot(draft)].slice(-this.maxVersions) : [],
+      updatedAt: new Date().toISOString(),
+    };
+    await this.storage.set(draft.id, saved);
+    this.events.emit('saved', saved);
+    return saved;
+  }
+
+  private async require(id: string): Promise<Draft> {
+    const draft = await this.storage.get(id);
+    if (!draft) {
+      throw new CrosspostNotFoundError({
+        code: 'DRAFT_NOT_FOUND',
+        message: `Draft ${id} not found`,
+        details: { id },
+      });
+    }
+    return draft;
+  }
+
+  private assertEditable(draft: Draft): void {
+    if (draft.status === 'published') {
+      throw new CrosspostValidationError({
+        code: 'DRAFT_ALREADY_PUBLISHED',
+        message: `Draft ${draft.id} was already published as post ${draft.postId}`,
+        details: { id: draft.id, postId: draft.postId },
+      });
+    }
+  }
+}
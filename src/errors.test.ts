@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import {
+  CrosspostAbortError,
+  CrosspostApiError,
+  CrosspostAuthError,
+  CrosspostNetworkError,
+  CrosspostNotFoundError,
+  CrosspostRateLimitError,
+  CrosspostTimeoutError,
+  CrosspostValidationError,
+  isCrosspostApiError,
+  parseRetryAfter,
+  toCrosspostApiError,
+} from './errors';
+import { FakeCrosspostServer } from './testing';
+
+function setup() {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({
+    baseUrl: 'http://fake.local',
+    accountId: 'alice.near',
+    adapter: fake.adapter,
+    timeout: 50,
+    retry: false,
+  });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  return { fake, client };
+}
+
+describe('errors', () => {
+  it.each([
+    [400, CrosspostValidationError],
+    [401, CrosspostAuthError],
+    [403, CrosspostAuthError],
+    [404, CrosspostNotFoundError],
+    [422, CrosspostValidationError],
+    [429, CrosspostRateLimitError],
+    [500, CrosspostApiError],
+  ])('maps HTTP %i to %o', async (status, type) => {
+    const { fake, client } = setup();
+    fake.inject({ path: '/api/activity/leaderboard', status, code: 'SERVER_CODE', message: 'From the server' });
+
+    const error = await client.getLeaderboard().catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(type);
+    expect(error).toMatchObject({ code: 'SERVER_CODE', message: 'From the server', statusCode: status, name: type.name });
+  });
+
+  it('maps transport failures to network, timeout and abort errors', async () => {
+    const { fake, client } = setup();
+    fake.inject({ path: '/api/auth/status', drop: true, times: 1 });
+    fake.inject({ path: '/api/auth/status', latency: 200, times: 1 });
+
+    await expect(client.getAuthStatus()).rejects.toMatchObject({ code: 'NETWORK_ERROR', constructor: CrosspostNetworkError });
+    await expect(client.getAuthStatus()).rejects.toMatchObject({ code: 'TIMEOUT', constructor: CrosspostTimeoutError });
+    const controller = new AbortController();
+    controller.abort();
+    await expect(client.getAuthStatus({ signal: controller.signal })).rejects.toMatchObject({ code: 'ABORTED', constructor: CrosspostAbortError });
+  });
+
+  it('reads retryAfter from the body or the Retry-After header', () => {
+    const fromBody = toCrosspostApiError({ response: { status: 429, data: { retryAfter: 12 }, headers: {} } });
+    const fromHeader = toCrosspostApiError({ response: { status: 429, data: {}, headers: { 'retry-after': '7' } } });
+
+    expect(fromBody).toMatchObject({ retryAfter: 12, code: 'HTTP_429' });
+    expect(fromHeader).toMatchObject({ retryAfter: 7 });
+    expect(parseRetryAfter(new Date(Date.now() + 30_000).toUTCString())).toBeGreaterThanOrEqual(29);
+    expect(parseRetryAfter('soon')).toBeUndefined();
+  });
+
+  it('keeps errors that are already mapped and serializes to a plain object', () => {
+    const error = new CrosspostNotFoundError({ code: 'POST_NOT_FOUND', message: 'Gone', statusCode: 404, requestId: 'req-1' });
+
+    expect(toCrosspostApiError(error)).toBe(error);
+    expect(isCrosspostApiError(error)).toBe(true);
+    expect(isCrosspostApiError(new Error('plain'))).toBe(false);
+    expect(JSON.parse(JSON.stringify(error))).toMatchObject({
+      name: 'CrosspostNotFoundError',
+      code: 'POST_NOT_FOUND',
+      message: 'Gone',
+      statusCode: 404,
+      requestId: 'req-1',
+    });
+  });
+});
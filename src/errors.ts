@@ -0,0 +1,223 @@
+import type { CrosspostError } from './client';
+
+export interface CrosspostApiErrorInit {
+  code: string;
+  message: string;
+  statusCode?: number;
+  details?: Record<string, any>;
+  requestId?: string;
+  timestamp?: string;
+  cause?: unknown;
+}
+
+/**
+ * Base class for every error thrown by CrosspostPluginClient
+ */
+export class CrosspostApiError extends Error implements CrosspostError {
+  readonly code: string;
+  readonly statusCode?: number;
+  readonly details?: Record<string, any>;
+  readonly requestId?: string;
+  readonly timestamp: string;
+  readonly cause?: unknown;
+
+  constructor(init: CrosspostApiErrorInit) {
+    super(init.message);
+    this.name = new.target.name;
+    this.code = init.code;
+    this.statusCode = init.statusCode;
+    this.details = init.details;
+    this.requestId = init.requestId;
+    this.timestamp = init.timestamp || new Date().toISOString();
+    this.cause = init.cause;
+  }
+
+  /**
+   * Plain CrosspostError representation (e.g. for logging or postMessage)
+   */
+  toJSON(): CrosspostError & { name: string; requestId?: string } {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      details: this.details,
+      statusCode: this.statusCode,
+      requestId: this.requestId,
+      timestamp: this.timestamp,
+    };
+  }
+}
+
+/**
+ * 401/403 - the NEAR signature is missing, invalid or expired and must be re-signed
+ */
+export class CrosspostAuthError extends CrosspostApiError {}
+
+/**
+ * 429 - the caller should wait `retryAfter` seconds before trying again
+ */
+export class CrosspostRateLimitError extends CrosspostApiError {
+  readonly retryAfter?: number;
+
+  constructor(init: CrosspostApiErrorInit & { retryAfter?: number }) {
+    super(init);
+    this.retryAfter = init.retryAfter;
+  }
+}
+
+/**
+ * 400/422 - the request (or local input such as media) was rejected as invalid
+ */
+export class CrosspostValidationError extends CrosspostApiError {}
+
+/**
+ * 404 - the requested resource does not exist
+ */
+export class CrosspostNotFoundError extends CrosspostApiError {}
+
+/**
+ * The request was sent but no response was received
+ */
+export class CrosspostNetworkError extends CrosspostApiError {}
+
+/**
+ * The write could not be sent and was stored in the outbox, to be replayed once back online
+ */
+export class CrosspostQueuedError extends CrosspostNetworkError {
+  readonly entryId: string;
+
+  constructor(init: CrosspostApiErrorInit & { entryId: string }) {
+    super(init);
+    this.entryId = init.entryId;
+  }
+}
+
+/**
+ * The request did not complete within the configured timeout
+ */
+export class CrosspostTimeoutError extends CrosspostApiError {}
+
+/**
+ * The caller cancelled the request through RequestOverride.signal
+ */
+export class CrosspostAbortError extends CrosspostApiError {}
+
+/**
+ * A response did not have the expected shape (strict response validation); `path` names the offending field
+ */
+export class CrosspostSchemaError extends CrosspostApiError {
+  readonly path: string;
+
+  constructor(init: CrosspostApiErrorInit & { path: string }) {
+    super(init);
+    this.path = init.path;
+  }
+}
+
+/**
+ * Type guard for errors thrown by the client
+ */
+export function isCrosspostApiError(error: unknown): error is CrosspostApiError {
+  return error instanceof CrosspostApiError;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into seconds
+ */
+export function parseRetryAfter(value: unknown): number | undefined {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds);
+  }
+
+  const date = Date.parse(String(value));
+  if (!Number.isNaN(date)) {
+    return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  }
+
+  return undefined;
+}
+
+/**
+ * Map an axios (or any other) error to the matching CrosspostApiError subclass
+ */
+export function toCrosspostApiError(error: any): CrosspostApiError {
+  if (error instanceof CrosspostApiError) {
+    return error;
+  }
+
+  const timestamp = new Date().toISOString();
+  const url = error?.config?.url;
+
+  if (error?.response) {
+    // API responded with error status
+    const { status, data, headers } = error.response;
+    const init: CrosspostApiErrorInit = {
+      code: data?.code || `HTTP_${status}`,
+      message: data?.message || error.message || `HTTP ${status} Error`,
+      details: data?.details || { status, url },
+      statusCode: status,
+      requestId: headers?.['x-request-id'] || data?.requestId,
+      timestamp,
+      cause: error,
+    };
+
+    if (status === 401 || status === 403) {
+      return new CrosspostAuthError(init);
+    }
+    if (status === 429) {
+      const retryAfter = data?.retryAfter ?? parseRetryAfter(headers?.['retry-after']);
+      return new CrosspostRateLimitError({ ...init, retryAfter });
+    }
+    if (status === 400 || status === 422) {
+      return new CrosspostValidationError(init);
+    }
+    if (status === 404) {
+      return new CrosspostNotFoundError(init);
+    }
+    return new CrosspostApiError(init);
+  }
+
+  if (error?.code === 'ERR_CANCELED' || error?.name === 'AbortError') {
+    return new CrosspostAbortError({
+      code: 'ABORTED',
+      message: 'Request was cancelled',
+      details: { url },
+      timestamp,
+      cause: error,
+    });
+  }
+
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+    return new CrosspostTimeoutError({
+      code: 'TIMEOUT',
+      message: error.message || 'Request timed out',
+      details: { url, timeout: error.config?.timeout },
+      timestamp,
+      cause: error,
+    });
+  }
+
+  if (error?.request) {
+    // Network error
+    return new CrosspostNetworkError({
+      code: 'NETWORK_ERROR',
+      message: 'Network request failed',
+      details: { url },
+      timestamp,
+      cause: error,
+    });
+  }
+
+  // Other error
+  return new CrosspostApiError({
+    code: 'UNKNOWN_ERROR',
+    message: error?.message || 'Unknown error occurred',
+    timestamp,
+    cause: error,
+  });
+}
@@ -0,0 +1,33 @@
+/**
+ * Small typed event emitter; listeners are isolated so one failing listener can't break the others
+ */
+export class TypedEmitter<Events extends Record<string, any>> {
+  private listeners = new Map<keyof Events, Set<(payload: any) => void>>();
+
+  on<K extends keyof Events>(event: K, listener: (payload: Events[K]) => void): () => void {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event)!.add(listener);
+    return () => {
+      this.listeners.get(event)?.delete(listener);
+    };
+  }
+
+  emit<K extends keyof Events>(event: K, payload: Events[K]): void {
+    this.listeners.get(event)?.forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.warn(`${String(event)} listener failed:`, error);
+      }
+    });
+  }
+}
+
+export function generateId(): string {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
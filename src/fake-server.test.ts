@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { CrosspostAuthError, CrosspostNetworkError, CrosspostRateLimitError } from './errors';
+import { FakeCrosspostServer } from './testing';
+
+function setup(fake = new FakeCrosspostServer()) {
+  // The governor only tracks here, so the server's own limits are what gets exercised
+  const client = new CrosspostPluginClient({
+    baseUrl: 'http://fake.local',
+    accountId: 'alice.near',
+    adapter: fake.adapter,
+    retry: false,
+    rateLimit: { enabled: false },
+  });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  return { fake, client };
+}
+
+describe('fake server', () => {
+  it('stores posts and records every request', async () => {
+    const { fake, client } = setup();
+
+    const { post } = await client.createPost({ content: { text: 'Hello' }, platforms: ['twitter'] });
+    const posts = await client.getAccountPosts('alice.near');
+
+    expect(fake.getPosts()).toEqual([expect.objectContaining({ id: post.id })]);
+    expect(posts.posts.map((item) => item.id)).toEqual([post.id]);
+    expect(fake.requests.map((request) => `${request.method} ${request.path}`)).toEqual([
+      'post /api/posts',
+      'get /api/activity/account/alice.near/posts',
+    ]);
+    expect(fake.requests[0].headers['x-near-account']).toBe('alice.near');
+  });
+
+  it('injects faults for the given number of matching requests', async () => {
+    const { fake, client } = setup();
+    fake.inject({ path: '/api/auth/status', status: 429, retryAfter: 3, times: 1 });
+    const offline = fake.inject({ path: /^\/api\/activity\//, drop: true });
+
+    await expect(client.getAuthStatus()).rejects.toMatchObject({ code: 'HTTP_429', retryAfter: 3 });
+    await expect(client.getAuthStatus()).resolves.toMatchObject({ accountId: 'alice.near' });
+    await expect(client.getLeaderboard()).rejects.toBeInstanceOf(CrosspostNetworkError);
+
+    offline();
+    await expect(client.getLeaderboard()).resolves.toBeDefined();
+  });
+
+  it('rejects writes with an unknown token', async () => {
+    const fake = new FakeCrosspostServer();
+    const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter, retry: false });
+    client.setAuth({ accountId: 'alice.near', nearSignature: 'not-a-token' });
+
+    await expect(client.createPost({ content: { text: 'Hi' }, platforms: ['twitter'] })).rejects.toBeInstanceOf(CrosspostAuthError);
+    expect(fake.getPosts()).toHaveLength(0);
+  });
+
+  it('enforces its per-endpoint rate limit', async () => {
+    const { client } = setup(new FakeCrosspostServer({ rateLimit: { limit: 2, windowMs: 60000 } }));
+
+    await client.getLeaderboard();
+    await client.getLeaderboard();
+
+    await expect(client.getLeaderboard()).rejects.toBeInstanceOf(CrosspostRateLimitError);
+  });
+
+  it('sends rate-limit headers the governor can read', async () => {
+    const { client } = setup(new FakeCrosspostServer({ rateLimit: { limit: 5, windowMs: 60000 } }));
+
+    await client.getLeaderboard();
+    await client.getLeaderboard();
+
+    expect(client.rateLimits.snapshot().endpoints['/api/activity/leaderboard']).toMatchObject({ limit: 5, remaining: 3 });
+  });
+
+  it('serves the same API over HTTP', async () => {
+    const fake = new FakeCrosspostServer();
+    const server = await fake.listen();
+    try {
+      const client = new CrosspostPluginClient({ baseUrl: server.url, accountId: 'alice.near', retry: false });
+      client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+
+      await client.createPost({ content: { text: 'Over HTTP' }, platforms: ['twitter'] });
+
+      expect(fake.getPosts().map((post) => post.content.text)).toEqual(['Over HTTP']);
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,853 @@
+import axios, { AxiosError, AxiosResponse, CanceledError, InternalAxiosRequestConfig } from 'axios';
+import type {
+  ActivityItem,
+  ConnectedAccount,
+  CrosspostError,
+  LeaderboardEntry,
+  Post,
+  PostContent,
+  RateLimitInfo,
+} from './client';
+import { base64ToBytes } from './encoding';
+import { generateId } from './events';
+
+export interface FakeRequest {
+  method: string; // lower case
+  path: string;
+  query: Record<string, any>;
+  headers: Record<string, string>; // lower-case names
+  body?: any;
+}
+
+export interface FakeResponse {
+  status: number;
+  headers?: Record<string, string>; // lower-case names, as real transports hand them to axios
+  body?: unknown;
+}
+
+export interface FakeFault {
+  method?: string; // only requests with this method
+  path?: string | RegExp; // only this path (exact match) or pattern
+  times?: number; // how many matching requests are affected, default all of them
+  latency?: number; // delay before answering (ms)
+  status?: number; // answer with this error status instead of handling the request
+  code?: string;
+  message?: string;
+  retryAfter?: number; // seconds, sent as Retry-After and `retryAfter` (429s)
+  drop?: boolean; // close the connection without answering (NETWORK_ERROR on the client)
+  failPlatforms?: string[]; // writes still succeed, but report these platforms as failed
+}
+
+export interface FakeServerOptions {
+  latency?: number; // added to every request (ms)
+  rateLimit?: { limit: number; windowMs: number }; // per account and endpoint, default 1000 per minute
+  tokenTtl?: number; // lifetime of issued tokens (ms), default 1 hour
+  acceptNearTokens?: boolean; // accept createNearAuthToken() tokens (signatures are not verified), default true
+  platforms?: string[]; // platforms the server knows about
+}
+
+export interface FakeListener {
+  url: string;
+  close(): Promise<void>;
+}
+
+interface FakeAccount {
+  accountId: string;
+  displayName: string;
+  connectedAccounts: ConnectedAccount[];
+}
+
+interface FakeToken {
+  accountId: string;
+  expiresAt: number;
+}
+
+type Handler = (request: FakeRequest, params: string[], accountId: string) => FakeResponse | Promise<FakeResponse>;
+
+const DEFAULT_PLATFORMS = ['twitter', 'x', 'mastodon', 'bluesky', 'bsky', 'threads', 'linkedin', 'facebook'];
+
+const PERMISSIONS = ['post', 'like', 'repost', 'delete'];
+
+function ok(body: unknown, status = 200): FakeResponse {
+  return { status, body };
+}
+
+function fail(status: number, code: string, message: string, details?: Record<string, any>): FakeResponse {
+  const body: CrosspostError & { details?: Record<string, any> } = {
+    code,
+    message,
+    statusCode: status,
+    timestamp: new Date().toISOString(),
+  };
+  if (details) {
+    body.details = details;
+  }
+  return { status, body };
+}
+
+/**
+ * Query string to an object; `a[]=1&a[]=2`, repeated keys and `range[start]=x` are understood
+ */
+function parseQuery(search: URLSearchParams): Record<string, any> {
+  const query: Record<string, any> = {};
+  search.forEach((value, rawKey) => {
+    const nested = rawKey.match(/^([^[\]]+)\[([^[\]]+)\]$/);
+    if (nested) {
+      query[nested[1]] = { ...query[nested[1]], [nested[2]]: value };
+      return;
+    }
+    const key = rawKey.replace(/\[\]$/, '');
+    if (rawKey.endsWith('[]') || key in query) {
+      query[key] = ([] as string[]).concat(query[key] ?? [], value);
+    } else {
+      query[key] = value;
+    }
+  });
+  return query;
+}
+
+function list(value: unknown): string[] | undefined {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  return Array.isArray(value) ? value.map(String) : String(value).split(',');
+}
+
+function paginate<T>(items: T[], query: Record<string, any>) {
+  const page = Math.max(1, Number(query.page) || 1);
+  const limit = Math.max(1, Number(query.limit) || 20);
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    pagination: { page, limit, total: items.length, hasMore: page * limit < items.length },
+  };
+}
+
+function inRange(timestamp: string, range?: { start?: string; end?: string }): boolean {
+  return (!range?.start || timestamp >= range.start) && (!range?.end || timestamp <= range.end);
+}
+
+/**
+ * In-memory OpenCrosspost API for tests: every route the client calls, bearer token and
+ * X-Near-Account checks, per-endpoint rate limits and scripted faults.
+ * Use it in-process through `adapter` (ClientConfig.adapter) or over HTTP with `listen()` in Node.js.
+ */
+export class FakeCrosspostServer {
+  readonly requests: FakeRequest[] = [];
+  private readonly options: Required<Omit<FakeServerOptions, 'rateLimit'>> & { rateLimit: { limit: number; windowMs: number } };
+  private readonly routes: Array<{ method: string; pattern: RegExp; handler: Handler; public?: boolean }> = [];
+  private faults: FakeFault[] = [];
+  private accounts = new Map<string, FakeAccount>();
+  private tokens = new Map<string, FakeToken>();
+  private posts = new Map<string, Post>();
+  private likes = new Map<string, Set<string>>();
+  private activities: ActivityItem[] = [];
+  private idempotent = new Map<string, FakeResponse>();
+  private windows = new Map<string, { count: number; resetAt: number }>();
+
+  constructor(options: FakeServerOptions = {}) {
+    this.options = {
+      latency: options.latency ?? 0,
+      rateLimit: options.rateLimit ?? { limit: 1000, windowMs: 60000 },
+      tokenTtl: options.tokenTtl ?? 60 * 60 * 1000,
+      acceptNearTokens: options.acceptNearTokens ?? true,
+      platforms: options.platforms ?? DEFAULT_PLATFORMS,
+    };
+    this.registerRoutes();
+  }
+
+  // ===== TEST CONTROLS =====
+
+  /**
+   * Script a fault; returns a function that removes it again
+   */
+  inject(fault: FakeFault): () => void {
+    const entry = { ...fault };
+    this.faults.push(entry);
+    return () => {
+      this.faults = this.faults.filter((candidate) => candidate !== entry);
+    };
+  }
+
+  clearFaults(): void {
+    this.faults = [];
+  }
+
+  /**
+   * Issue a bearer token for an account, as authorize-near would
+   */
+  issueToken(accountId: string, ttl: number = this.options.tokenTtl): string {
+    const token = `fake.${accountId}.${generateId()}`;
+    this.tokens.set(token, { accountId, expiresAt: Date.now() + ttl });
+    this.account(accountId);
+    return token;
+  }
+
+  /**
+   * Make a token fail validation from now on, e.g. to exercise refresh flows
+   */
+  expireToken(token: string): void {
+    const entry = this.tokens.get(token);
+    if (entry) {
+      entry.expiresAt = Date.now() - 1;
+    }
+  }
+
+  getPosts(): Post[] {
+    return Array.from(this.posts.values());
+  }
+
+  reset(): void {
+    this.requests.length = 0;
+    this.faults = [];
+    this.accounts.clear();
+    this.tokens.clear();
+    this.posts.clear();
+    this.likes.clear();
+    this.activities = [];
+    this.idempotent.clear();
+    this.windows.clear();
+  }
+
+  // ===== TRANSPORTS =====
+
+  /**
+   * axios adapter that answers from this server without any network
+   */
+  readonly adapter = async (config: InternalAxiosRequestConfig): Promise<AxiosResponse> => {
+    const url = new URL(axios.getUri(config), 'http://fake.local');
+    const headers: Record<string, string> = {};
+    Object.entries(config.headers?.toJSON?.() ?? config.headers ?? {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) {
+        headers[name.toLowerCase()] = String(value);
+      }
+    });
+    let body = config.data;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        // Keep non-JSON bodies as they are
+      }
+    }
+
+    if (config.signal?.aborted) {
+      throw new CanceledError(undefined, undefined, config);
+    }
+
+    const request = { method: (config.method || 'get').toLowerCase(), path: url.pathname, query: parseQuery(url.searchParams), headers, body };
+    const pending = this.handle(request);
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    let onAbort: (() => void) | undefined;
+    const response = await Promise.race([
+      pending,
+      new Promise<'timeout'>((resolve) => {
+        if (config.timeout) {
+          timer = setTimeout(() => resolve('timeout'), config.timeout);
+        }
+      }),
+      new Promise<'aborted'>((resolve) => {
+        onAbort = () => resolve('aborted');
+        config.signal?.addEventListener?.('abort', onAbort);
+      }),
+    ]).finally(() => {
+      clearTimeout(timer);
+      config.signal?.removeEventListener?.('abort', onAbort!);
+    });
+
+    if (response === 'aborted') {
+      // Like a real transport, the request may already have reached the server
+      throw new CanceledError(undefined, undefined, config);
+    }
+    if (response === 'timeout') {
+      throw new AxiosError(`timeout of ${config.timeout}ms exceeded`, AxiosError.ECONNABORTED, config, {});
+    }
+    if (response === null) {
+      throw new AxiosError('socket hang up', AxiosError.ERR_NETWORK, config, {});
+    }
+
+    const axiosResponse: AxiosResponse = {
+      data: response.body,
+      status: response.status,
+      statusText: String(response.status),
+      headers: response.headers || {},
+      config,
+      request: {},
+    };
+    if (response.status >= 400) {
+      throw new AxiosError(`Request failed with status code ${response.status}`, AxiosError.ERR_BAD_RESPONSE, config, {}, axiosResponse);
+    }
+    return axiosResponse;
+  };
+
+  /**
+   * Serve over HTTP (Node.js only); port 0 picks a free port
+   */
+  async listen(port: number = 0, host: string = '127.0.0.1'): Promise<FakeListener> {
+    const { createServer } = await import(/* webpackIgnore: true */ 'node:http');
+    const server = createServer((req, res) => {
+      const chunks: Uint8Array[] = [];
+      req.on('data', (chunk: Uint8Array) => chunks.push(chunk));
+      req.on('end', async () => {
+        const cors = {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Near-Account, Idempotency-Key',
+        };
+        if (req.method === 'OPTIONS') {
+          res.writeHead(204, cors).end();
+          return;
+        }
+
+        const url = new URL(req.url || '/', 'http://fake.local');
+        const text = Buffer.concat(chunks).toString('utf8');
+        let body: any;
+        try {
+          body = text ? JSON.parse(text) : undefined;
+        } catch {
+          body = text;
+        }
+        const headers: Record<string, string> = {};
+        Object.entries(req.headers).forEach(([name, value]) => {
+          if (value !== undefined) {
+            headers[name] = Array.isArray(value) ? value.join(', ') : value;
+          }
+        });
+
+        const response = await this.handle({
+          method: (req.method || 'GET').toLowerCase(),
+          path: url.pathname,
+          query: parseQuery(url.searchParams),
+          headers,
+          body,
+        });
+        if (response === null) {
+          req.socket.destroy();
+          return;
+        }
+        res.writeHead(response.status, { 'Content-Type': 'application/json', ...cors, ...response.headers });
+        res.end(response.body === undefined ? '' : JSON.stringify(response.body));
+      });
+    });
+
+    await new Promise<void>((resolve) => server.listen(port, host, resolve));
+    const address = server.address() as { port: number };
+    return {
+      url: `http://${host}:${address.port}`,
+      close: () => new Promise<void>((resolve, reject) => {
+        server.closeAllConnections?.();
+        server.close((error) => (error ? reject(error) : resolve()));
+      }),
+    };
+  }
+
+  /**
+   * Answer one request; resolves to null when a fault drops the connection
+   */
+  async handle(request: FakeRequest): Promise<FakeResponse | null> {
+    this.requests.push(request);
+    const fault = this.takeFault(request);
+    const latency = this.options.latency + (fault?.latency || 0);
+    if (latency) {
+      await new Promise((resolve) => setTimeout(resolve, latency));
+    }
+    if (fault?.drop) {
+      return null;
+    }
+    if (fault?.status) {
+      const response = fail(fault.status, fault.code || `HTTP_${fault.status}`, fault.message || 'Injected fault');
+      if (fault.retryAfter !== undefined) {
+        response.headers = { 'retry-after': String(fault.retryAfter) };
+        (response.body as any).retryAfter = fault.retryAfter;
+      }
+      return response;
+    }
+
+    const route = this.routes.find((candidate) => candidate.method === request.method && candidate.pattern.test(request.path));
+    if (!route) {
+      return fail(404, 'ROUTE_NOT_FOUND', `${request.method.toUpperCase()} ${request.path} does not exist`);
+    }
+    const params = (request.path.match(route.pattern) || []).slice(1).map(decodeURIComponent);
+    if (route.public) {
+      return route.handler(request, params, '');
+    }
+
+    const accountId = request.headers['x-near-account'];
+    if (!accountId) {
+      return fail(400, 'MISSING_ACCOUNT', 'X-Near-Account header is required');
+    }
+
+    if (request.method !== 'get') {
+      const denied = this.authenticate(request, accountId);
+      if (denied) {
+        return denied;
+      }
+    }
+
+    const limited = this.consumeRateLimit(accountId, request.path);
+    if (limited.status === 429) {
+      return limited;
+    }
+
+    // Replays of a write with a known Idempotency-Key get the first answer again
+    const key = request.method !== 'get' ? request.headers['idempotency-key'] : undefined;
+    const replay = key ? this.idempotent.get(`${accountId}:${key}`) : undefined;
+    const response = replay || await route.handler({ ...request, body: request.body ?? {} }, params, accountId);
+    if (key && !replay && response.status < 500) {
+      this.idempotent.set(`${accountId}:${key}`, response);
+    }
+    if (fault?.failPlatforms?.length) {
+      this.failPlatforms(response, fault.failPlatforms);
+    }
+    return { ...response, headers: { ...limited.headers, ...response.headers } };
+  }
+
+  // ===== INTERNALS =====
+
+  private takeFault(request: FakeRequest): FakeFault | undefined {
+    const fault = this.faults.find((candidate) => (!candidate.method || candidate.method.toLowerCase() === request.method)
+      && (!candidate.path || (typeof candidate.path === 'string' ? candidate.path === request.path : candidate.path.test(request.path))));
+    if (fault && fault.times !== undefined) {
+      fault.times -= 1;
+      if (fault.times <= 0) {
+        this.faults = this.faults.filter((candidate) => candidate !== fault);
+      }
+    }
+    return fault;
+  }
+
+  private authenticate(request: FakeRequest, accountId: string): FakeResponse | null {
+    const route = request.path;
+    if (route === '/api/auth/authorize-near') {
+      return null;
+    }
+
+    const header = request.headers.authorization || '';
+    if (!header.startsWith('Bearer ') || header.length <= 'Bearer '.length) {
+      return fail(401, 'MISSING_TOKEN', 'Authorization: Bearer <token> is required');
+    }
+    const token = header.slice('Bearer '.length);
+    const owner = this.tokenOwner(token, route === '/api/auth/refresh');
+    if (!owner) {
+      return fail(401, 'INVALID_TOKEN', 'Token is invalid or expired');
+    }
+    if (owner !== accountId) {
+      return fail(403, 'ACCOUNT_MISMATCH', `Token belongs to ${owner}, not ${accountId}`);
+    }
+    return null;
+  }
+
+  /**
+   * Account a token was issued for; expired tokens are still good for a refresh
+   */
+  private tokenOwner(token: string, allowExpired: boolean): string | null {
+    const issued = this.tokens.get(token);
+    if (issued) {
+      return allowExpired || issued.expiresAt > Date.now() ? issued.accountId : null;
+    }
+    if (!this.options.acceptNearTokens) {
+      return null;
+    }
+    try {
+      const payload = JSON.parse(new TextDecoder().decode(base64ToBytes(token)));
+      return payload?.account_id && payload.signature && payload.public_key ? String(payload.account_id) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  private consumeRateLimit(accountId: string, path: string): FakeResponse {
+    const { limit, windowMs } = this.options.rateLimit;
+    const now = Date.now();
+    const key = `${accountId} ${path}`;
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    const reset = Math.ceil((window.resetAt - now) / 1000);
+    if (window.count >= limit) {
+      const response = fail(429, 'RATE_LIMITED', `Rate limit of ${limit} requests exceeded for ${path}`);
+      (response.body as any).retryAfter = reset;
+      response.headers = {
+        'retry-after': String(reset),
+        'x-ratelimit-limit': String(limit),
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': String(reset),
+      };
+      return response;
+    }
+
+    window.count += 1;
+    return {
+      status: 200,
+      headers: {
+        'x-ratelimit-limit': String(limit),
+        'x-ratelimit-remaining': String(limit - window.count),
+        'x-ratelimit-reset': String(reset),
+      },
+    };
+  }
+
+  private rateLimitInfo(accountId: string, path: string): RateLimitInfo {
+    const { limit, windowMs } = this.options.rateLimit;
+    const window = this.windows.get(`${accountId} ${path}`);
+    const active = window && window.resetAt > Date.now();
+    return {
+      limit,
+      remaining: active ? limit - window!.count : limit,
+      reset: Math.ceil((active ? window!.resetAt - Date.now() : windowMs) / 1000),
+    };
+  }
+
+  private failPlatforms(response: FakeResponse, platforms: string[]): void {
+    const body = response.body as any;
+    if (!body?.platformResults) {
+      return;
+    }
+    body.platformResults = body.platformResults.map((result: any) => (platforms.includes(result.platform)
+      ? { platform: result.platform, status: 'failed', error: { code: 'PLATFORM_UNAVAILABLE', message: `${result.platform} rejected the request` } }
+      : result));
+    body.success = body.platformResults.every((result: any) => result.status !== 'failed');
+  }
+
+  private account(accountId: string): FakeAccount {
+    let account = this.accounts.get(accountId);
+    if (!account) {
+      account = { accountId, displayName: accountId.replace(/\.(near|testnet)$/, ''), connectedAccounts: [] };
+      this.accounts.set(accountId, account);
+    }
+    return account;
+  }
+
+  private author(accountId: string): Post['author'] {
+    return { accountId, displayName: this.account(accountId).displayName };
+  }
+
+  private record(accountId: string, type: ActivityItem['type'], platforms: string[], target?: ActivityItem['target'], content?: string): void {
+    this.activities.unshift({
+      id: generateId(),
+      type,
+      actor: this.author(accountId),
+      target,
+      content,
+      platforms,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  private validatePlatforms(platforms: unknown): FakeResponse | null {
+    if (!Array.isArray(platforms) || !platforms.length) {
+      return fail(400, 'VALIDATION_ERROR', 'platforms must be a non-empty array', { field: 'platforms' });
+    }
+    const unknown = platforms.filter((platform) => !this.options.platforms.includes(platform));
+    if (unknown.length) {
+      return fail(400, 'UNSUPPORTED_PLATFORM', `Unsupported platforms: ${unknown.join(', ')}`, { platforms: unknown });
+    }
+    return null;
+  }
+
+  private validateContent(content: PostContent | undefined): FakeResponse | null {
+    if (!content || typeof content.text !== 'string' || (!content.text.trim() && !content.media?.length)) {
+      return fail(400, 'VALIDATION_ERROR', 'content.text or content.media is required', { field: 'content' });
+    }
+    return null;
+  }
+
+  private requirePost(postId: string): Post | FakeResponse {
+    return this.posts.get(postId) || fail(404, 'POST_NOT_FOUND', `Post ${postId} not found`, { postId });
+  }
+
+  private publish(accountId: string, body: any, content: PostContent): FakeResponse {
+    const now = new Date().toISOString();
+    const scheduled = body.scheduledAt && Date.parse(body.scheduledAt) > Date.now();
+    const post: Post = {
+      id: generateId(),
+      content,
+      author: this.author(accountId),
+      platforms: body.platforms,
+      status: scheduled ? 'scheduled' : 'published',
+      createdAt: now,
+      publishedAt: scheduled ? undefined : now,
+      scheduledAt: body.scheduledAt,
+      visibility: body.visibility || 'public',
+      replySettings: body.replySettings || 'everyone',
+      stats: { likes: 0, reposts: 0, replies: 0, views: 0 },
+      engagement: { isLiked: false, isReposted: false, isBookmarked: false },
+    };
+    this.posts.set(post.id, post);
+    return ok({
+      success: true,
+      post,
+      platformResults: post.platforms.map((platform) => ({
+        platform,
+        status: 'published',
+        postId: `${platform}-${post.id}`,
+        url: `https://${platform}.example/${accountId}/${post.id}`,
+      })),
+    }, 201);
+  }
+
+  private writeResult(platforms: string[], message: string): FakeResponse {
+    return ok({
+      success: true,
+      message,
+      platformResults: platforms.map((platform) => ({ platform, status: 'published' })),
+    });
+  }
+
+  private route(method: string, path: string, handler: Handler, isPublic = false): void {
+    const pattern = new RegExp(`^${path.replace(/:[a-zA-Z]+/g, '([^/]+)')}$`);
+    this.routes.push({ method, pattern, handler, public: isPublic });
+  }
+
+  private registerRoutes(): void {
+    // ===== SYSTEM API =====
+
+    this.route('get', '/health', () => ok({ status: 'ok', message: 'Fake OpenCrosspost server', timestamp: new Date().toISOString() }), true);
+
+    this.route('get', '/api/rate-limits', (_request, _params, accountId) => {
+      const endpoints: Record<string, RateLimitInfo> = {};
+      this.routes.filter((route) => !route.public).forEach((route) => {
+        const path = route.pattern.source.replace(/^\^|\$$/g, '').replace(/\\\//g, '/');
+        if (!path.includes('(')) {
+          endpoints[path] = this.rateLimitInfo(accountId, path);
+        }
+      });
+      const { limit, windowMs } = this.options.rateLimit;
+      return ok({ global: { limit: limit * 10, remaining: limit * 10, reset: Math.ceil(windowMs / 1000) }, endpoints });
+    });
+
+    this.route('get', '/api/rate-limits/:endpoint', (_request, [endpoint], accountId) => ok({
+      endpoint,
+      limit: this.rateLimitInfo(accountId, endpoint.startsWith('/') ? endpoint : `/${endpoint}`),
+    }));
+
+    // ===== AUTH API =====
+
+    this.route('post', '/api/auth/authorize-near', (request, _params, accountId) => {
+      const { signature, accountId: bodyAccount } = request.body;
+      if (!signature) {
+        return fail(400, 'VALIDATION_ERROR', 'signature is required', { field: 'signature' });
+      }
+      const signed = this.tokenOwner(signature, false);
+      if (signed && signed !== (bodyAccount || accountId)) {
+        return fail(403, 'ACCOUNT_MISMATCH', `Signature belongs to ${signed}`);
+      }
+      const account = bodyAccount || accountId;
+      const token = this.issueToken(account);
+      return ok({ success: true, token, accountId: account, expiresAt: new Date(this.tokens.get(token)!.expiresAt).toISOString() });
+    });
+
+    this.route('get', '/api/auth/near-status', (request, _params, accountId) => {
+      const owned = Array.from(this.tokens.values()).find((token) => token.accountId === accountId && token.expiresAt > Date.now());
+      return ok({
+        isAuthorized: !!owned,
+        accountId,
+        permissions: owned ? PERMISSIONS : [],
+        expiresAt: owned ? new Date(owned.expiresAt).toISOString() : undefined,
+      });
+    });
+
+    this.route('post', '/api/auth/login', (request, _params, accountId) => {
+      const { platform, credentials } = request.body;
+      const invalid = this.validatePlatforms([platform]);
+      if (invalid) {
+        return invalid;
+      }
+      const account = this.account(accountId);
+      const username = String(credentials?.username || accountId);
+      account.connectedAccounts = account.connectedAccounts.filter((connected) => connected.platform !== platform);
+      account.connectedAccounts.push({
+        id: generateId(),
+        platform,
+        username,
+        displayName: username,
+        isActive: true,
+        connectedAt: new Date().toISOString(),
+      });
+      return ok({ success: true, accountId, message: `Connected ${platform}` });
+    });
+
+    this.route('post', '/api/auth/refresh', (request, _params, accountId) => {
+      this.tokens.delete(request.headers.authorization.slice('Bearer '.length));
+      const token = this.issueToken(accountId);
+      return ok({ success: true, token, expiresAt: new Date(this.tokens.get(token)!.expiresAt).toISOString() });
+    });
+
+    this.route('get', '/api/auth/profile', (_request, _params, accountId) => {
+      const account = this.account(accountId);
+      const posts = this.getPosts().filter((post) => post.author.accountId === accountId);
+      return ok({
+        accountId,
+        displayName: account.displayName,
+        connectedAccounts: account.connectedAccounts,
+        stats: {
+          totalPosts: posts.length,
+          totalLikes: posts.reduce((sum, post) => sum + post.stats.likes, 0),
+          totalReposts: posts.reduce((sum, post) => sum + post.stats.reposts, 0),
+        },
+        platforms: account.connectedAccounts.map((connected) => connected.platform),
+      });
+    });
+
+    this.route('get', '/api/auth/status', (_request, _params, accountId) => {
+      const owned = Array.from(this.tokens.values()).find((token) => token.accountId === accountId && token.expiresAt > Date.now());
+      return ok({
+        isAuthenticated: !!owned,
+        accountId,
+        connectedAccounts: this.account(accountId).connectedAccounts,
+        permissions: owned ? PERMISSIONS : [],
+        expiresAt: owned ? new Date(owned.expiresAt).toISOString() : undefined,
+      });
+    });
+
+    this.route('post', '/api/auth/revoke', (request) => {
+      this.tokens.delete(request.headers.authorization.slice('Bearer '.length));
+      return ok({ success: true, message: 'Token revoked' });
+    });
+
+    this.route('get', '/api/auth/connected-accounts', (_request, _params, accountId) => ok(this.account(accountId).connectedAccounts));
+
+    // ===== POST API =====
+
+    this.route('post', '/api/posts', (request, _params, accountId) => {
+      const invalid = this.validateContent(request.body.content) || this.validatePlatforms(request.body.platforms);
+      if (invalid) {
+        return invalid;
+      }
+      const response = this.publish(accountId, request.body, request.body.content);
+      const post = (response.body as any).post as Post;
+      this.record(accountId, 'post', post.platforms, { type: 'post', id: post.id }, post.content.text);
+      return response;
+    });
+
+    this.route('post', '/api/posts/repost', (request, _params, accountId) => {
+      const invalid = this.validatePlatforms(request.body.platforms);
+      const original = this.requirePost(request.body.originalPostId);
+      if (invalid || !('id' in original)) {
+        return invalid || original as FakeResponse;
+      }
+      original.stats.reposts += 1;
+      const response = this.publish(accountId, request.body, request.body.comment ? { text: request.body.comment } : original.content);
+      this.record(accountId, 'repost', request.body.platforms, { type: 'post', id: original.id, content: original.content.text });
+      return response;
+    });
+
+    this.route('post', '/api/posts/quote', (request, _params, accountId) => {
+      const invalid = this.validateContent(request.body.content) || this.validatePlatforms(request.body.platforms);
+      const original = this.requirePost(request.body.originalPostId);
+      if (invalid || !('id' in original)) {
+        return invalid || original as FakeResponse;
+      }
+      original.stats.reposts += 1;
+      const response = this.publish(accountId, request.body, request.body.content);
+      this.record(accountId, 'repost', request.body.platforms, { type: 'post', id: original.id }, request.body.content.text);
+      return response;
+    });
+
+    this.route('post', '/api/posts/reply', (request, _params, accountId) => {
+      const invalid = this.validateContent(request.body.content) || this.validatePlatforms(request.body.platforms);
+      const original = this.requirePost(request.body.originalPostId);
+      if (invalid || !('id' in original)) {
+        return invalid || original as FakeResponse;
+      }
+      original.stats.replies += 1;
+      const response = this.publish(accountId, request.body, request.body.content);
+      this.record(accountId, 'reply', request.body.platforms, { type: 'post', id: original.id }, request.body.content.text);
+      return response;
+    });
+
+    const toggleLike = (liked: boolean): Handler => (request, _params, accountId) => {
+      const invalid = this.validatePlatforms(request.body.platforms);
+      const post = this.requirePost(request.body.postId);
+      if (invalid || !('id' in post)) {
+        return invalid || post as FakeResponse;
+      }
+      const likers = this.likes.get(post.id) || new Set<string>();
+      if (liked !== likers.has(accountId)) {
+        if (liked) {
+          likers.add(accountId);
+          this.record(accountId, 'like', request.body.platforms, { type: 'post', id: post.id });
+        } else {
+          likers.delete(accountId);
+        }
+        post.stats.likes = likers.size;
+      }
+      this.likes.set(post.id, likers);
+      return this.writeResult(request.body.platforms, liked ? 'Post liked' : 'Post unliked');
+    };
+    this.route('post', '/api/posts/like', toggleLike(true));
+    this.route('post', '/api/posts/unlike', toggleLike(false));
+
+    this.route('delete', '/api/posts', (request, _params, accountId) => {
+      const invalid = this.validatePlatforms(request.body.platforms);
+      const post = this.requirePost(request.body.postId);
+      if (invalid || !('id' in post)) {
+        return invalid || post as FakeResponse;
+      }
+      if (post.author.accountId !== accountId) {
+        return fail(403, 'FORBIDDEN', 'Only the author can delete a post', { postId: post.id });
+      }
+      this.posts.delete(post.id);
+      this.likes.delete(post.id);
+      return this.writeResult(request.body.platforms, 'Post deleted');
+    });
+
+    // ===== ACTIVITY API =====
+
+    this.route('get', '/api/activity/leaderboard', (request) => {
+      const period = request.query.period || 'weekly';
+      const entries: LeaderboardEntry[] = Array.from(this.accounts.values()).map((account) => {
+        const mine = this.activities.filter((activity) => activity.actor.accountId === account.accountId);
+        const stats = {
+          posts: mine.filter((activity) => activity.type === 'post').length,
+          likes: mine.filter((activity) => activity.type === 'like').length,
+          reposts: mine.filter((activity) => activity.type === 'repost').length,
+          replies: mine.filter((activity) => activity.type === 'reply').length,
+        };
+        return {
+          rank: 0,
+          accountId: account.accountId,
+          displayName: account.displayName,
+          score: stats.posts * 3 + stats.reposts * 2 + stats.replies * 2 + stats.likes,
+          stats,
+          change: { direction: 'same', value: 0 },
+        };
+      });
+      entries.sort((a, b) => b.score - a.score).forEach((entry, index) => {
+        entry.rank = index + 1;
+      });
+      return ok({
+        period,
+        entries: entries.slice(0, Math.max(1, Number(request.query.limit) || 50)),
+        totalParticipants: entries.length,
+        lastUpdated: new Date().toISOString(),
+      });
+    });
+
+    this.route('get', '/api/activity/account/:accountId', (request, [accountId]) => {
+      const types = list(request.query.types);
+      const platforms = list(request.query.platforms);
+      const matching = this.activities.filter((activity) => activity.actor.accountId === accountId
+        && (!types || types.includes(activity.type))
+        && (!platforms || activity.platforms.some((platform) => platforms.includes(platform)))
+        && inRange(activity.timestamp, request.query.dateRange));
+      const { items, pagination } = paginate(matching, request.query);
+      return ok({ accountId, activities: items, pagination, filters: { types, platforms, dateRange: request.query.dateRange } });
+    });
+
+    this.route('get', '/api/activity/account/:accountId/posts', (request, [accountId]) => {
+      const platforms = list(request.query.platforms);
+      const status = list(request.query.status);
+      const matching = this.getPosts()
+        .filter((post) => post.author.accountId === accountId
+          && (!platforms || post.platforms.some((platform) => platforms.includes(platform)))
+          && (!status || status.includes(post.status))
+          && inRange(post.createdAt, request.query.dateRange))
+        .reverse();
+      const { items, pagination } = paginate(matching, request.query);
+      return ok({ accountId, posts: items, pagination, filters: { platforms, status, dateRange: request.query.dateRange } });
+    });
+  }
+}
@@ -0,0 +1,145 @@
+import { act, create, ReactTestInstance, ReactTestRenderer } from 'react-test-renderer';
+import type { ReactElement } from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { ClientConfig, CrosspostPluginClient, LeaderboardResponse } from './client';
+import { AccountPostList, ActivityFeed, Leaderboard } from './feeds';
+import { FakeCrosspostServer } from './testing';
+
+(globalThis as any).IS_REACT_ACT_ENVIRONMENT = true;
+
+async function setup(texts: string[] = [], config: Partial<ClientConfig> = {}) {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter, retry: false, ...config });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  for (const text of texts) {
+    await client.createPost({ content: { text }, platforms: ['twitter'] });
+  }
+  return { fake, client };
+}
+
+function render(element: ReactElement): ReactTestRenderer {
+  let renderer!: ReactTestRenderer;
+  act(() => {
+    renderer = create(element);
+  });
+  return renderer;
+}
+
+// Lets the fake server answer and React commit, until `check` passes
+async function settle(check: () => void) {
+  for (let attempt = 0; ; attempt++) {
+    await act(() => new Promise((resolve) => setTimeout(resolve, 5)));
+    try {
+      check();
+      return;
+    } catch (error) {
+      if (attempt >= 100) {
+        throw error;
+      }
+    }
+  }
+}
+
+const slots = (renderer: ReactTestRenderer, name: string) => renderer.root.findAll((node) => typeof node.type === 'string'
+  && String(node.props.className || '').split(' ').some((className) => className.endsWith(`__${name}`)));
+const textOf = (node: ReactTestInstance): string => node.children.map((child) => (typeof child === 'string' ? child : textOf(child))).join('');
+const button = (node: ReactTestInstance, label: RegExp) => node.findAll((child) => child.type === 'button' && label.test(textOf(child)))[0];
+
+describe('AccountPostList', () => {
+  it('loads more posts and starts over when a filter changes', async () => {
+    const { fake, client } = await setup(['One', 'Two', 'Three']);
+    await client.createPost({ content: { text: 'Elsewhere' }, platforms: ['mastodon'] });
+
+    const renderer = render(<AccountPostList client={client} pageSize={3} platforms={['twitter', 'mastodon']} />);
+    await settle(() => expect(slots(renderer, 'item')).toHaveLength(3));
+
+    await act(() => slots(renderer, 'loadMore')[0].props.onClick());
+    expect(slots(renderer, 'item')).toHaveLength(4);
+    expect(slots(renderer, 'loadMore')).toHaveLength(0);
+
+    const mastodon = slots(renderer, 'filters')[0].findAllByType('input')[1];
+    act(() => mastodon.props.onChange());
+
+    await settle(() => expect(slots(renderer, 'item').map((item) => textOf(item.findAllByType('span')[0]))).toEqual(['Elsewhere']));
+    expect(fake.requests.filter((request) => request.path.endsWith('/posts') && request.method === 'get')).toHaveLength(3);
+  });
+
+  it('likes optimistically and rolls back when the request fails', async () => {
+    const { fake, client } = await setup(['Hello']);
+    const renderer = render(<AccountPostList client={client} showFilters={false} />);
+    await settle(() => expect(slots(renderer, 'item')).toHaveLength(1));
+    const item = () => slots(renderer, 'item')[0];
+
+    fake.inject({ path: '/api/posts/like', status: 500, code: 'INTERNAL_ERROR', message: 'Try again later', times: 1 });
+    await act(() => button(item(), /^Like$/).props.onClick());
+
+    expect(button(item(), /^Like$/).props['aria-pressed']).toBe(false);
+    expect(textOf(slots(renderer, 'meta')[0])).toContain('0 likes');
+    expect(textOf(item().findByProps({ role: 'alert' }))).toBe('Try again later');
+
+    await act(() => button(item(), /^Like$/).props.onClick());
+
+    expect(button(item(), /^Unlike$/).props['aria-pressed']).toBe(true);
+    expect(textOf(slots(renderer, 'meta')[0])).toContain('1 likes');
+    expect(item().findAll((node) => node.props.role === 'alert')).toHaveLength(0);
+  });
+
+  it('keeps an optimistic repost that was queued in the outbox', async () => {
+    const { fake, client } = await setup(['Hello'], { outbox: { autoFlush: false } });
+    const renderer = render(<AccountPostList client={client} showFilters={false} />);
+    await settle(() => expect(slots(renderer, 'item')).toHaveLength(1));
+    fake.inject({ path: '/api/posts/repost', drop: true });
+
+    await act(() => button(slots(renderer, 'item')[0], /^Repost$/).props.onClick());
+
+    expect(button(slots(renderer, 'item')[0], /^Reposted$/).props.disabled).toBe(true);
+    expect(slots(renderer, 'item')[0].findAll((node) => node.props.role === 'alert')).toHaveLength(0);
+    expect(client.outbox!.size).toBe(1);
+  });
+});
+
+describe('ActivityFeed', () => {
+  it('describes activity and filters it by type', async () => {
+    const { client } = await setup(['Hello']);
+    const [post] = (await client.getAccountPosts('alice.near')).posts;
+    await client.likePost({ postId: post.id, platforms: ['twitter'] });
+
+    const renderer = render(<ActivityFeed client={client} platforms={[]} />);
+    await settle(() => expect(slots(renderer, 'item')).toHaveLength(2));
+    expect(slots(renderer, 'item').map((item) => item.props['data-type']).sort()).toEqual(['like', 'post']);
+
+    const like = slots(renderer, 'filters')[0].findAllByType('input')[1];
+    act(() => like.props.onChange());
+
+    await settle(() => expect(slots(renderer, 'item').map((item) => item.props['data-type'])).toEqual(['like']));
+    expect(textOf(slots(renderer, 'item')[0])).toContain('liked');
+  });
+});
+
+describe('Leaderboard', () => {
+  const board = (period: LeaderboardResponse['period']): LeaderboardResponse => ({
+    period,
+    entries: [
+      { rank: 1, accountId: 'bob.near', displayName: 'Bob', score: 30, stats: { posts: 10, likes: 0, reposts: 0, replies: 0 }, change: { direction: 'up', value: 2 } },
+      { rank: 2, accountId: 'alice.near', displayName: 'Alice', score: 20, stats: { posts: 6, likes: 2, reposts: 0, replies: 0 }, change: { direction: 'down', value: 1 } },
+      { rank: 3, accountId: 'carol.near', displayName: '', score: 5, stats: { posts: 1, likes: 2, reposts: 0, replies: 0 }, change: { direction: 'same', value: 0 } },
+    ],
+    totalParticipants: 3,
+    lastUpdated: new Date().toISOString(),
+  });
+
+  it('shows rank changes and switches periods', async () => {
+    const { client } = await setup();
+    const getLeaderboard = vi.spyOn(client, 'getLeaderboard').mockImplementation(async (period = 'weekly') => board(period));
+
+    const renderer = render(<Leaderboard client={client} limit={3} />);
+    await settle(() => expect(slots(renderer, 'entry')).toHaveLength(3));
+
+    expect(slots(renderer, 'change').map((change) => change.props['aria-label'])).toEqual(['Up 2', 'Down 1', 'No change']);
+    expect(slots(renderer, 'entry').map(textOf)[2]).toContain('carol.near');
+
+    await act(() => button(renderer.root, /^monthly$/).props.onClick());
+    await settle(() => expect(button(renderer.root, /^monthly$/).props['aria-selected']).toBe(true));
+    expect(getLeaderboard.mock.calls.map(([period, limit]) => [period, limit])).toEqual([['weekly', 3], ['monthly', 3]]);
+  });
+});
@@ -0,0 +1,521 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import type { CSSProperties, ReactNode } from 'react';
+import type {
+  AccountActivityFilters,
+  AccountPostsFilters,
+  ActivityItem,
+  CrosspostPluginClient,
+  LeaderboardEntry,
+  LeaderboardResponse,
+  Post,
+} from './client';
+import { CrosspostApiError, CrosspostQueuedError, toCrosspostApiError } from './errors';
+import { PLATFORM_RULES } from './post-validation';
+import { CrosspostProvider, useAccountActivity, useAccountPosts, useCrosspostClient, useLeaderboard } from './react';
+import { ThemingProps, baseStyles, createSlots, themed } from './theme';
+
+type Period = LeaderboardResponse['period'];
+
+export type FeedSlot =
+  | 'root'
+  | 'filters'
+  | 'list'
+  | 'item'
+  | 'meta'
+  | 'actions'
+  | 'action'
+  | 'error'
+  | 'loadMore'
+  | 'empty';
+
+export type LeaderboardSlot =
+  | 'root'
+  | 'periods'
+  | 'period'
+  | 'list'
+  | 'entry'
+  | 'rank'
+  | 'score'
+  | 'change'
+  | 'error'
+  | 'empty';
+
+const FEED_STYLES: Record<FeedSlot, CSSProperties> = {
+  root: baseStyles.root,
+  filters: { display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center', fontSize: '0.9em' },
+  list: { display: 'flex', flexDirection: 'column', gap: 8, margin: 0, padding: 0, listStyle: 'none' },
+  item: { ...baseStyles.panel, display: 'flex', flexDirection: 'column', gap: 4 },
+  meta: baseStyles.muted,
+  actions: { display: 'flex', gap: 8 },
+  action: {
+    padding: '2px 8px',
+    color: themed('primary'),
+    background: 'transparent',
+    border: `1px solid ${themed('border')}`,
+    borderRadius: themed('radius'),
+    cursor: 'pointer',
+  },
+  error: baseStyles.error,
+  loadMore: { ...baseStyles.button, alignSelf: 'center' },
+  empty: baseStyles.muted,
+};
+
+const LEADERBOARD_STYLES: Record<LeaderboardSlot, CSSProperties> = {
+  root: baseStyles.root,
+  periods: { display: 'flex', gap: 4 },
+  period: {
+    padding: '4px 10px',
+    color: themed('text'),
+    background: 'transparent',
+    border: `1px solid ${themed('border')}`,
+    borderRadius: themed('radius'),
+    cursor: 'pointer',
+  },
+  list: { display: 'flex', flexDirection: 'column', gap: 4, margin: 0, padding: 0, listStyle: 'none' },
+  entry: { ...baseStyles.panel, display: 'flex', alignItems: 'center', gap: 8 },
+  rank: { minWidth: 32, fontWeight: 'bold' },
+  score: baseStyles.muted,
+  change: { marginLeft: 'auto', fontSize: '0.85em' },
+  error: baseStyles.error,
+  empty: baseStyles.muted,
+};
+
+const ACTIVITY_TYPES: Array<ActivityItem['type']> = ['post', 'like', 'repost', 'reply', 'follow', 'mention'];
+const PERIODS: Period[] = ['daily', 'weekly', 'monthly', 'all-time'];
+
+const VERBS: Record<ActivityItem['type'], string> = {
+  post: 'posted',
+  like: 'liked',
+  repost: 'reposted',
+  reply: 'replied to',
+  follow: 'followed',
+  mention: 'mentioned',
+};
+
+// ===== SHARED PIECES =====
+
+function WithClient({ client, children }: { client?: CrosspostPluginClient; children: ReactNode }) {
+  return client ? <CrosspostProvider client={client}>{children}</CrosspostProvider> : <>{children}</>;
+}
+
+/**
+ * Calls `onReach` whenever the sentinel scrolls into view; without IntersectionObserver the
+ * "Load more" button is the only trigger
+ */
+function useInfiniteScroll(enabled: boolean, onReach: () => void) {
+  const sentinel = useRef<HTMLDivElement>(null);
+  const callback = useRef(onReach);
+  callback.current = onReach;
+
+  useEffect(() => {
+    const element = sentinel.current;
+    if (!enabled || !element || typeof IntersectionObserver === 'undefined') {
+      return;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        callback.current();
+      }
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [enabled]);
+
+  return sentinel;
+}
+
+interface PostState {
+  liked: boolean;
+  reposted: boolean;
+  likes?: number;
+  reposts?: number;
+}
+
+/**
+ * Like, unlike and repost with optimistic updates that are rolled back when the request fails
+ */
+function usePostActions() {
+  const client = useCrosspostClient();
+  const [states, setStates] = useState<Record<string, PostState>>({});
+  const [busy, setBusy] = useState<Record<string, boolean>>({});
+  const [errors, setErrors] = useState<Record<string, CrosspostApiError>>({});
+  const mounted = useRef(true);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  const run = useCallback(async (postId: string, previous: PostState, next: PostState, request: () => Promise<unknown>) => {
+    setBusy((current) => ({ ...current, [postId]: true }));
+    setStates((current) => ({ ...current, [postId]: next }));
+    setErrors(({ [postId]: _cleared, ...rest }) => rest);
+    try {
+      await request();
+    } catch (error) {
+      // Queued in the outbox while offline: it will still be sent, so the optimistic state stands
+      if (mounted.current && !(error instanceof CrosspostQueuedError)) {
+        setStates((current) => ({ ...current, [postId]: previous }));
+        setErrors((current) => ({ ...current, [postId]: toCrosspostApiError(error) }));
+      }
+    } finally {
+      if (mounted.current) {
+        setBusy(({ [postId]: _done, ...rest }) => rest);
+      }
+    }
+  }, []);
+
+  const stateOf = (postId: string, fallback: PostState): PostState => states[postId] || fallback;
+
+  const toggleLike = (postId: string, platforms: string[], fallback: PostState) => {
+    const previous = stateOf(postId, fallback);
+    const liked = !previous.liked;
+    const likes = previous.likes === undefined ? undefined : previous.likes + (liked ? 1 : -1);
+    return run(postId, previous, { ...previous, liked, likes }, () => (liked
+      ? client.likePost({ postId, platforms })
+      : client.unlikePost({ postId, platforms })));
+  };
+
+  const repost = (postId: string, platforms: string[], fallback: PostState) => {
+    const previous = stateOf(postId, fallback);
+    const reposts = previous.reposts === undefined ? undefined : previous.reposts + 1;
+    return run(postId, previous, { ...previous, reposted: true, reposts }, () => client.repost({ originalPostId: postId, platforms }));
+  };
+
+  return { stateOf, toggleLike, repost, busy, errors };
+}
+
+interface DateRangeFilterProps {
+  value?: { start: string; end: string };
+  onChange: (range: { start: string; end: string } | undefined) => void;
+}
+
+function DateRangeFilter({ value, onChange }: DateRangeFilterProps) {
+  const [start, setStart] = useState(value?.start.slice(0, 10) || '');
+  const [end, setEnd] = useState(value?.end.slice(0, 10) || '');
+
+  const update = (nextStart: string, nextEnd: string) => {
+    setStart(nextStart);
+    setEnd(nextEnd);
+    // Both ends are required by the API; whole days in UTC
+    onChange(nextStart && nextEnd
+      ? { start: `${nextStart}T00:00:00.000Z`, end: `${nextEnd}T23:59:59.999Z` }
+      : undefined);
+  };
+
+  return (
+    <>
+      <label>
+        From <input type="date" value={start} onChange={(event) => update(event.target.value, end)} />
+      </label>
+      <label>
+        To <input type="date" value={end} onChange={(event) => update(start, event.target.value)} />
+      </label>
+    </>
+  );
+}
+
+function toggle<T>(list: T[] | undefined, value: T): T[] | undefined {
+  const next = (list || []).includes(value) ? (list || []).filter((entry) => entry !== value) : [...(list || []), value];
+  return next.length ? next : undefined;
+}
+
+// ===== ACTIVITY FEED =====
+
+export interface ActivityFeedProps extends ThemingProps<FeedSlot> {
+  client?: CrosspostPluginClient; // defaults to the client of the surrounding CrosspostProvider
+  accountId?: string; // defaults to the client's account
+  filters?: AccountActivityFilters; // initial filters
+  platforms?: string[]; // choices in the platform filter, default: every platform with built-in rules
+  pageSize?: number;
+  showFilters?: boolean; // default true
+  actions?: boolean; // like/unlike/repost buttons on post activity, default true
+}
+
+/**
+ * Activity of an account with infinite scroll, filters and in-place post actions
+ */
+export function ActivityFeed(props: ActivityFeedProps) {
+  return <WithClient client={props.client}><ActivityFeedView {...props} /></WithClient>;
+}
+
+function ActivityFeedView(props: ActivityFeedProps) {
+  const { accountId, pageSize, showFilters = true, actions = true } = props;
+  const [filters, setFilters] = useState<AccountActivityFilters>(props.filters || {});
+  const feed = useAccountActivity(accountId, filters, { pageSize });
+  const postActions = usePostActions();
+  const sentinel = useInfiniteScroll(feed.hasMore && !feed.loading && !feed.loadingMore && !feed.error, feed.loadMore);
+  const slot = createSlots('feed', FEED_STYLES, props);
+  const platformChoices = props.platforms || Object.keys(PLATFORM_RULES);
+
+  return (
+    <div {...slot('root')}>
+      {showFilters && (
+        <div {...slot('filters')} role="group" aria-label="Filters">
+          {ACTIVITY_TYPES.map((type) => (
+            <label key={type}>
+              <input
+                type="checkbox"
+                checked={!!filters.types?.includes(type)}
+                onChange={() => setFilters((current) => ({ ...current, types: toggle(current.types, type) }))}
+              />
+              {type}
+            </label>
+          ))}
+          {platformChoices.map((platform) => (
+            <label key={platform}>
+              <input
+                type="checkbox"
+                checked={!!filters.platforms?.includes(platform)}
+                onChange={() => setFilters((current) => ({ ...current, platforms: toggle(current.platforms, platform) }))}
+              />
+              {platform}
+            </label>
+          ))}
+          <DateRangeFilter value={filters.dateRange} onChange={(dateRange) => setFilters((current) => ({ ...current, dateRange }))} />
+        </div>
+      )}
+
+      {feed.error && !feed.items.length && <div {...slot('error')} role="alert">{feed.error.message}</div>}
+      {!feed.loading && !feed.error && !feed.items.length && <div {...slot('empty')}>No activity yet</div>}
+
+      <ul {...slot('list')}>
+        {feed.items.map((item) => {
+          const postId = item.target?.type === 'post' ? item.target.id : undefined;
+          const state = postId ? postActions.stateOf(postId, { liked: false, reposted: false }) : undefined;
+          return (
+            <li key={item.id} {...slot('item')} data-type={item.type}>
+              <span>
+                <strong>{item.actor.displayName}</strong> {VERBS[item.type]}
+                {item.target?.content ? `: ${item.target.content}` : ''}
+              </span>
+              {item.content && <span>{item.content}</span>}
+              <span {...slot('meta')}>
+                {new Date(item.timestamp).toLocaleString()} · {item.platforms.join(', ')}
+              </span>
+              {actions && postId && state && (
+                <div {...slot('actions')}>
+                  <button
+                    type="button"
+                    {...slot('action')}
+                    aria-pressed={state.liked}
+                    disabled={postActions.busy[postId]}
+                    onClick={() => postActions.toggleLike(postId, item.platforms, state)}
+                  >
+                    {state.liked ? 'Unlike' : 'Like'}
+                  </button>
+                  <button
+                    type="button"
+                    {...slot('action')}
+                    disabled={state.reposted || postActions.busy[postId]}
+                    onClick={() => postActions.repost(postId, item.platforms, state)}
+                  >
+                    {state.reposted ? 'Reposted' : 'Repost'}
+                  </button>
+                </div>
+              )}
+              {postId && postActions.errors[postId] && <span {...slot('error')} role="alert">{postActions.errors[postId].message}</span>}
+            </li>
+          );
+        })}
+      </ul>
+
+      {feed.error && feed.items.length > 0 && <div {...slot('error')} role="alert">{feed.error.message}</div>}
+      {feed.hasMore && (
+        <button type="button" {...slot('loadMore')} disabled={feed.loadingMore} onClick={feed.loadMore}>
+          {feed.loadingMore ? 'Loading…' : 'Load more'}
+        </button>
+      )}
+      <div ref={sentinel} aria-hidden="true" />
+    </div>
+  );
+}
+
+// ===== ACCOUNT POST LIST =====
+
+export interface AccountPostListProps extends ThemingProps<FeedSlot> {
+  client?: CrosspostPluginClient; // defaults to the client of the surrounding CrosspostProvider
+  accountId?: string; // defaults to the client's account
+  filters?: AccountPostsFilters; // initial filters
+  platforms?: string[]; // choices in the platform filter, default: every platform with built-in rules
+  pageSize?: number;
+  showFilters?: boolean; // default true
+  actions?: boolean; // like/unlike/repost buttons, default true
+}
+
+/**
+ * Posts of an account with infinite scroll, filters and in-place like, unlike and repost
+ */
+export function AccountPostList(props: AccountPostListProps) {
+  return <WithClient client={props.client}><AccountPostListView {...props} /></WithClient>;
+}
+
+function AccountPostListView(props: AccountPostListProps) {
+  const { accountId, pageSize, showFilters = true, actions = true } = props;
+  const [filters, setFilters] = useState<AccountPostsFilters>(props.filters || {});
+  const posts = useAccountPosts(accountId, filters, { pageSize });
+  const postActions = usePostActions();
+  const sentinel = useInfiniteScroll(posts.hasMore && !posts.loading && !posts.loadingMore && !posts.error, posts.loadMore);
+  const slot = createSlots('feed', FEED_STYLES, props);
+  const platformChoices = props.platforms || Object.keys(PLATFORM_RULES);
+
+  const initialState = (post: Post): PostState => ({
+    liked: !!post.engagement?.isLiked,
+    reposted: !!post.engagement?.isReposted,
+    likes: post.stats?.likes,
+    reposts: post.stats?.reposts,
+  });
+
+  return (
+    <div {...slot('root')}>
+      {showFilters && (
+        <div {...slot('filters')} role="group" aria-label="Filters">
+          {platformChoices.map((platform) => (
+            <label key={platform}>
+              <input
+                type="checkbox"
+                checked={!!filters.platforms?.includes(platform)}
+                onChange={() => setFilters((current) => ({ ...current, platforms: toggle(current.platforms, platform) }))}
+              />
+              {platform}
+            </label>
+          ))}
+          <DateRangeFilter value={filters.dateRange} onChange={(dateRange) => setFilters((current) => ({ ...current, dateRange }))} />
+        </div>
+      )}
+
+      {posts.error && !posts.items.length && <div {...slot('error')} role="alert">{posts.error.message}</div>}
+      {!posts.loading && !posts.error && !posts.items.length && <div {...slot('empty')}>No posts yet</div>}
+
+      <ul {...slot('list')}>
+        {posts.items.map((post) => {
+          const state = postActions.stateOf(post.id, initialState(post));
+          return (
+            <li key={post.id} {...slot('item')} data-status={post.status}>
+              <span>{post.content.text}</span>
+              <span {...slot('meta')}>
+                {new Date(post.publishedAt || post.createdAt).toLocaleString()} · {post.platforms.join(', ')}
+                {state.likes !== undefined && ` · ${state.likes} likes`}
+                {state.reposts !== undefined && ` · ${state.reposts} reposts`}
+              </span>
+              {actions && (
+                <div {...slot('actions')}>
+                  <button
+                    type="button"
+                    {...slot('action')}
+                    aria-pressed={state.liked}
+                    disabled={postActions.busy[post.id]}
+                    onClick={() => postActions.toggleLike(post.id, post.platforms, state)}
+                  >
+                    {state.liked ? 'Unlike' : 'Like'}
+                  </button>
+                  <button
+                    type="button"
+                    {...slot('action')}
+                    disabled={state.reposted || postActions.busy[post.id]}
+                    onClick={() => postActions.repost(post.id, post.platforms, state)}
+                  >
+                    {state.reposted ? 'Reposted' : 'Repost'}
+                  </button>
+                </div>
+              )}
+              {postActions.errors[post.id] && <span {...slot('error')} role="alert">{postActions.errors[post.id].message}</span>}
+            </li>
+          );
+        })}
+      </ul>
+
+      {posts.error && posts.items.length > 0 && <div {...slot('error')} role="alert">{posts.error.message}</div>}
+      {posts.hasMore && (
+        <button type="button" {...slot('loadMore')} disabled={posts.loadingMore} onClick={posts.loadMore}>
+          {posts.loadingMore ? 'Loading…' : 'Load more'}
+        </button>
+      )}
+      <div ref={sentinel} aria-hidden="true" />
+    </div>
+  );
+}
+
+// ===== LEADERBOARD =====
+
+export interface LeaderboardProps extends ThemingProps<LeaderboardSlot> {
+  client?: CrosspostPluginClient; // defaults to the client of the surrounding CrosspostProvider
+  period?: Period; // initial period, default 'weekly'
+  limit?: number; // default 50
+  showPeriods?: boolean; // period switcher, default true
+}
+
+function describeChange(change?: LeaderboardEntry['change']): { text: string; label: string; color?: string } {
+  if (!change || change.direction === 'same' || !change.value) {
+    return { text: '–', label: 'No change' };
+  }
+  const up = change.direction === 'up';
+  return {
+    text: `${up ? '▲' : '▼'} ${change.value}`,
+    label: `${up ? 'Up' : 'Down'} ${change.value}`,
+    color: themed(up ? 'success' : 'danger'),
+  };
+}
+
+/**
+ * Ranked accounts for a period, with a period switcher and rank-change indicators
+ */
+export function Leaderboard(props: LeaderboardProps) {
+  return <WithClient client={props.client}><LeaderboardView {...props} /></WithClient>;
+}
+
+function LeaderboardView(props: LeaderboardProps) {
+  const { limit = 50, showPeriods = true } = props;
+  const [period, setPeriod] = useState<Period>(props.period || 'weekly');
+  const board = useLeaderboard(period, limit);
+  const slot = createSlots('leaderboard', LEADERBOARD_STYLES, props);
+  // Keep the previous period's entries on screen while the next one loads
+  const entries = board.data?.entries || [];
+
+  return (
+    <div {...slot('root')}>
+      {showPeriods && (
+        <div {...slot('periods')} role="tablist" aria-label="Period">
+          {PERIODS.map((option) => (
+            <button
+              key={option}
+              type="button"
+              role="tab"
+              aria-selected={option === period}
+              {...slot('period', option === period ? { color: '#fff', background: themed('primary') } : undefined)}
+              onClick={() => setPeriod(option)}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {board.error && <div {...slot('error')} role="alert">{board.error.message}</div>}
+      {!board.loading && !board.error && !entries.length && <div {...slot('empty')}>No entries for this period</div>}
+
+      <ol {...slot('list')} aria-busy={board.loading}>
+        {entries.map((entry) => {
+          const change = describeChange(entry.change);
+          return (
+            <li key={entry.accountId} {...slot('entry')}>
+              <span {...slot('rank')}>#{entry.rank}</span>
+              {entry.avatar && <img src={entry.avatar} alt="" width={24} height={24} />}
+              <span>{entry.displayName || entry.accountId}</span>
+              <span {...slot('score')}>{entry.score}</span>
+              <span
+                {...slot('change', change.color ? { color: change.color } : undefined)}
+                data-direction={entry.change?.direction || 'same'}
+                aria-label={change.label}
+              >
+                {change.text}
+              </span>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
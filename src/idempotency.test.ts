@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { FakeCrosspostServer } from './testing';
+
+function setup() {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({
+    baseUrl: 'http://fake.local',
+    accountId: 'alice.near',
+    adapter: fake.adapter,
+    retry: { baseDelay: 1, jitter: false },
+  });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  const writes = (path: string) => fake.requests.filter((request) => request.method === 'post' && request.path === path);
+  return { fake, client, writes };
+}
+
+const request = { content: { text: 'Hello' }, platforms: ['twitter'] };
+
+describe('idempotency keys', () => {
+  it('retries a failed createPost under the same key', async () => {
+    const { fake, client, writes } = setup();
+    fake.inject({ path: '/api/posts', status: 503, times: 1 });
+
+    const response = await client.createPost(request);
+
+    const keys = writes('/api/posts').map((sent) => sent.headers['idempotency-key']);
+    expect(keys).toHaveLength(2);
+    expect(keys[0]).toBeTruthy();
+    expect(keys[1]).toBe(keys[0]);
+    expect(fake.getPosts().filter((post) => post.id === response.post.id)).toHaveLength(1);
+  });
+
+  it('answers a repeated key from the local record without a request', async () => {
+    const { client, writes } = setup();
+
+    const first = await client.createPost(request, { idempotencyKey: 'compose-1' });
+    const second = await client.createPost(request, { idempotencyKey: 'compose-1' });
+
+    expect(second.post.id).toBe(first.post.id);
+    expect(writes('/api/posts')).toHaveLength(1);
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    const { client } = setup();
+
+    await client.createPost(request, { idempotencyKey: 'compose-2' });
+
+    await expect(client.createPost({ ...request, content: { text: 'Other' } }, { idempotencyKey: 'compose-2' }))
+      .rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_REUSED' });
+  });
+});
@@ -0,0 +1,125 @@
+import type { RequestOverride } from './client';
+import { CrosspostValidationError } from './errors';
+import { generateId } from './events';
+import { IDEMPOTENCY_KEY_HEADER } from './retry';
+import { MemoryStorage, StorageAdapter } from './storage';
+
+export interface IdempotencyRecord {
+  key: string;
+  fingerprint: string; // operation + request body the key was first used with
+  response: unknown;
+  expiresAt: number;
+}
+
+export interface IdempotencyOptions {
+  enabled?: boolean; // send Idempotency-Key on createPost/repost/quotePost/replyToPost, default true
+  ttl?: number; // how long outcomes are remembered (ms), default 24h
+  maxEntries?: number; // oldest records are evicted past this, default 500
+  storage?: StorageAdapter<IdempotencyRecord>; // defaults to in-memory
+}
+
+/**
+ * Key from RequestOverride.idempotencyKey or an explicit Idempotency-Key header
+ */
+export function getIdempotencyKey(override?: RequestOverride): string | undefined {
+  if (override?.idempotencyKey) {
+    return override.idempotencyKey;
+  }
+  const header = Object.keys(override?.headers || {}).find((name) => name.toLowerCase() === IDEMPOTENCY_KEY_HEADER.toLowerCase());
+  return header ? override!.headers![header] : undefined;
+}
+
+/**
+ * Local record of recently used idempotency keys and the responses they produced
+ */
+export class IdempotencyStore {
+  private readonly storage: StorageAdapter<IdempotencyRecord>;
+  private readonly ttl: number;
+  private readonly maxEntries: number;
+  private readonly inFlight = new Map<string, { fingerprint: string; request: Promise<unknown> }>();
+
+  constructor(options: IdempotencyOptions = {}) {
+    this.storage = options.storage || new MemoryStorage<IdempotencyRecord>();
+    this.ttl = options.ttl ?? 24 * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 500;
+  }
+
+  /**
+   * Run `send` once per key: repeat calls share the in-flight request or get the recorded response
+   */
+  run<T>(
+    operation: string,
+    data: unknown,
+    override: RequestOverride | undefined,
+    send: (override: RequestOverride) => Promise<T>
+  ): Promise<T> {
+    const key = getIdempotencyKey(override) || generateId();
+    const fingerprint = `${operation}:${JSON.stringify(data ?? null)}`;
+
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      return pending.fingerprint === fingerprint
+        ? pending.request as Promise<T>
+        : Promise.reject(this.reusedKeyError(key, operation));
+    }
+
+    const request = this.execute(key, fingerprint, operation, () => send({ ...override, idempotencyKey: key }))
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+    this.inFlight.set(key, { fingerprint, request });
+    return request;
+  }
+
+  async get(key: string): Promise<IdempotencyRecord | undefined> {
+    const record = await this.storage.get(key);
+    return record && record.expiresAt > Date.now() ? record : undefined;
+  }
+
+  async forget(key: string): Promise<void> {
+    await this.storage.delete(key);
+  }
+
+  async clear(): Promise<void> {
+    await this.storage.clear();
+  }
+
+  private async execute<T>(key: string, fingerprint: string, operation: string, send: () => Promise<T>): Promise<T> {
+    const record = await this.get(key);
+    if (record) {
+      if (record.fingerprint !== fingerprint) {
+        throw this.reusedKeyError(key, operation);
+      }
+      return record.response as T;
+    }
+
+    const response = await send();
+    // Only successful outcomes are recorded; failures may be retried with the same key
+    await this.remember({ key, fingerprint, response, expiresAt: Date.now() + this.ttl });
+    return response;
+  }
+
+  private reusedKeyError(key: string, operation: string): CrosspostValidationError {
+    return new CrosspostValidationError({
+      code: 'IDEMPOTENCY_KEY_REUSED',
+      message: `Idempotency key ${key} was already used for a different request`,
+      details: { key, operation },
+    });
+  }
+
+  private async remember(record: IdempotencyRecord): Promise<void> {
+    try {
+      await this.storage.set(record.key, record);
+      const now = Date.now();
+      const records = (await this.storage.entries()).map(([, value]) => value);
+      const live = records.filter((value) => value.expiresAt > now).sort((a, b) => a.expiresAt - b.expiresAt);
+      const evicted = records
+        .filter((value) => value.expiresAt <= now)
+        .concat(live.slice(0, Math.max(0, live.length - this.maxEntries)));
+      await Promise.all(evicted.map((value) => this.storage.delete(value.key)));
+    } catch (error) {
+      // The request itself succeeded; losing the record only costs deduplication
+      console.warn('Failed to record idempotency key:', error);
+    }
+  }
+}
@@ -1,6 +1,9 @@
+import { CrosspostPluginClient } from './client';
+
 export { 
   CrosspostPluginClient, 
   type AuthConfig, 
+  type AuthChangeEvent,
   type HealthResponse, 
   type ClientConfig,
   type RateLimitInfo,
@@ -17,6 +20,7 @@ export {
   type CreatePostRequest,
   type Post,
   type CreatePostResponse,
+  type WriteResponse,
   type RepostRequest,
   type QuotePostRequest,
   type ReplyToPostRequest,
@@ -27,12 +31,179 @@ export {
   type ActivityItem,
   type AccountActivityResponse,
   type AccountPostsResponse,
+  type AccountActivityFilters,
+  type AccountPostsFilters,
   type MediaNormalizationOptions,
   type NormalizedMedia,
   type CrosspostError,
-  type RequestOverride
+  type RequestOverride,
+  type PostValidationOptions
 } from './client';
 
+export {
+  CrosspostApiError,
+  CrosspostAuthError,
+  CrosspostRateLimitError,
+  CrosspostValidationError,
+  CrosspostNotFoundError,
+  CrosspostNetworkError,
+  CrosspostQueuedError,
+  CrosspostTimeoutError,
+  CrosspostAbortError,
+  CrosspostSchemaError,
+  isCrosspostApiError,
+  type CrosspostApiErrorInit
+} from './errors';
+
+export {
+  DEFAULT_RETRY_POLICY,
+  type RetryPolicy,
+  type RetryAttemptInfo
+} from './retry';
+
+export {
+  KeyPairSigner,
+  createNearAuthToken,
+  serializeNep413Payload,
+  generateNonce,
+  DEFAULT_NEAR_RECIPIENT,
+  type NearSigner,
+  type NearSignerOptions,
+  type NearSignMessageParams,
+  type NearSignedMessage
+} from './near-signer';
+
+export {
+  RateLimitTracker,
+  type RateLimitGovernorOptions,
+  type RateLimitSnapshot
+} from './rate-limits';
+
+export {
+  readMediaSource,
+  isNodeEnvironment,
+  type MediaInput,
+  type MediaSource
+} from './media';
+
+export {
+  extractMediaMetadata,
+  type MediaMetadata
+} from './media-metadata';
+
+export {
+  detectMimeType,
+  canonicalMimeType,
+  isSameMediaType
+} from './mime';
+
+export {
+  validatePost,
+  validatePostForPlatform,
+  countCharacters,
+  getPlatformRules,
+  PLATFORM_RULES,
+  type PlatformRules,
+  type PostValidationIssue,
+  type PlatformValidationResult,
+  type PostValidationReport
+} from './post-validation';
+
+export {
+  splitIntoSegments,
+  distributeMedia,
+  type ThreadOptions,
+  type ThreadChain,
+  type CreateThreadResult
+} from './threads';
+
+export {
+  PostScheduler,
+  type ScheduledPost,
+  type ScheduledPostStatus,
+  type SchedulerOptions,
+  type SchedulerEvents,
+  type PublishFunction
+} from './scheduler';
+
+export {
+  normalizePlatformResults,
+  getFailedPlatforms,
+  mergePlatformResults,
+  type PlatformResult
+} from './platform-results';
+
+export {
+  IdempotencyStore,
+  getIdempotencyKey,
+  type IdempotencyOptions,
+  type IdempotencyRecord
+} from './idempotency';
+
+export {
+  Outbox,
+  type OutboxEntry,
+  type OutboxEvents,
+  type OutboxOperation,
+  type OutboxOptions,
+  type OutboxSender,
+  type OutboxState
+} from './outbox';
+
+export {
+  DraftManager,
+  type Draft,
+  type DraftChanges,
+  type DraftEvents,
+  type DraftManagerOptions,
+  type DraftPublishFunction,
+  type DraftSettings,
+  type DraftVersion
+} from './drafts';
+
+export {
+  MemoryStorage,
+  LocalStorageStorage,
+  IndexedDBStorage,
+  JsonFileStorage,
+  type StorageAdapter
+} from './storage';
+
+export {
+  ResponseCache,
+  type CacheEntry,
+  type CacheOptions,
+  type CacheRequest,
+  type CacheRule
+} from './cache';
+
+export {
+  responseSchemas,
+  responseSchemaFor,
+  schema,
+  validateSchema,
+  type ResponseValidationMode,
+  type ResponseValidationOptions,
+  type Schema,
+  type SchemaContext,
+  type SchemaIssue,
+  type ValidateSchemaOptions
+} from './schemas';
+
+export {
+  Cassette,
+  REDACTED,
+  type CassetteInteraction,
+  type CassetteOptions,
+  type CassetteRequest
+} from './cassette';
+
+export {
+  PageIterator,
+  type PaginatedPage,
+  type PaginationOptions
+} from './pagination';
+
 // Plugin configuration interface
 export interface CrosspostPluginConfig {
   name: string;
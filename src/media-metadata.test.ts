@@ -0,0 +1,133 @@
+import { describe, expect, it } from 'vitest';
+import {
+  extractMediaMetadata,
+  readGifDimensions,
+  readJpegDimensions,
+  readMp3Metadata,
+  readMp4Metadata,
+  readPngDimensions,
+  readWavMetadata,
+  readWebmMetadata,
+  readWebpDimensions,
+} from './media-metadata';
+
+type Part = string | number[] | Uint8Array;
+
+function concat(...parts: Part[]): Uint8Array {
+  const chunks = parts.map((part) => (typeof part === 'string' ? new TextEncoder().encode(part) : Uint8Array.from(part)));
+  const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  chunks.reduce((offset, chunk) => (bytes.set(chunk, offset), offset + chunk.length), 0);
+  return bytes;
+}
+
+const u16be = (value: number) => [value >> 8, value & 0xff];
+const u16le = (value: number) => [value & 0xff, value >> 8];
+const u24le = (value: number) => [value & 0xff, (value >> 8) & 0xff, value >> 16];
+const u32be = (value: number) => [value >>> 24, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+const u32le = (value: number) => u32be(value).reverse();
+const zeros = (length: number) => new Array(length).fill(0);
+
+function box(type: string, ...payload: Part[]): Uint8Array {
+  const body = concat(...payload);
+  return concat(u32be(8 + body.length), type, body);
+}
+
+function ebml(id: number[], ...payload: Part[]): Uint8Array {
+  const body = concat(...payload);
+  return concat(id, [0x80 | body.length], body);
+}
+
+function float64(value: number): number[] {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return Array.from(bytes);
+}
+
+describe('image dimensions', () => {
+  it('reads PNG and GIF headers', () => {
+    const png = concat([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], u32be(13), 'IHDR', u32be(1920), u32be(1080));
+    const gif = concat('GIF89a', u16le(640), u16le(480));
+
+    expect(readPngDimensions(png)).toEqual({ width: 1920, height: 1080 });
+    expect(readGifDimensions(gif)).toEqual({ width: 640, height: 480 });
+  });
+
+  it('finds the JPEG frame header after other segments and fill bytes', () => {
+    const app0 = concat([0xff, 0xe0], u16be(16), zeros(14));
+    const sof2 = concat([0xff, 0xc2], u16be(17), [8], u16be(600), u16be(800), zeros(12));
+
+    expect(readJpegDimensions(concat([0xff, 0xd8], app0, [0xff], sof2))).toEqual({ width: 800, height: 600 });
+    expect(readJpegDimensions(concat([0xff, 0xd8], [0x00, 0x01], zeros(20)))).toEqual({});
+  });
+
+  it('reads lossy, lossless and extended WebP headers', () => {
+    const riff = (chunk: string, payload: Part) => concat('RIFF', u32le(22), 'WEBP', chunk, u32le(10), payload);
+    const lossy = riff('VP8 ', concat(zeros(3), [0x9d, 0x01, 0x2a], u16le(320), u16le(240)));
+    // 14-bit width - 1 and height - 1 after the 0x2f signature: 400x300
+    const lossless = riff('VP8L', concat([0x2f, 0x8f, 0xc1, 74, 0], zeros(5)));
+    const extended = riff('VP8X', concat(zeros(4), u24le(4095), u24le(2047)));
+
+    expect(readWebpDimensions(lossy)).toEqual({ width: 320, height: 240 });
+    expect(readWebpDimensions(lossless)).toEqual({ width: 400, height: 300 });
+    expect(readWebpDimensions(extended)).toEqual({ width: 4096, height: 2048 });
+  });
+});
+
+describe('video metadata', () => {
+  it('reads MP4 duration from mvhd and the largest track size from tkhd', () => {
+    const mvhd = box('mvhd', zeros(12), u32be(1000), u32be(12500), zeros(80));
+    const track = (width: number, height: number) => box('trak', box('tkhd', zeros(76), u32be(width * 65536), u32be(height * 65536)));
+    const audio = box('trak', box('tkhd', zeros(84)));
+    const mp4 = concat(box('ftyp', 'isom', zeros(4)), box('moov', mvhd, audio, track(640, 360), track(1280, 720)));
+
+    expect(readMp4Metadata(mp4)).toEqual({ duration: 12.5, width: 1280, height: 720 });
+    expect(readMp4Metadata(box('ftyp', 'isom'))).toEqual({});
+  });
+
+  it('reads WebM duration and size before the first cluster', () => {
+    const info = ebml([0x15, 0x49, 0xa9, 0x66], ebml([0x2a, 0xd7, 0xb1], [0x0f, 0x42, 0x40]), ebml([0x44, 0x89], float64(2500)));
+    const video = ebml([0xe0], ebml([0xb0], u16be(854)), ebml([0xba], u16be(480)));
+    const tracks = ebml([0x16, 0x54, 0xae, 0x6b], ebml([0xae], video));
+    const cluster = ebml([0x1f, 0x43, 0xb6, 0x75], ebml([0xb0], [99]));
+    // Live recordings leave the segment size unknown
+    const webm = concat([0x18, 0x53, 0x80, 0x67, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff], info, tracks, cluster);
+
+    expect(readWebmMetadata(webm)).toEqual({ duration: 2.5, width: 854, height: 480 });
+  });
+});
+
+describe('audio duration', () => {
+  it('divides the WAV data size by the byte rate', () => {
+    const fmt = concat('fmt ', u32le(16), u16le(1), u16le(1), u32le(8000), u32le(8000), u16le(1), u16le(8));
+    const wav = concat('RIFF', u32le(0), 'WAVE', fmt, 'data', u32le(4000), zeros(4000));
+
+    expect(readWavMetadata(wav)).toEqual({ duration: 0.5 });
+    // A streaming writer that never patched the size: use the bytes we have
+    expect(readWavMetadata(concat(wav.subarray(0, 40), u32le(0xffffffff), zeros(2000)))).toEqual({ duration: 0.25 });
+  });
+
+  it('estimates constant-bitrate MP3 duration after an ID3 tag', () => {
+    // MPEG 1 layer III, 128 kbit/s, 44.1 kHz
+    const id3 = concat('ID3', [3, 0, 0], [0, 0, 0, 10], zeros(10));
+    const mp3 = concat(id3, [0xff, 0xfb, 0x90, 0x00], zeros(15996));
+
+    expect(readMp3Metadata(mp3)).toEqual({ duration: 1 });
+  });
+
+  it('uses the Xing frame count for variable-bitrate MP3', () => {
+    const mp3 = concat([0xff, 0xfb, 0x90, 0x00], zeros(32), 'Xing', u32be(1), u32be(100), zeros(400));
+
+    expect(readMp3Metadata(mp3)).toEqual({ duration: 2.612 });
+  });
+});
+
+describe('extractMediaMetadata', () => {
+  it('picks the parser by MIME type and treats broken headers as unknown', () => {
+    const wav = concat('RIFF', u32le(0), 'WAVE', 'fmt ', u32le(16), zeros(8), u32le(100), zeros(4), 'data', u32le(100), zeros(100));
+    const truncated = concat(u32be(40), 'moov', u32be(32), 'mvhd', zeros(4));
+
+    expect(extractMediaMetadata(wav, 'audio/x-wav')).toEqual({ duration: 1 });
+    expect(extractMediaMetadata(truncated, 'video/mp4')).toEqual({});
+    expect(extractMediaMetadata(wav, 'application/pdf')).toEqual({});
+  });
+});
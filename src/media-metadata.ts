@@ -0,0 +1,360 @@
+import { canonicalMimeType } from './mime';
+
+export interface MediaMetadata {
+  width?: number;
+  height?: number;
+  duration?: number; // in seconds
+}
+
+// Header parsers work on raw bytes only, so they behave the same in the browser and in Node.js
+
+function view(bytes: Uint8Array): DataView {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function ascii(bytes: Uint8Array, offset: number, length: number): string {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function round(seconds: number): number {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+// ===== IMAGES =====
+
+export function readPngDimensions(bytes: Uint8Array): MediaMetadata {
+  if (bytes.length < 24 || ascii(bytes, 12, 4) !== 'IHDR') {
+    return {};
+  }
+  const data = view(bytes);
+  return { width: data.getUint32(16), height: data.getUint32(20) };
+}
+
+export function readGifDimensions(bytes: Uint8Array): MediaMetadata {
+  if (bytes.length < 10) {
+    return {};
+  }
+  const data = view(bytes);
+  return { width: data.getUint16(6, true), height: data.getUint16(8, true) };
+}
+
+export function readJpegDimensions(bytes: Uint8Array): MediaMetadata {
+  const data = view(bytes);
+  let offset = 2;
+
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      return {};
+    }
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      // Fill byte
+      offset++;
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      // Markers without a length field
+      offset += 2;
+      continue;
+    }
+
+    const length = data.getUint16(offset + 2);
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { height: data.getUint16(offset + 5), width: data.getUint16(offset + 7) };
+    }
+    offset += 2 + length;
+  }
+  return {};
+}
+
+export function readWebpDimensions(bytes: Uint8Array): MediaMetadata {
+  if (bytes.length < 30) {
+    return {};
+  }
+  const data = view(bytes);
+  const chunk = ascii(bytes, 12, 4);
+
+  if (chunk === 'VP8 ') {
+    return { width: data.getUint16(26, true) & 0x3fff, height: data.getUint16(28, true) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const [b0, b1, b2, b3] = bytes.subarray(21, 25);
+    return {
+      width: 1 + (((b1 & 0x3f) << 8) | b0),
+      height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6)),
+    };
+  }
+  if (chunk === 'VP8X') {
+    const uint24 = (offset: number) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+    return { width: 1 + uint24(24), height: 1 + uint24(27) };
+  }
+  return {};
+}
+
+// ===== ISO BMFF (MP4 / MOV) =====
+
+interface Box {
+  type: string;
+  start: number; // first byte of the payload
+  end: number;
+}
+
+function readBoxes(bytes: Uint8Array, start: number, end: number): Box[] {
+  const data = view(bytes);
+  const boxes: Box[] = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = data.getUint32(offset);
+    let header = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(data.getBigUint64(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) {
+      break;
+    }
+    boxes.push({ type: ascii(bytes, offset + 4, 4), start: offset + header, end: Math.min(end, offset + size) });
+    offset += size;
+  }
+  return boxes;
+}
+
+export function readMp4Metadata(bytes: Uint8Array): MediaMetadata {
+  const data = view(bytes);
+  const moov = readBoxes(bytes, 0, bytes.length).find((box) => box.type === 'moov');
+  if (!moov) {
+    return {};
+  }
+
+  const metadata: MediaMetadata = {};
+  readBoxes(bytes, moov.start, moov.end).forEach((box) => {
+    if (box.type === 'mvhd') {
+      const version = bytes[box.start];
+      const timescale = data.getUint32(box.start + (version === 1 ? 20 : 12));
+      const duration = version === 1
+        ? Number(data.getBigUint64(box.start + 24))
+        : data.getUint32(box.start + 16);
+      if (timescale > 0) {
+        metadata.duration = round(duration / timescale);
+      }
+    }
+
+    if (box.type === 'trak') {
+      const tkhd = readBoxes(bytes, box.start, box.end).find((child) => child.type === 'tkhd');
+      if (tkhd && tkhd.end - tkhd.start >= 84) {
+        // Width and height are the last two 16.16 fixed-point fields
+        const width = data.getUint32(tkhd.end - 8) / 65536;
+        const height = data.getUint32(tkhd.end - 4) / 65536;
+        if (width * height > (metadata.width || 0) * (metadata.height || 0)) {
+          metadata.width = Math.round(width);
+          metadata.height = Math.round(height);
+        }
+      }
+    }
+  });
+  return metadata;
+}
+
+// ===== MATROSKA / WEBM =====
+
+const EBML_IDS = {
+  segment: 0x18538067,
+  info: 0x1549a966,
+  timecodeScale: 0x2ad7b1,
+  duration: 0x4489,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  video: 0xe0,
+  pixelWidth: 0xb0,
+  pixelHeight: 0xba,
+  cluster: 0x1f43b675,
+};
+
+const EBML_CONTAINERS = [EBML_IDS.segment, EBML_IDS.info, EBML_IDS.tracks, EBML_IDS.trackEntry, EBML_IDS.video];
+
+function readVint(bytes: Uint8Array, offset: number, keepMarker: boolean): { value: number; length: number; unknown: boolean } | null {
+  const first = bytes[offset];
+  if (first === undefined || first === 0) {
+    return null;
+  }
+  const length = Math.clz32(first) - 23;
+  if (offset + length > bytes.length) {
+    return null;
+  }
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let unknown = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+    unknown = unknown && bytes[offset + i] === 0xff;
+  }
+  return { value, length, unknown: !keepMarker && unknown };
+}
+
+function readUnsigned(bytes: Uint8Array, start: number, end: number): number {
+  let value = 0;
+  for (let i = start; i < end; i++) {
+    value = value * 256 + bytes[i];
+  }
+  return value;
+}
+
+export function readWebmMetadata(bytes: Uint8Array): MediaMetadata {
+  const data = view(bytes);
+  const metadata: MediaMetadata = {};
+  let timecodeScale = 1000000; // ns per timecode unit
+  let rawDuration: number | undefined;
+
+  const walk = (start: number, end: number) => {
+    let offset = start;
+    while (offset < end) {
+      const id = readVint(bytes, offset, true);
+      const size = id && readVint(bytes, offset + id.length, false);
+      if (!id || !size) {
+        return;
+      }
+
+      const payload = offset + id.length + size.length;
+      const payloadEnd = size.unknown ? end : Math.min(end, payload + size.value);
+
+      if (id.value === EBML_IDS.cluster) {
+        // Everything we need lives before the first cluster
+        return;
+      }
+      if (EBML_CONTAINERS.includes(id.value)) {
+        walk(payload, payloadEnd);
+      } else if (id.value === EBML_IDS.timecodeScale) {
+        timecodeScale = readUnsigned(bytes, payload, payloadEnd);
+      } else if (id.value === EBML_IDS.duration) {
+        rawDuration = payloadEnd - payload === 4 ? data.getFloat32(payload) : data.getFloat64(payload);
+      } else if (id.value === EBML_IDS.pixelWidth && !metadata.width) {
+        metadata.width = readUnsigned(bytes, payload, payloadEnd);
+      } else if (id.value === EBML_IDS.pixelHeight && !metadata.height) {
+        metadata.height = readUnsigned(bytes, payload, payloadEnd);
+      }
+      offset = payloadEnd;
+    }
+  };
+
+  walk(0, bytes.length);
+  if (rawDuration !== undefined) {
+    metadata.duration = round((rawDuration * timecodeScale) / 1e9);
+  }
+  return metadata;
+}
+
+// ===== AUDIO =====
+
+export function readWavMetadata(bytes: Uint8Array): MediaMetadata {
+  const data = view(bytes);
+  let byteRate = 0;
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const chunk = ascii(bytes, offset, 4);
+    const size = data.getUint32(offset + 4, true);
+    if (chunk === 'fmt ' && offset + 20 <= bytes.length) {
+      byteRate = data.getUint32(offset + 16, true);
+    }
+    if (chunk === 'data') {
+      // Streaming writers may leave the size at 0xffffffff, fall back to what we have
+      const dataSize = Math.min(size, bytes.length - offset - 8);
+      return byteRate > 0 ? { duration: round(dataSize / byteRate) } : {};
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return {};
+}
+
+const MP3_BITRATES = {
+  v1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  v2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES: Record<number, number[]> = {
+  3: [44100, 48000, 32000], // MPEG 1
+  2: [22050, 24000, 16000], // MPEG 2
+  0: [11025, 12000, 8000], // MPEG 2.5
+};
+
+export function readMp3Metadata(bytes: Uint8Array): MediaMetadata {
+  const data = view(bytes);
+  let offset = 0;
+
+  // Skip the ID3v2 tag (syncsafe size)
+  if (ascii(bytes, 0, 3) === 'ID3' && bytes.length >= 10) {
+    const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+    offset = 10 + size + (bytes[5] & 0x10 ? 10 : 0);
+  }
+
+  // Find the first frame header
+  while (offset + 4 <= bytes.length && !(bytes[offset] === 0xff && (bytes[offset + 1] & 0xe0) === 0xe0)) {
+    offset++;
+  }
+  if (offset + 4 > bytes.length) {
+    return {};
+  }
+
+  const version = (bytes[offset + 1] >> 3) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRate = MP3_SAMPLE_RATES[version]?.[(bytes[offset + 2] >> 2) & 0x03];
+  const bitrate = (version === 3 ? MP3_BITRATES.v1 : MP3_BITRATES.v2)[bitrateIndex];
+  if (!sampleRate || !bitrate) {
+    return {};
+  }
+
+  const samplesPerFrame = version === 3 ? 1152 : 576;
+  const mono = (bytes[offset + 3] >> 6) === 3;
+  const sideInfo = version === 3 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+
+  // VBR files carry the frame count in a Xing/Info header inside the first frame
+  const xing = offset + 4 + sideInfo;
+  const tag = ascii(bytes, xing, 4);
+  if ((tag === 'Xing' || tag === 'Info') && xing + 12 <= bytes.length && (data.getUint32(xing + 4) & 0x01)) {
+    const frames = data.getUint32(xing + 8);
+    return { duration: round((frames * samplesPerFrame) / sampleRate) };
+  }
+
+  // Otherwise assume constant bitrate
+  const hasId3v1 = bytes.length >= 128 && ascii(bytes, bytes.length - 128, 3) === 'TAG';
+  const audioBytes = bytes.length - offset - (hasId3v1 ? 128 : 0);
+  return { duration: round((audioBytes * 8) / (bitrate * 1000)) };
+}
+
+/**
+ * Extract width, height and duration from media headers, where the format provides them
+ */
+export function extractMediaMetadata(bytes: Uint8Array, mimeType: string): MediaMetadata {
+  try {
+    switch (canonicalMimeType(mimeType)) {
+      case 'image/png':
+        return readPngDimensions(bytes);
+      case 'image/jpeg':
+        return readJpegDimensions(bytes);
+      case 'image/gif':
+        return readGifDimensions(bytes);
+      case 'image/webp':
+        return readWebpDimensions(bytes);
+      case 'video/mp4':
+      case 'video/quicktime':
+      case 'audio/mp4':
+        return readMp4Metadata(bytes);
+      case 'video/webm':
+      case 'audio/webm':
+      case 'video/x-matroska':
+        return readWebmMetadata(bytes);
+      case 'audio/wav':
+        return readWavMetadata(bytes);
+      case 'audio/mpeg':
+        return readMp3Metadata(bytes);
+      default:
+        return {};
+    }
+  } catch {
+    // Truncated or malformed headers: metadata is best effort
+    return {};
+  }
+}
@@ -0,0 +1,96 @@
+import { createReadStream } from 'node:fs';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { CrosspostApiError, CrosspostValidationError } from './errors';
+import { isNodeEnvironment, readMediaSource } from './media';
+
+// PNG signature plus an IHDR chunk for a 3x2 image
+function png(): Buffer {
+  const bytes = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(bytes);
+  bytes.writeUInt32BE(13, 8);
+  bytes.write('IHDR', 12, 'ascii');
+  bytes.writeUInt32BE(3, 16);
+  bytes.writeUInt32BE(2, 20);
+  return bytes;
+}
+
+let dir: string;
+let file: string;
+
+beforeAll(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'crosspost-media-'));
+  file = join(dir, 'photo.png');
+  await writeFile(file, png());
+});
+
+afterAll(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near' });
+
+describe('media input in Node.js', () => {
+  it('runs the Node.js path under vitest', () => {
+    expect(isNodeEnvironment).toBe(true);
+  });
+
+  it('normalizes a Buffer by sniffing its type and reading its dimensions', async () => {
+    const media = await client.normalizeMedia(png());
+
+    expect(media).toMatchObject({
+      type: 'image',
+      mimeType: 'image/png',
+      size: 33,
+      data: png().toString('base64'),
+      metadata: { width: 3, height: 2 },
+    });
+    expect(media.thumbnail).toBeUndefined();
+  });
+
+  it.each([
+    ['a file path', () => file],
+    ['a file:// URL', () => pathToFileURL(file).href],
+    ['an fs read stream', () => createReadStream(file)],
+  ])('reads %s with its file name', async (_, input) => {
+    const media = await client.normalizeMedia(input());
+
+    expect(media).toMatchObject({ mimeType: 'image/png', size: 33, metadata: { originalName: 'photo.png', width: 3 } });
+  });
+
+  it('reads web streams, async iterables and ArrayBuffers', async () => {
+    const bytes = new Uint8Array(png());
+    const web = new ReadableStream<Uint8Array>({
+      start(controller) {
+        controller.enqueue(bytes.subarray(0, 10));
+        controller.enqueue(bytes.subarray(10));
+        controller.close();
+      },
+    });
+    async function* chunks() {
+      yield bytes.subarray(0, 5);
+      yield bytes.subarray(5);
+    }
+
+    expect((await readMediaSource(web)).bytes).toEqual(bytes);
+    expect((await readMediaSource(chunks())).bytes).toEqual(bytes);
+    expect((await readMediaSource(bytes.slice().buffer)).bytes).toEqual(bytes);
+  });
+
+  it('rejects oversized, disallowed and unsupported input', async () => {
+    await expect(client.normalizeMedia(png(), { maxSize: 10 })).rejects.toMatchObject({
+      code: 'MEDIA_TOO_LARGE',
+      constructor: CrosspostValidationError,
+    });
+    await expect(client.normalizeMedia(png(), { allowedTypes: ['video/mp4'] })).rejects.toMatchObject({ code: 'MEDIA_TYPE_NOT_ALLOWED' });
+    await expect(client.normalizeMedia(42 as any)).rejects.toMatchObject({ code: 'MEDIA_UNSUPPORTED_INPUT' });
+    await expect(client.normalizeMedia(join(dir, 'missing.png'))).rejects.toMatchObject({
+      code: 'MEDIA_ERROR',
+      constructor: CrosspostApiError,
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { base64ToBytes } from './encoding';
+import { CrosspostValidationError } from './errors';
+
+/**
+ * Everything normalizeMedia accepts. Streams, Buffers and file paths are Node.js friendly.
+ */
+export type MediaInput =
+  | Blob
+  | File
+  | string // data: URL, http(s) URL, or a local file path / file:// URL in Node.js
+  | ArrayBuffer
+  | ArrayBufferView // Buffer, Uint8Array, ...
+  | ReadableStream<Uint8Array>
+  | AsyncIterable<Uint8Array | string>; // Node.js Readable
+
+export interface MediaSource {
+  bytes: Uint8Array;
+  mimeType: string; // empty when the source didn't declare one
+  originalName?: string;
+}
+
+const EXTENSION_TYPES: Record<string, string> = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  mp3: 'audio/mp3',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  pdf: 'application/pdf',
+};
+
+export const isNodeEnvironment =
+  typeof process !== 'undefined' && !!process.versions?.node && typeof document === 'undefined';
+
+export function mimeTypeFromFileName(name: string): string {
+  const extension = name.split(/[?#]/)[0].split('.').pop()?.toLowerCase() || '';
+  return EXTENSION_TYPES[extension] || '';
+}
+
+function isRemoteUrl(value: string): boolean {
+  return /^[a-z][a-z0-9+.-]*:/i.test(value) && !/^file:/i.test(value) && !/^[a-z]:[\\/]/i.test(value);
+}
+
+async function readStream(stream: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array | string>): Promise<Uint8Array> {
+  const chunks: Uint8Array[] = [];
+  const encoder = new TextEncoder();
+
+  if (typeof (stream as ReadableStream<Uint8Array>).getReader === 'function') {
+    const reader = (stream as ReadableStream<Uint8Array>).getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+    }
+  } else {
+    for await (const chunk of stream as AsyncIterable<Uint8Array | string>) {
+      chunks.push(typeof chunk === 'string' ? encoder.encode(chunk) : chunk);
+    }
+  }
+
+  const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.byteLength, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+}
+
+async function readFile(path: string): Promise<MediaSource> {
+  const [{ readFile: read }, { basename }, { fileURLToPath }] = await Promise.all([
+    import(/* webpackIgnore: true */ 'node:fs/promises'),
+    import(/* webpackIgnore: true */ 'node:path'),
+    import(/* webpackIgnore: true */ 'node:url'),
+  ]);
+  const filePath = /^file:/i.test(path) ? fileURLToPath(path) : path;
+  const buffer = await read(filePath);
+
+  return {
+    bytes: new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength),
+    mimeType: mimeTypeFromFileName(filePath),
+    originalName: basename(filePath),
+  };
+}
+
+/**
+ * Read any supported media input into bytes, using the implementation that fits the environment
+ */
+export async function readMediaSource(media: MediaInput): Promise<MediaSource> {
+  if (typeof media === 'string') {
+    if (media.startsWith('data:')) {
+      // Base64 data URL
+      const [header, base64Data = ''] = media.split(',');
+      return {
+        bytes: base64ToBytes(base64Data),
+        mimeType: header.match(/data:([^;,]+)/)?.[1] || 'application/octet-stream',
+      };
+    }
+
+    if (isNodeEnvironment && !isRemoteUrl(media)) {
+      return readFile(media);
+    }
+
+    // URL - fetch and convert
+    const response = await fetch(media);
+    const blob = await response.blob();
+    return {
+      bytes: new Uint8Array(await blob.arrayBuffer()),
+      mimeType: blob.type || response.headers.get('content-type')?.split(';')[0] || '',
+    };
+  }
+
+  if (typeof Blob !== 'undefined' && media instanceof Blob) {
+    // Handle Blob or File
+    return {
+      bytes: new Uint8Array(await media.arrayBuffer()),
+      mimeType: media.type,
+      originalName: typeof File !== 'undefined' && media instanceof File ? media.name : undefined,
+    };
+  }
+
+  if (media instanceof ArrayBuffer) {
+    return { bytes: new Uint8Array(media), mimeType: '' };
+  }
+
+  if (ArrayBuffer.isView(media)) {
+    // Buffer, Uint8Array or any other typed array
+    return { bytes: new Uint8Array(media.buffer, media.byteOffset, media.byteLength), mimeType: '' };
+  }
+
+  if (media && typeof media === 'object' && (typeof (media as any).getReader === 'function' || Symbol.asyncIterator in media)) {
+    // fs.createReadStream() exposes the file path, which gives us a name and an extension
+    const path = typeof (media as any).path === 'string' ? (media as any).path as string : undefined;
+    return {
+      bytes: await readStream(media as ReadableStream<Uint8Array>),
+      mimeType: path ? mimeTypeFromFileName(path) : '',
+      originalName: path?.split(/[\\/]/).pop(),
+    };
+  }
+
+  throw new CrosspostValidationError({
+    code: 'MEDIA_UNSUPPORTED_INPUT',
+    message: 'Unsupported media type',
+  });
+}
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { detectMimeType, resolveMimeType } from './mime';
+
+function ftyp(major: string, ...compatible: string[]): Uint8Array {
+  const brands = major + '\0\0\0\0' + compatible.join('');
+  const bytes = new Uint8Array(8 + brands.length + 8);
+  new DataView(bytes.buffer).setUint32(0, 8 + brands.length);
+  Array.from('ftyp' + brands).forEach((char, index) => {
+    bytes[4 + index] = char.charCodeAt(0);
+  });
+  return bytes;
+}
+
+describe('ISO-BMFF detection', () => {
+  it.each([
+    [ftyp('isom', 'isom', 'avc1'), 'video/mp4'],
+    [ftyp('qt  '), 'video/quicktime'],
+    [ftyp('avif', 'mif1'), 'image/avif'],
+    [ftyp('heic', 'mif1', 'heic'), 'image/heic'],
+    [ftyp('mif1', 'mif1', 'heic'), 'image/heic'],
+    [ftyp('mif1', 'mif1'), 'image/heif'],
+    [ftyp('M4A ', 'M4A ', 'mp42', 'isom'), 'audio/mp4'],
+    [ftyp('3gp4', '3gp4'), null],
+  ])('detects %#', (bytes, type) => {
+    expect(detectMimeType(bytes)).toBe(type);
+  });
+
+  it('accepts correctly declared HEIC and M4A files', () => {
+    expect(resolveMimeType(ftyp('heic', 'mif1', 'heic'), 'image/heic')).toBe('image/heic');
+    expect(resolveMimeType(ftyp('M4A ', 'M4A ', 'isom'), 'audio/x-m4a')).toBe('audio/x-m4a');
+  });
+
+  it('does not pass off unknown brands as MP4', () => {
+    expect(resolveMimeType(ftyp('3gp4', '3gp4'), 'video/3gpp')).toBe('video/3gpp');
+    expect(() => resolveMimeType(ftyp('crx '), 'video/mp4')).toThrow(/does not match/);
+  });
+});
@@ -0,0 +1,179 @@
+import { CrosspostValidationError } from './errors';
+
+// Declared types that say nothing about the content
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/unknown'];
+
+const ALIASES: Record<string, string> = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-mp3': 'audio/mpeg',
+  'audio/mpeg3': 'audio/mpeg',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/vnd.wave': 'audio/wav',
+  'video/x-m4v': 'video/mp4',
+  'audio/x-m4a': 'audio/mp4',
+  'audio/m4a': 'audio/mp4',
+  'application/x-pdf': 'application/pdf',
+};
+
+// Types that share a container format and cannot be told apart reliably by signature
+const FAMILIES: string[][] = [
+  ['video/mp4', 'video/quicktime', 'audio/mp4'],
+  ['audio/ogg', 'video/ogg', 'application/ogg'],
+  ['video/webm', 'audio/webm'],
+  ['image/heic', 'image/heif'],
+];
+
+export const DETECTABLE_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/heic', 'image/heif',
+  'video/mp4', 'video/quicktime', 'video/webm', 'audio/mpeg', 'audio/mp4', 'audio/wav', 'audio/ogg', 'application/pdf',
+];
+
+const ISO_BMFF_AUDIO_BRANDS = ['M4A ', 'M4B ', 'M4P '];
+const ISO_BMFF_HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx'];
+const ISO_BMFF_HEIF_BRANDS = ['mif1', 'msf1'];
+const ISO_BMFF_VIDEO_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'M4VP', 'dash', 'msnv', 'f4v '];
+
+function ascii(bytes: Uint8Array, offset: number, length: number): string {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function startsWith(bytes: Uint8Array, signature: number[], offset: number = 0): boolean {
+  return signature.every((byte, i) => bytes[offset + i] === byte);
+}
+
+export function canonicalMimeType(mimeType: string = ''): string {
+  const type = mimeType.split(';')[0].trim().toLowerCase();
+  return ALIASES[type] || type;
+}
+
+export function isGenericMimeType(mimeType: string = ''): boolean {
+  return GENERIC_TYPES.includes(canonicalMimeType(mimeType));
+}
+
+/**
+ * Whether two MIME types describe the same format (aliases and shared containers included)
+ */
+export function isSameMediaType(a: string, b: string): boolean {
+  const left = canonicalMimeType(a);
+  const right = canonicalMimeType(b);
+  return left === right || FAMILIES.some((family) => family.includes(left) && family.includes(right));
+}
+
+export function isAllowedMimeType(mimeType: string, allowedTypes: string[]): boolean {
+  const type = canonicalMimeType(mimeType);
+  return allowedTypes.some((allowed) => canonicalMimeType(allowed) === type);
+}
+
+function detectIsoBmff(bytes: Uint8Array): string | null {
+  if (ascii(bytes, 4, 4) !== 'ftyp') {
+    return null;
+  }
+
+  const boxSize = Math.min(bytes.length, (bytes[0] << 24 | bytes[1] << 16 | bytes[2] << 8 | bytes[3]) >>> 0);
+  const majorBrand = ascii(bytes, 8, 4);
+  const brands = [majorBrand];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(ascii(bytes, offset, 4));
+  }
+
+  if (majorBrand === 'avif' || majorBrand === 'avis') {
+    return 'image/avif';
+  }
+  if (majorBrand === 'qt  ') {
+    return 'video/quicktime';
+  }
+  if (ISO_BMFF_AUDIO_BRANDS.includes(majorBrand)) {
+    return 'audio/mp4';
+  }
+
+  const isVideo = brands.some((brand) => ISO_BMFF_VIDEO_BRANDS.includes(brand));
+  if (ISO_BMFF_HEIC_BRANDS.includes(majorBrand) || (brands.some((brand) => ISO_BMFF_HEIC_BRANDS.includes(brand)) && !isVideo)) {
+    return 'image/heic';
+  }
+  if (brands.includes('avif') && !isVideo) {
+    return 'image/avif';
+  }
+  if (ISO_BMFF_HEIF_BRANDS.includes(majorBrand)) {
+    return 'image/heif';
+  }
+  // Other brands (3GP, JPEG 2000, CMAF profiles, ...) are not guessed at
+  return isVideo ? 'video/mp4' : null;
+}
+
+function detectMp3(bytes: Uint8Array): boolean {
+  if (ascii(bytes, 0, 3) === 'ID3') {
+    return true;
+  }
+  // MPEG audio frame sync: 11 set bits, a valid version and layer III
+  return bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0 && (bytes[1] & 0x18) !== 0x08 && (bytes[1] & 0x06) === 0x02;
+}
+
+/**
+ * Detect the MIME type from the file signature, or null when the format is not recognized
+ */
+export function detectMimeType(bytes: Uint8Array): string | null {
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (ascii(bytes, 0, 6) === 'GIF87a' || ascii(bytes, 0, 6) === 'GIF89a') {
+    return 'image/gif';
+  }
+  if (ascii(bytes, 0, 4) === 'RIFF') {
+    const format = ascii(bytes, 8, 4);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+  }
+  if (ascii(bytes, 0, 5) === '%PDF-') {
+    return 'application/pdf';
+  }
+  if (ascii(bytes, 0, 4) === 'OggS') {
+    return 'audio/ogg';
+  }
+  if (startsWith(bytes, [0x1a, 0x45, 0xdf, 0xa3])) {
+    // EBML header; the DocType tells WebM apart from other Matroska files
+    return ascii(bytes, 0, Math.min(bytes.length, 64)).includes('webm') ? 'video/webm' : 'video/x-matroska';
+  }
+  const isoBmff = detectIsoBmff(bytes);
+  if (isoBmff) {
+    return isoBmff;
+  }
+  if (detectMp3(bytes)) {
+    return 'audio/mpeg';
+  }
+  return null;
+}
+
+/**
+ * Pick the effective MIME type: the detected one when nothing useful was declared,
+ * otherwise the declared one after checking it matches the content.
+ */
+export function resolveMimeType(bytes: Uint8Array, declaredType: string = '', verify: boolean = true): string {
+  const detectedType = detectMimeType(bytes);
+
+  if (isGenericMimeType(declaredType)) {
+    return detectedType || canonicalMimeType(declaredType);
+  }
+
+  if (verify) {
+    // A known format whose signature is missing is as suspicious as a different signature
+    const mismatch = detectedType
+      ? !isSameMediaType(declaredType, detectedType)
+      : DETECTABLE_TYPES.includes(canonicalMimeType(declaredType));
+
+    if (mismatch) {
+      throw new CrosspostValidationError({
+        code: 'MEDIA_TYPE_MISMATCH',
+        message: `Declared media type ${declaredType} does not match its content (${detectedType || 'unrecognized'})`,
+        details: { declaredType, detectedType },
+      });
+    }
+  }
+
+  return declaredType;
+}
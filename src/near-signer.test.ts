@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { base64ToBytes } from './encoding';
+import { CrosspostAuthError } from './errors';
+import {
+  KeyPairSigner,
+  NearSigner,
+  base58Decode,
+  base58Encode,
+  createNearAuthToken,
+  generateNonce,
+  serializeNep413Payload,
+} from './near-signer';
+import { FakeCrosspostServer } from './testing';
+
+const hex = (bytes: Uint8Array) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+// ed25519 seed of 32 zero bytes and its well-known public key
+const ZERO_SEED = `ed25519:${base58Encode(new Uint8Array(32))}`;
+const ZERO_SEED_PUBLIC_KEY = '3b6a27bcceb6a42d62a3a8d02a6f0d73653215771de243a63ac048a18b59da29';
+
+function decodeToken(token: string) {
+  return JSON.parse(new TextDecoder().decode(base64ToBytes(token)));
+}
+
+async function verify(publicKey: string, payload: Uint8Array, signature: string): Promise<boolean> {
+  const raw = base58Decode(publicKey.replace('ed25519:', ''));
+  const key = await crypto.subtle.importKey('raw', raw.buffer as ArrayBuffer, { name: 'Ed25519' }, false, ['verify']);
+  const hash = await crypto.subtle.digest('SHA-256', payload.buffer as ArrayBuffer);
+  return crypto.subtle.verify({ name: 'Ed25519' }, key, base64ToBytes(signature).buffer as ArrayBuffer, hash);
+}
+
+describe('NEAR signer', () => {
+  it('encodes and decodes base58, keeping leading zeros', () => {
+    const text = new TextEncoder().encode('Hello World!');
+
+    expect(base58Encode(text)).toBe('2NEpo7TZRRrLZSi2U');
+    expect(base58Encode(new Uint8Array([0, 0, 1]))).toBe('112');
+    expect(Array.from(base58Decode('112'))).toEqual([0, 0, 1]);
+    expect(base58Decode(base58Encode(text))).toEqual(text);
+    expect(() => base58Decode('0OIl')).toThrow(/Invalid base58 character/);
+  });
+
+  it('serializes the NEP-413 payload with its tag and borsh layout', () => {
+    const nonce = new Uint8Array(32).fill(7);
+
+    const bytes = serializeNep413Payload({ message: 'hi', nonce, recipient: 'r', callbackUrl: 'u' });
+
+    expect(hex(bytes.subarray(0, 4))).toBe('9d010080'); // 2^31 + 413, little endian
+    expect(hex(bytes.subarray(4, 10))).toBe('020000006869'); // u32 length + "hi"
+    expect(bytes.subarray(10, 42)).toEqual(nonce);
+    expect(hex(bytes.subarray(42))).toBe('0100000072' + '01' + '0100000075');
+    expect(hex(serializeNep413Payload({ message: '', nonce, recipient: '' }).subarray(-1))).toBe('00');
+    expect(() => serializeNep413Payload({ message: '', nonce: new Uint8Array(8), recipient: '' })).toThrow(/32 bytes/);
+  });
+
+  it('starts nonces with the big-endian timestamp', () => {
+    const nonce = generateNonce(0x0102030405);
+
+    expect(nonce).toHaveLength(32);
+    expect(hex(nonce.subarray(0, 8))).toBe('0000000102030405');
+  });
+
+  it('derives the public key from a seed and signs verifiable NEP-413 messages', async () => {
+    const signer = await KeyPairSigner.fromSecretKey('alice.near', ZERO_SEED);
+    const params = { message: 'Authorize', nonce: generateNonce(), recipient: 'crosspost.near' };
+
+    const signed = await signer.signMessage(params);
+
+    expect(hex(base58Decode(signer.publicKey.replace('ed25519:', '')))).toBe(ZERO_SEED_PUBLIC_KEY);
+    expect(signed).toMatchObject({ accountId: 'alice.near', publicKey: signer.publicKey });
+    expect(await verify(signed.publicKey, serializeNep413Payload(params), signed.signature)).toBe(true);
+  });
+
+  it('accepts 64-byte NEAR secret keys and rejects other key types', async () => {
+    // NEAR stores the seed followed by the public key; only the seed is used
+    const secretKey = `ed25519:${base58Encode(new Uint8Array([...new Uint8Array(32), ...new Uint8Array(32).fill(1)]))}`;
+
+    const signer = await KeyPairSigner.fromSecretKey('alice.near', secretKey);
+
+    expect(hex(base58Decode(signer.publicKey.slice('ed25519:'.length)))).toBe(ZERO_SEED_PUBLIC_KEY);
+    await expect(KeyPairSigner.fromSecretKey('alice.near', 'secp256k1:abc')).rejects.toThrow(/Unsupported key type/);
+  });
+
+  it('builds a bearer token with a fresh nonce and maps signing failures to CrosspostAuthError', async () => {
+    const signer = await KeyPairSigner.fromSecretKey('alice.near', ZERO_SEED);
+
+    const first = decodeToken(await createNearAuthToken(signer, { message: 'Custom', callbackUrl: 'https://app' }));
+    const second = decodeToken(await createNearAuthToken(signer));
+
+    expect(first).toMatchObject({ account_id: 'alice.near', message: 'Custom', recipient: 'crosspost.near', callback_url: 'https://app' });
+    expect(second.nonce).not.toBe(first.nonce);
+    const failing: NearSigner = { accountId: 'bob.near', signMessage: () => Promise.reject(new Error('locked')) };
+    await expect(createNearAuthToken(failing)).rejects.toMatchObject({ code: 'SIGNING_FAILED', constructor: CrosspostAuthError });
+  });
+
+  it('signs writes on demand once set on the client', async () => {
+    const fake = new FakeCrosspostServer();
+    const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter });
+    client.setSigner(await KeyPairSigner.fromSecretKey('alice.near', ZERO_SEED));
+
+    const { post } = await client.createPost({ content: { text: 'Signed' }, platforms: ['twitter'] });
+
+    expect(post.content.text).toBe('Signed');
+    const [request] = fake.requests;
+    const token = decodeToken(request.headers.authorization.slice('Bearer '.length));
+    expect(token).toMatchObject({ account_id: 'alice.near', recipient: 'crosspost.near' });
+    const payload = serializeNep413Payload({ message: token.message, nonce: base64ToBytes(token.nonce), recipient: token.recipient });
+    expect(await verify(token.public_key, payload, token.signature)).toBe(true);
+  });
+});
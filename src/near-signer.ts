@@ -0,0 +1,228 @@
+import { base64ToBytes, bytesToBase64 } from './encoding';
+import { CrosspostAuthError } from './errors';
+
+export interface NearSignMessageParams {
+  message: string;
+  nonce: Uint8Array; // 32 bytes
+  recipient: string;
+  callbackUrl?: string;
+}
+
+export interface NearSignedMessage {
+  accountId: string;
+  publicKey: string; // "ed25519:<base58>"
+  signature: string; // base64
+}
+
+/**
+ * Anything that can produce a NEP-413 signature for an account (key pair, wallet, MPC, ...)
+ */
+export interface NearSigner {
+  readonly accountId: string;
+  signMessage(params: NearSignMessageParams): Promise<NearSignedMessage>;
+}
+
+export interface NearSignerOptions {
+  recipient?: string; // defaults to 'crosspost.near'
+  message?: string | ((request: { method?: string; url?: string }) => string);
+  callbackUrl?: string;
+  freshNoncePerRequest?: boolean; // sign every request (default) or reuse one token
+}
+
+// NEP-413 prefix tag: 2^31 + 413
+const NEP413_TAG = 2147484061;
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const PKCS8_ED25519_PREFIX = [0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20];
+
+export const DEFAULT_NEAR_RECIPIENT = 'crosspost.near';
+export const DEFAULT_NEAR_MESSAGE = 'Authorize OpenCrosspost request';
+
+export function base58Encode(bytes: Uint8Array): string {
+  const digits: number[] = [];
+  bytes.forEach((byte) => {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  });
+
+  let result = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    result += '1';
+  }
+  for (let i = digits.length - 1; i >= 0; i--) {
+    result += BASE58_ALPHABET[digits[i]];
+  }
+  return result;
+}
+
+export function base58Decode(value: string): Uint8Array {
+  const bytes: number[] = [];
+  for (const char of value) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) {
+      throw new Error(`Invalid base58 character "${char}"`);
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  for (let i = 0; i < value.length && value[i] === '1'; i++) {
+    bytes.push(0);
+  }
+  return new Uint8Array(bytes.reverse());
+}
+
+function base64UrlEncode(bytes: Uint8Array): string {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToBytes(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+}
+
+/**
+ * 32-byte nonce: 8 bytes of big-endian millisecond timestamp followed by 24 random bytes
+ */
+export function generateNonce(now: number = Date.now()): Uint8Array {
+  const nonce = new Uint8Array(32);
+  new DataView(nonce.buffer).setBigUint64(0, BigInt(now));
+  crypto.getRandomValues(nonce.subarray(8));
+  return nonce;
+}
+
+/**
+ * Borsh-serialize the NEP-413 payload, prefixed with the NEP-413 tag
+ */
+export function serializeNep413Payload(params: NearSignMessageParams): Uint8Array {
+  if (params.nonce.length !== 32) {
+    throw new Error('NEP-413 nonce must be 32 bytes');
+  }
+
+  const encoder = new TextEncoder();
+  const parts: number[] = [];
+  const u32 = (value: number) => parts.push(value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff);
+  const string = (value: string) => {
+    const bytes = encoder.encode(value);
+    u32(bytes.length);
+    bytes.forEach((byte) => parts.push(byte));
+  };
+
+  u32(NEP413_TAG);
+  string(params.message);
+  params.nonce.forEach((byte) => parts.push(byte));
+  string(params.recipient);
+  if (params.callbackUrl) {
+    parts.push(1);
+    string(params.callbackUrl);
+  } else {
+    parts.push(0);
+  }
+  return new Uint8Array(parts);
+}
+
+/**
+ * Signs NEP-413 messages locally with an ed25519 key pair using WebCrypto
+ */
+export class KeyPairSigner implements NearSigner {
+  private constructor(
+    readonly accountId: string,
+    readonly publicKey: string,
+    private readonly privateKey: CryptoKey
+  ) {}
+
+  /**
+   * Create a signer from a NEAR secret key ("ed25519:<base58 of 64-byte secret or 32-byte seed>")
+   */
+  static async fromSecretKey(accountId: string, secretKey: string): Promise<KeyPairSigner> {
+    const [curve, encoded] = secretKey.includes(':') ? secretKey.split(':') : ['ed25519', secretKey];
+    if (curve !== 'ed25519') {
+      throw new Error(`Unsupported key type ${curve}`);
+    }
+
+    const bytes = base58Decode(encoded);
+    if (bytes.length !== 32 && bytes.length !== 64) {
+      throw new Error('ed25519 secret key must be 32 or 64 bytes');
+    }
+
+    const pkcs8 = new Uint8Array([...PKCS8_ED25519_PREFIX, ...bytes.subarray(0, 32)]);
+    const extractable = await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'Ed25519' }, true, ['sign']);
+    const jwk = await crypto.subtle.exportKey('jwk', extractable);
+    const publicKeyBytes = base64UrlDecode(jwk.x as string);
+    const privateKey = await crypto.subtle.importKey(
+      'jwk',
+      { kty: 'OKP', crv: 'Ed25519', d: base64UrlEncode(bytes.subarray(0, 32)), x: jwk.x },
+      { name: 'Ed25519' },
+      false,
+      ['sign']
+    );
+
+    return new KeyPairSigner(accountId, `ed25519:${base58Encode(publicKeyBytes)}`, privateKey);
+  }
+
+  async signMessage(params: NearSignMessageParams): Promise<NearSignedMessage> {
+    const hash = await crypto.subtle.digest('SHA-256', serializeNep413Payload(params).buffer as ArrayBuffer);
+    const signature = await crypto.subtle.sign({ name: 'Ed25519' }, this.privateKey, hash);
+
+    return {
+      accountId: this.accountId,
+      publicKey: this.publicKey,
+      signature: bytesToBase64(new Uint8Array(signature)),
+    };
+  }
+}
+
+/**
+ * Sign a fresh NEP-413 message and encode it as a bearer token (base64 JSON)
+ */
+export async function createNearAuthToken(
+  signer: NearSigner,
+  options: NearSignerOptions = {},
+  request: { method?: string; url?: string } = {}
+): Promise<string> {
+  const message = typeof options.message === 'function'
+    ? options.message(request)
+    : options.message || DEFAULT_NEAR_MESSAGE;
+  const params: NearSignMessageParams = {
+    message,
+    nonce: generateNonce(),
+    recipient: options.recipient || DEFAULT_NEAR_RECIPIENT,
+    callbackUrl: options.callbackUrl,
+  };
+
+  let signed: NearSignedMessage;
+  try {
+    signed = await signer.signMessage(params);
+  } catch (error) {
+    throw new CrosspostAuthError({
+      code: 'SIGNING_FAILED',
+      message: `Failed to sign NEAR message: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      details: { accountId: signer.accountId },
+      cause: error,
+    });
+  }
+
+  const payload = {
+    account_id: signed.accountId,
+    public_key: signed.publicKey,
+    signature: signed.signature,
+    message: params.message,
+    nonce: bytesToBase64(params.nonce),
+    recipient: params.recipient,
+    callback_url: params.callbackUrl ?? null,
+  };
+  return bytesToBase64(new TextEncoder().encode(JSON.stringify(payload)));
+}
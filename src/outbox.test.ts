@@ -0,0 +1,166 @@
+import { describe, expect, it, vi } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { CrosspostAuthError, CrosspostQueuedError } from './errors';
+import { OutboxEntry } from './outbox';
+import { MemoryStorage } from './storage';
+import { FakeCrosspostServer } from './testing';
+
+function setup(storage = new MemoryStorage<OutboxEntry>()) {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({
+    baseUrl: 'http://fake.local',
+    accountId: 'alice.near',
+    adapter: fake.adapter,
+    timeout: 1000,
+    retry: false,
+    outbox: { storage, autoFlush: false },
+  });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  return { fake, client, storage, outbox: client.outbox! };
+}
+
+describe('outbox', () => {
+  it('queues writes that fail offline and replays them in order', async () => {
+    const { fake, client, outbox } = setup();
+    const offline = fake.inject({ drop: true });
+
+    const queued = await client.createPost({ content: { text: 'First' }, platforms: ['twitter'] }).catch((error) => error);
+    await client.createPost({ content: { text: 'Second' }, platforms: ['twitter'] }).catch(() => undefined);
+
+    expect(queued).toBeInstanceOf(CrosspostQueuedError);
+    expect(queued.entryId).toBe(outbox.getState().entries[0].id);
+    expect(outbox.size).toBe(2);
+
+    offline();
+    await outbox.flush();
+
+    expect(outbox.size).toBe(0);
+    expect(fake.getPosts().map((post) => post.content.text).slice(-2)).toEqual(['First', 'Second']);
+  });
+
+  it('queues a write that times out and replays it under the same idempotency key', async () => {
+    const { fake, client, outbox } = setup();
+    fake.inject({ path: '/api/posts', latency: 1500, times: 1 });
+
+    const queued = await client.createPost({ content: { text: 'Slow' }, platforms: ['twitter'] }).catch((error) => error);
+
+    expect(queued).toBeInstanceOf(CrosspostQueuedError);
+    expect(queued.cause).toMatchObject({ code: 'TIMEOUT' });
+    await outbox.flush();
+
+    const keys = fake.requests.filter((request) => request.path === '/api/posts').map((request) => request.headers['idempotency-key']);
+    expect(keys).toHaveLength(2);
+    expect(keys[1]).toBe(keys[0]);
+    expect(fake.getPosts().map((post) => post.content.text)).toEqual(['Slow']);
+  });
+
+  it('keeps entries through a 429 and a 503 on replay and backs off', async () => {
+    const { fake, client, outbox } = setup();
+    const offline = fake.inject({ drop: true });
+    await client.createPost({ content: { text: 'First' }, platforms: ['twitter'] }).catch(() => undefined);
+    await client.createPost({ content: { text: 'Second' }, platforms: ['twitter'] }).catch(() => undefined);
+    offline();
+    const dropped = vi.fn();
+    outbox.on('dropped', dropped);
+
+    const { attempts } = outbox.getState().entries[0];
+
+    fake.inject({ path: '/api/posts', status: 429, retryAfter: 1, times: 1 });
+    const throttledAt = Date.now();
+    await outbox.flush();
+
+    expect(outbox.size).toBe(2);
+    expect(outbox.getState().entries[0]).toMatchObject({ attempts: attempts + 1, lastError: { statusCode: 429 } });
+    expect(outbox.getState().nextAttemptAt).toBeGreaterThanOrEqual(throttledAt + 1000);
+
+    fake.inject({ path: '/api/posts', status: 503, times: 1 });
+    await outbox.flush();
+
+    expect(outbox.size).toBe(2);
+    expect(outbox.getState().entries[0]).toMatchObject({ attempts: attempts + 2, lastError: { statusCode: 503 } });
+
+    await outbox.flush();
+
+    expect(outbox.size).toBe(0);
+    expect(outbox.getState().nextAttemptAt).toBeUndefined();
+    expect(dropped).not.toHaveBeenCalled();
+    expect(fake.getPosts().map((post) => post.content.text)).toEqual(['First', 'Second']);
+  });
+
+  it('drops an entry the server rejects for good and replays the rest', async () => {
+    const { fake, client, outbox } = setup();
+    const offline = fake.inject({ drop: true });
+    await client.likePost({ postId: 'missing', platforms: ['twitter'] }).catch(() => undefined);
+    await client.createPost({ content: { text: 'After' }, platforms: ['twitter'] }).catch(() => undefined);
+    offline();
+    const dropped = vi.fn();
+    outbox.on('dropped', dropped);
+
+    await outbox.flush();
+
+    expect(dropped).toHaveBeenCalledWith(expect.objectContaining({ error: expect.objectContaining({ statusCode: 404 }) }));
+    expect(outbox.size).toBe(0);
+    expect(fake.getPosts().map((post) => post.content.text)).toEqual(['After']);
+  });
+
+  it('resolves a write that cancels out a queued one', async () => {
+    const { fake, client, outbox } = setup();
+    const { post } = await client.createPost({ content: { text: 'Hi' }, platforms: ['twitter'] });
+    fake.inject({ drop: true });
+
+    await expect(client.likePost({ postId: post.id, platforms: ['twitter'] })).rejects.toBeInstanceOf(CrosspostQueuedError);
+    const unliked = await client.unlikePost({ postId: post.id, platforms: ['twitter'] });
+
+    expect(unliked.success).toBe(true);
+    expect(outbox.size).toBe(0);
+  });
+
+  it('stores entries without credentials or signals', async () => {
+    const { fake, client, storage } = setup();
+    fake.inject({ drop: true });
+
+    await client.likePost({ postId: '1', platforms: ['twitter'] }, {
+      authToken: 'secret',
+      signal: new AbortController().signal,
+      headers: { Authorization: 'Bearer secret', 'X-Trace': 'abc' },
+    }).catch(() => undefined);
+
+    const [[, entry]] = await storage.entries();
+    expect(entry.override).toEqual({ headers: { 'X-Trace': 'abc' } });
+    expect(JSON.stringify(entry)).not.toContain('secret');
+  });
+
+  it('surfaces an auth failure on replay instead of queueing behind it, and replays after sign-in', async () => {
+    const { fake, client, outbox } = setup();
+    const { post } = await client.createPost({ content: { text: 'Hi' }, platforms: ['twitter'] });
+    const offline = fake.inject({ drop: true });
+    await client.likePost({ postId: post.id, platforms: ['twitter'] }).catch(() => undefined);
+    offline();
+    const rejected = fake.inject({ path: '/api/posts/like', status: 401, code: 'UNAUTHORIZED' });
+
+    const error = await client.repost({ originalPostId: post.id, platforms: ['twitter'] }).catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(CrosspostAuthError);
+    expect(error).not.toBeInstanceOf(CrosspostQueuedError);
+    expect(outbox.size).toBe(1);
+    expect(outbox.blockedBy).toBeInstanceOf(CrosspostAuthError);
+
+    rejected();
+    client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+    await vi.waitFor(() => expect(outbox.size).toBe(0));
+    expect(outbox.blockedBy).toBeNull();
+  });
+
+  it('starts empty when the store cannot be read', async () => {
+    const storage = new MemoryStorage<OutboxEntry>();
+    storage.entries = () => Promise.reject(new Error('corrupt'));
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => undefined);
+
+    const { outbox } = setup(storage);
+    await outbox.flush();
+
+    expect(outbox.size).toBe(0);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Outbox could not be loaded'), expect.any(Error));
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,341 @@
+import type { CrosspostError, RequestOverride } from './client';
+import { CrosspostApiError, CrosspostAuthError, CrosspostValidationError, toCrosspostApiError } from './errors';
+import { TypedEmitter, generateId } from './events';
+import { getRetryAfter } from './retry';
+import { MemoryStorage, StorageAdapter } from './storage';
+
+export type OutboxOperation =
+  | 'createPost'
+  | 'repost'
+  | 'quotePost'
+  | 'replyToPost'
+  | 'likePost'
+  | 'unlikePost'
+  | 'deletePost';
+
+export interface OutboxEntry {
+  id: string;
+  sequence: number; // replay order
+  operation: OutboxOperation;
+  method: 'post' | 'delete';
+  url: string;
+  data: Record<string, any>;
+  override?: RequestOverride; // without authToken, Authorization and signal, which must not be stored
+  createdAt: string;
+  attempts: number; // replays that failed and kept the entry for another try
+  lastError?: CrosspostError;
+}
+
+export interface OutboxState {
+  online: boolean;
+  flushing: boolean;
+  entries: OutboxEntry[]; // in replay order
+  lastError?: CrosspostError;
+  nextAttemptAt?: number; // epoch ms of the next automatic replay after a failed one
+}
+
+export interface OutboxOptions {
+  enabled?: boolean; // default true once an outbox config is given
+  storage?: StorageAdapter<OutboxEntry>; // defaults to in-memory
+  autoFlush?: boolean; // replay on the browser "online" event and on a timer, default true
+  flushInterval?: number; // ms between replay attempts while entries are queued, doubled after every failed replay, default 30000
+}
+
+export interface OutboxEvents {
+  queued: OutboxEntry;
+  replayed: { entry: OutboxEntry; result: unknown };
+  dropped: { entry: OutboxEntry; error: CrosspostApiError }; // rejected by the server on replay
+  collapsed: OutboxEntry; // cancelled out by a later write before it was sent
+}
+
+export type OutboxSender = (entry: OutboxEntry) => Promise<unknown>;
+
+type NewOutboxEntry = Pick<OutboxEntry, 'operation' | 'method' | 'url' | 'data' | 'override'>;
+
+/**
+ * The parts of an override that can be stored: credentials stay in memory, signals can't be serialized
+ */
+function storableOverride(override: RequestOverride | undefined): RequestOverride | undefined {
+  if (!override) {
+    return undefined;
+  }
+  const { authToken, signal, headers, ...rest } = override;
+  const kept = headers && Object.fromEntries(Object.entries(headers).filter(([name]) => name.toLowerCase() !== 'authorization'));
+  return kept && Object.keys(kept).length ? { ...rest, headers: kept } : rest;
+}
+
+const MAX_BACKOFF = 15 * 60 * 1000;
+
+/**
+ * Rejections that replaying again can't fix; throttling, timeouts and server errors are worth another try
+ */
+function isTerminal(error: CrosspostApiError): boolean {
+  if (error instanceof CrosspostAuthError) {
+    return false;
+  }
+  const status = error.statusCode;
+  if (status === undefined) {
+    return error instanceof CrosspostValidationError;
+  }
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+const OPPOSITES: Partial<Record<OutboxOperation, OutboxOperation>> = {
+  likePost: 'unlikePost',
+  unlikePost: 'likePost',
+};
+
+/**
+ * Persistent queue of writes that failed for lack of connectivity, replayed in order
+ */
+export class Outbox {
+  private readonly storage: StorageAdapter<OutboxEntry>;
+  private readonly flushInterval: number;
+  private readonly events = new TypedEmitter<OutboxEvents>();
+  private readonly stateListeners = new Set<(state: OutboxState) => void>();
+  private state: OutboxState;
+  private entries: OutboxEntry[] = [];
+  private sequence = 0;
+  private ready: Promise<void>;
+  private blocker: CrosspostApiError | null = null;
+  private flushPromise: Promise<void> | null = null;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private readonly autoFlush: boolean;
+
+  constructor(private readonly send: OutboxSender, options: OutboxOptions = {}) {
+    this.storage = options.storage || new MemoryStorage<OutboxEntry>();
+    this.flushInterval = options.flushInterval ?? 30000;
+    this.autoFlush = options.autoFlush !== false;
+    this.state = {
+      online: typeof navigator === 'undefined' || navigator.onLine !== false,
+      flushing: false,
+      entries: [],
+    };
+
+    this.ready = this.storage.entries()
+      .then((stored) => {
+        this.entries = stored.map(([, entry]) => entry).sort((a, b) => a.sequence - b.sequence);
+        this.sequence = this.entries.reduce((max, entry) => Math.max(max, entry.sequence), 0);
+      }, (error) => {
+        // An unreadable store must not take the client down with it
+        console.warn('Outbox could not be loaded, starting with an empty queue:', error);
+      })
+      .then(() => {
+        this.publishState({});
+        this.scheduleFlush();
+      });
+
+    if (this.autoFlush && typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      window.addEventListener('online', () => {
+        this.publishState({ online: true });
+        this.flush().catch(() => undefined);
+      });
+      window.addEventListener('offline', () => this.publishState({ online: false }));
+    }
+  }
+
+  /**
+   * Current queue state; the same object is returned until something changes
+   */
+  getState(): OutboxState {
+    return this.state;
+  }
+
+  /**
+   * Observe the queue state; the listener is called immediately and on every change
+   */
+  subscribe(listener: (state: OutboxState) => void): () => void {
+    this.stateListeners.add(listener);
+    listener(this.state);
+    return () => {
+      this.stateListeners.delete(listener);
+    };
+  }
+
+  on<K extends keyof OutboxEvents>(event: K, listener: (payload: OutboxEvents[K]) => void): () => void {
+    return this.events.on(event, listener);
+  }
+
+  get size(): number {
+    return this.entries.length;
+  }
+
+  /**
+   * The auth error the queue is waiting on, null unless the last replay stopped for a new sign-in
+   */
+  get blockedBy(): CrosspostApiError | null {
+    return this.blocker;
+  }
+
+  /**
+   * Queue a write, cancelling it against queued likes/unlikes of the same post.
+   * Returns null when the write was absorbed entirely.
+   */
+  async enqueue(write: NewOutboxEntry): Promise<OutboxEntry | null> {
+    await this.ready;
+    // Writes only land here after a network failure
+    this.publishState({ online: false });
+    const postId: string | undefined = write.data.postId;
+    let platforms: string[] = write.data.platforms || [];
+
+    if (postId) {
+      const opposite = OPPOSITES[write.operation];
+      // A like followed by an unlike is a no-op; a delete makes queued (un)likes pointless
+      const absorbs = (entry: OutboxEntry) => entry.data.postId === postId
+        && (entry.operation === opposite
+          || (write.operation === 'deletePost' && (entry.operation === 'likePost' || entry.operation === 'unlikePost')));
+
+      for (const entry of this.entries.filter(absorbs)) {
+        const queued: string[] = entry.data.platforms || [];
+        const overlap = queued.filter((platform) => platforms.includes(platform));
+        if (!overlap.length) {
+          continue;
+        }
+        const remaining = queued.filter((platform) => !overlap.includes(platform));
+        if (remaining.length) {
+          await this.save({ ...entry, data: { ...entry.data, platforms: remaining } });
+        } else {
+          await this.remove(entry.id);
+          this.events.emit('collapsed', entry);
+        }
+        if (write.operation !== 'deletePost') {
+          platforms = platforms.filter((platform) => !overlap.includes(platform));
+        }
+      }
+
+      if (!platforms.length) {
+        return null;
+      }
+    }
+
+    const entry: OutboxEntry = {
+      ...write,
+      override: storableOverride(write.override),
+      data: postId ? { ...write.data, platforms } : write.data,
+      id: generateId(),
+      sequence: ++this.sequence,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+    };
+    await this.save(entry);
+    this.events.emit('queued', entry);
+    this.scheduleFlush();
+    return entry;
+  }
+
+  /**
+   * Replay queued writes in order now; stops at the first failure that is worth retrying
+   */
+  flush(): Promise<void> {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.flushPromise) {
+      this.flushPromise = this.replay().finally(() => {
+        this.flushPromise = null;
+        this.publishState({ flushing: false });
+        this.scheduleFlush();
+      });
+    }
+    return this.flushPromise;
+  }
+
+  /**
+   * Whether an entry is still waiting to be sent
+   */
+  async has(id: string): Promise<boolean> {
+    await this.ready;
+    return this.entries.some((entry) => entry.id === id);
+  }
+
+  async remove(id: string): Promise<void> {
+    await this.ready;
+    await this.storage.delete(id);
+    this.entries = this.entries.filter((entry) => entry.id !== id);
+    this.blocker = null; // the next flush finds out whether the rest is still blocked
+    this.publishState({});
+  }
+
+  async clear(): Promise<void> {
+    await this.ready;
+    await this.storage.clear();
+    this.entries = [];
+    this.blocker = null;
+    this.publishState({ lastError: undefined, nextAttemptAt: undefined });
+  }
+
+  private async replay(): Promise<void> {
+    await this.ready;
+    this.publishState({ flushing: true });
+
+    while (this.entries.length) {
+      const entry = this.entries[0];
+      try {
+        const result = await this.send(entry);
+        await this.remove(entry.id);
+        this.publishState({ online: true, lastError: undefined, nextAttemptAt: undefined });
+        this.events.emit('replayed', { entry, result });
+      } catch (error) {
+        const apiError = toCrosspostApiError(error);
+        if (isTerminal(apiError)) {
+          await this.remove(entry.id);
+          this.publishState({ lastError: apiError.toJSON() });
+          this.events.emit('dropped', { entry, error: apiError });
+          continue;
+        }
+        // Offline, throttled, a server error, or the user has to sign in again: keep the entry and
+        // stop here, so later writes can't overtake it
+        const auth = apiError instanceof CrosspostAuthError;
+        const attempts = entry.attempts + 1;
+        const retryAfter = getRetryAfter(apiError);
+        const delay = retryAfter !== undefined
+          ? retryAfter * 1000
+          : Math.min(this.flushInterval * 2 ** (attempts - 1), Math.max(this.flushInterval, MAX_BACKOFF));
+        this.blocker = auth ? apiError : null;
+        await this.save({ ...entry, attempts, lastError: apiError.toJSON() });
+        this.publishState({
+          online: apiError.code !== 'NETWORK_ERROR',
+          lastError: apiError.toJSON(),
+          nextAttemptAt: auth ? undefined : Date.now() + delay,
+        });
+        return;
+      }
+    }
+  }
+
+  private async save(entry: OutboxEntry): Promise<void> {
+    await this.storage.set(entry.id, entry);
+    const index = this.entries.findIndex((existing) => existing.id === entry.id);
+    if (index === -1) {
+      this.entries = [...this.entries, entry].sort((a, b) => a.sequence - b.sequence);
+    } else {
+      this.entries = this.entries.map((existing) => (existing.id === entry.id ? entry : existing));
+    }
+    this.publishState({});
+  }
+
+  private scheduleFlush(): void {
+    if (!this.autoFlush || this.timer || this.flushPromise || !this.entries.length) {
+      return;
+    }
+    const { nextAttemptAt } = this.state;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch(() => undefined);
+    }, nextAttemptAt === undefined ? this.flushInterval : Math.max(0, nextAttemptAt - Date.now()));
+    // Queued writes alone shouldn't keep a Node.js process running
+    (this.timer as any).unref?.();
+  }
+
+  private publishState(changes: Partial<OutboxState>): void {
+    this.state = { ...this.state, ...changes, entries: this.entries };
+    this.stateListeners.forEach((listener) => {
+      try {
+        listener(this.state);
+      } catch (error) {
+        console.warn('Outbox listener failed:', error);
+      }
+    });
+  }
+}
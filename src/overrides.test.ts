@@ -0,0 +1,63 @@
+import axios from 'axios';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { CrosspostTimeoutError } from './errors';
+import { FakeCrosspostServer } from './testing';
+
+function setup() {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter, retry: false });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  return { fake, client };
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('request overrides', () => {
+  it('acts for another account on a single write without touching the client auth', async () => {
+    const { fake, client } = setup();
+    const bobToken = fake.issueToken('bob.near');
+    const { post } = await client.createPost({ content: { text: 'Hello' }, platforms: ['twitter'] });
+
+    await client.likePost({ postId: post.id, platforms: ['twitter'] }, { accountId: 'bob.near', authToken: bobToken });
+    await client.repost({ originalPostId: post.id, platforms: ['twitter'] });
+
+    const [like, repost] = fake.requests.slice(-2);
+    expect(like.headers).toMatchObject({ 'x-near-account': 'bob.near', authorization: `Bearer ${bobToken}` });
+    expect(repost.headers['x-near-account']).toBe('alice.near');
+    expect(repost.headers.authorization).not.toBe(`Bearer ${bobToken}`);
+  });
+
+  it('sends extra headers and the account on reads, but never a bearer token', async () => {
+    const { fake, client } = setup();
+
+    await client.getAccountPosts('carol.near', {}, { accountId: 'bob.near', authToken: 'unused', headers: { 'X-Trace': 'abc' } });
+
+    const [request] = fake.requests;
+    expect(request.headers).toMatchObject({ 'x-near-account': 'bob.near', 'x-trace': 'abc' });
+    expect(request.headers.authorization).toBeUndefined();
+  });
+
+  it('applies a per-call timeout and signal', async () => {
+    const { fake, client } = setup();
+    fake.inject({ path: '/api/activity/leaderboard', latency: 200 });
+
+    await expect(client.getLeaderboard('weekly', 10, { timeout: 50 })).rejects.toBeInstanceOf(CrosspostTimeoutError);
+    const controller = new AbortController();
+    const pending = client.getLeaderboard('daily', 10, { signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toMatchObject({ code: 'ABORTED' });
+  });
+
+  it('reuses the client transport instead of creating one per call', async () => {
+    const { client } = setup();
+    const create = vi.spyOn(axios, 'create');
+
+    await client.health({ headers: { 'X-Trace': 'one' } });
+    await client.getRateLimitsWithOverrides({ accountId: 'bob.near' });
+
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { PageIterator } from './pagination';
+import { FakeCrosspostServer } from './testing';
+
+function numbers(total: number) {
+  const calls: number[] = [];
+  const fetchPage = async (page: number, limit = 3) => {
+    calls.push(page);
+    const items = Array.from({ length: total }, (_, index) => index + 1).slice((page - 1) * limit, page * limit);
+    return { items, hasMore: page * limit < total };
+  };
+  return { calls, fetchPage };
+}
+
+describe('pagination', () => {
+  it('walks every page in order and collects all items', async () => {
+    const { calls, fetchPage } = numbers(7);
+
+    const items = await new PageIterator(fetchPage).collectAll();
+
+    expect(items).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(calls).toEqual([1, 2, 3]);
+  });
+
+  it('stops at maxItems without fetching further pages', async () => {
+    const { calls, fetchPage } = numbers(20);
+
+    const items = await new PageIterator(fetchPage, { maxItems: 4, prefetch: false }).collectAll();
+
+    expect(items).toEqual([1, 2, 3, 4]);
+    expect(calls).toEqual([1, 2]);
+  });
+
+  it('prefetches only one page ahead and fetches nothing more after a break', async () => {
+    const { calls, fetchPage } = numbers(30);
+    const seen: number[] = [];
+
+    for await (const item of new PageIterator(fetchPage)) {
+      seen.push(item);
+      if (item === 2) {
+        break;
+      }
+    }
+
+    expect(seen).toEqual([1, 2]);
+    expect(calls).toEqual([1, 2]);
+  });
+
+  it('gives every loop its own cursor', async () => {
+    const { fetchPage } = numbers(5);
+    const iterator = new PageIterator(fetchPage, { startPage: 2 });
+
+    const [first, second] = await Promise.all([iterator.collectAll(), iterator.collectAll()]);
+
+    expect(first).toEqual([4, 5]);
+    expect(second).toEqual([4, 5]);
+  });
+
+  it('swallows a failed prefetch when the loop ends early', async () => {
+    let calls = 0;
+    const iterator = new PageIterator(async () => {
+      calls++;
+      if (calls > 1) {
+        throw new Error('page 2 is broken');
+      }
+      return { items: ['a', 'b'], hasMore: true };
+    });
+
+    for await (const item of iterator) {
+      expect(item).toBe('a');
+      break;
+    }
+
+    await expect(iterator.collectAll()).rejects.toThrow('page 2 is broken');
+  });
+
+  it('iterates account posts through the client with the page size as limit', async () => {
+    const fake = new FakeCrosspostServer();
+    const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter });
+    client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+    for (const text of ['One', 'Two', 'Three', 'Four', 'Five']) {
+      await client.createPost({ content: { text }, platforms: ['twitter'] });
+    }
+
+    const posts = await client.iterateAccountPosts('alice.near', {}, { pageSize: 2 }).collectAll();
+
+    expect(posts.map((post) => post.content.text).sort()).toEqual(['Five', 'Four', 'One', 'Three', 'Two']);
+    const pages = fake.requests.filter((request) => request.path === '/api/activity/account/alice.near/posts');
+    expect(pages.map((request) => request.query)).toEqual([
+      { page: '1', limit: '2' },
+      { page: '2', limit: '2' },
+      { page: '3', limit: '2' },
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+export interface PaginatedPage<T> {
+  items: T[];
+  hasMore: boolean;
+}
+
+export interface PaginationOptions {
+  pageSize?: number; // sent as `limit`, server default when omitted
+  startPage?: number; // defaults to 1
+  maxItems?: number; // stop after this many items
+  prefetch?: boolean; // fetch the next page while the current one is consumed (default true)
+}
+
+export type PageFetcher<T> = (page: number, limit?: number) => Promise<PaginatedPage<T>>;
+
+/**
+ * Lazily walks a paginated endpoint. Every `for await` loop gets its own independent cursor.
+ */
+export class PageIterator<T> implements AsyncIterable<T> {
+  constructor(
+    private readonly fetchPage: PageFetcher<T>,
+    private readonly options: PaginationOptions = {}
+  ) {}
+
+  async *[Symbol.asyncIterator](): AsyncGenerator<T, void, undefined> {
+    for await (const items of this.pages()) {
+      yield* items;
+    }
+  }
+
+  /**
+   * Iterate page by page instead of item by item (respects maxItems)
+   */
+  async *pages(): AsyncGenerator<T[], void, undefined> {
+    const { pageSize, startPage = 1, maxItems = Infinity, prefetch = true } = this.options;
+    let page = startPage;
+    let remaining = maxItems;
+    let pending: Promise<PaginatedPage<T>> | null = remaining > 0 ? this.fetchPage(page, pageSize) : null;
+
+    try {
+      while (pending) {
+        const current = await pending;
+        pending = null;
+        page++;
+
+        const items = current.items.slice(0, remaining);
+        remaining -= items.length;
+        const hasMore = current.hasMore && current.items.length > 0 && remaining > 0;
+
+        if (hasMore && prefetch) {
+          pending = this.fetchPage(page, pageSize);
+        }
+        if (items.length > 0) {
+          yield items;
+        }
+        if (hasMore && !pending) {
+          pending = this.fetchPage(page, pageSize);
+        }
+      }
+    } finally {
+      // The consumer stopped early: drop the prefetched page without an unhandled rejection
+      pending?.catch(() => undefined);
+    }
+  }
+
+  /**
+   * Fetch every remaining item (up to maxItems) into an array
+   */
+  async collectAll(): Promise<T[]> {
+    const items: T[] = [];
+    for await (const pageItems of this.pages()) {
+      items.push(...pageItems);
+    }
+    return items;
+  }
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { CrosspostValidationError } from './errors';
+import { getFailedPlatforms, mergePlatformResults, normalizePlatformResults } from './platform-results';
+import { FakeCrosspostServer } from './testing';
+
+function setup() {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter, retry: false });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  return { fake, client };
+}
+
+const platforms = ['twitter', 'mastodon', 'bluesky'];
+
+describe('per-platform results', () => {
+  it('normalizes arrays, keyed objects and error lists in the requested platform order', () => {
+    const fromArray = normalizePlatformResults({
+      results: [{ platform: 'bluesky', id: 7, permalink: 'https://bsky/7' }, { platform: 'twitter', success: false, error: 'Suspended' }],
+    }, platforms);
+    const fromObject = normalizePlatformResults({ platformResults: { mastodon: { status: 'ERROR', message: 'Down' } } }, platforms);
+    const fromErrors = normalizePlatformResults({ errors: [{ platform: 'twitter', code: 'DUPLICATE', message: 'Already posted', status: 403 }] }, platforms);
+
+    expect(fromArray).toEqual([
+      expect.objectContaining({ platform: 'twitter', status: 'failed', error: expect.objectContaining({ code: 'PLATFORM_ERROR', message: 'Suspended' }) }),
+      { platform: 'mastodon', status: 'published' },
+      { platform: 'bluesky', status: 'published', postId: '7', url: 'https://bsky/7' },
+    ]);
+    expect(getFailedPlatforms({ platformResults: fromObject })).toEqual(['mastodon']);
+    expect(fromErrors[0]).toMatchObject({ platform: 'twitter', status: 'failed', error: { code: 'DUPLICATE', statusCode: 403 } });
+  });
+
+  it('lets every platform share the overall outcome when there is no breakdown', () => {
+    expect(normalizePlatformResults({ success: true, post: { id: 'p1' } }, ['twitter', 'mastodon'])).toEqual([
+      { platform: 'twitter', status: 'published', postId: 'p1' },
+      { platform: 'mastodon', status: 'published', postId: 'p1' },
+    ]);
+    expect(getFailedPlatforms({ platformResults: normalizePlatformResults({ success: false, message: 'No' }, ['twitter']) })).toEqual(['twitter']);
+    expect(mergePlatformResults(
+      [{ platform: 'twitter', status: 'published' }, { platform: 'mastodon', status: 'failed' }],
+      [{ platform: 'mastodon', status: 'published' }],
+    )).toEqual([{ platform: 'twitter', status: 'published' }, { platform: 'mastodon', status: 'published' }]);
+  });
+
+  it('reports which platforms a post reached', async () => {
+    const { fake, client } = setup();
+    fake.inject({ path: '/api/posts', failPlatforms: ['mastodon'], times: 1 });
+
+    const result = await client.createPost({ content: { text: 'Hello' }, platforms });
+
+    expect(result.success).toBe(false);
+    expect(result.platformResults).toEqual([
+      expect.objectContaining({ platform: 'twitter', status: 'published', postId: `twitter-${result.post.id}`, url: expect.any(String) }),
+      expect.objectContaining({ platform: 'mastodon', status: 'failed', error: expect.objectContaining({ code: 'PLATFORM_UNAVAILABLE' }) }),
+      expect.objectContaining({ platform: 'bluesky', status: 'published' }),
+    ]);
+  });
+
+  it('retries only the failed platforms and merges the outcome', async () => {
+    const { fake, client } = setup();
+    fake.inject({ path: '/api/posts', failPlatforms: ['mastodon', 'bluesky'], times: 1 });
+    const first = await client.createPost({ content: { text: 'Hello' }, platforms }, { idempotencyKey: 'first' });
+
+    const retried = await client.retryFailedPlatforms(first);
+
+    const retry = fake.requests[fake.requests.length - 1];
+    expect(retry.body.platforms).toEqual(['mastodon', 'bluesky']);
+    expect(retry.headers['idempotency-key']).not.toBe('first');
+    expect(retried.success).toBe(true);
+    expect(retried.post.id).toBe(first.post.id);
+    expect(retried.platformResults!.map((entry) => entry.status)).toEqual(['published', 'published', 'published']);
+    expect(await client.retryFailedPlatforms(retried)).toBe(retried);
+  });
+
+  it('covers likes and refuses results it did not produce', async () => {
+    const { fake, client } = setup();
+    const { post } = await client.createPost({ content: { text: 'Hello' }, platforms });
+    fake.inject({ path: '/api/posts/like', failPlatforms: ['twitter'], times: 1 });
+
+    const like = await client.likePost({ postId: post.id, platforms });
+    const retried = await client.retryFailedPlatforms(like);
+
+    expect(getFailedPlatforms(like)).toEqual(['twitter']);
+    expect(fake.requests[fake.requests.length - 1].body.platforms).toEqual(['twitter']);
+    expect(getFailedPlatforms(retried)).toEqual([]);
+    await expect(client.retryFailedPlatforms({ ...like })).rejects.toBeInstanceOf(CrosspostValidationError);
+  });
+});
@@ -0,0 +1,93 @@
+import type { CrosspostError } from './client';
+
+export interface PlatformResult {
+  platform: string;
+  status: 'published' | 'failed';
+  postId?: string; // id of the post on that platform
+  url?: string;
+  error?: CrosspostError;
+}
+
+function toPlatformError(error: any): CrosspostError {
+  if (typeof error === 'string') {
+    return { code: 'PLATFORM_ERROR', message: error, timestamp: new Date().toISOString() };
+  }
+  return {
+    code: error?.code || 'PLATFORM_ERROR',
+    message: error?.message || 'Request failed on this platform',
+    details: error?.details,
+    statusCode: error?.statusCode ?? error?.status,
+    timestamp: error?.timestamp || new Date().toISOString(),
+  };
+}
+
+function toPlatformResult(platform: string, raw: any): PlatformResult {
+  const failed = raw?.success === false
+    || ['failed', 'error', 'rejected'].includes(String(raw?.status).toLowerCase())
+    || (raw?.error !== undefined && raw?.error !== null);
+
+  const result: PlatformResult = { platform, status: failed ? 'failed' : 'published' };
+  const postId = raw?.postId ?? raw?.platformPostId ?? raw?.id;
+  const url = raw?.url ?? raw?.postUrl ?? raw?.permalink;
+  if (postId !== undefined) result.postId = String(postId);
+  if (url) result.url = url;
+  if (failed) result.error = toPlatformError(raw?.error ?? raw?.message ?? 'Request failed on this platform');
+  return result;
+}
+
+/**
+ * Per-platform outcome of a multi-platform write, from whichever breakdown the server sent.
+ * Accepts `platformResults` or `results` (array or keyed by platform) and `errors: [{ platform }]`;
+ * without any breakdown every requested platform shares the overall outcome.
+ */
+export function normalizePlatformResults(data: any, platforms: string[]): PlatformResult[] {
+  const results = new Map<string, PlatformResult>();
+
+  const breakdown = data?.platformResults ?? data?.results;
+  if (Array.isArray(breakdown)) {
+    breakdown
+      .filter((raw) => raw?.platform)
+      .forEach((raw) => results.set(raw.platform, toPlatformResult(raw.platform, raw)));
+  } else if (breakdown && typeof breakdown === 'object') {
+    Object.entries(breakdown).forEach(([platform, raw]) => results.set(platform, toPlatformResult(platform, raw)));
+  }
+
+  if (Array.isArray(data?.errors)) {
+    data.errors
+      .filter((raw: any) => raw?.platform)
+      .forEach((raw: any) => results.set(raw.platform, {
+        ...results.get(raw.platform),
+        platform: raw.platform,
+        status: 'failed',
+        error: toPlatformError(raw),
+      }));
+  }
+
+  const explicit = results.size > 0;
+  platforms.filter((platform) => !results.has(platform)).forEach((platform) => {
+    // Platforms missing from a breakdown succeeded; without a breakdown they follow `success`
+    const failed = explicit ? false : data?.success === false;
+    results.set(platform, failed
+      ? { platform, status: 'failed', error: toPlatformError(data?.message || 'Request failed') }
+      : { platform, status: 'published', ...(data?.post?.id ? { postId: data.post.id } : {}) });
+  });
+
+  const order = (platform: string) => (platforms.includes(platform) ? platforms.indexOf(platform) : platforms.length);
+  return Array.from(results.values()).sort((a, b) => order(a.platform) - order(b.platform));
+}
+
+/**
+ * Platforms a write did not reach
+ */
+export function getFailedPlatforms(result: { platformResults?: PlatformResult[] }): string[] {
+  return (result.platformResults || []).filter((entry) => entry.status === 'failed').map((entry) => entry.platform);
+}
+
+/**
+ * Replace the results of retried platforms, keeping the ones that already succeeded
+ */
+export function mergePlatformResults(previous: PlatformResult[], retried: PlatformResult[]): PlatformResult[] {
+  const merged = new Map(previous.map((entry) => [entry.platform, entry]));
+  retried.forEach((entry) => merged.set(entry.platform, entry));
+  return Array.from(merged.values());
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { CrosspostValidationError } from './errors';
+import { validatePost } from './post-validation';
+
+describe('post validation', () => {
+  it('checks platforms added through overrides against what the override sets', () => {
+    const request = {
+      content: { text: 'x'.repeat(1200), media: [{ type: 'image' as const, url: 'https://example.com/a.png' }] },
+      platforms: ['nostr'],
+      visibility: 'followers' as const,
+    };
+
+    const report = validatePost(request, { nostr: { maxCharacters: 1000 } });
+
+    expect(report.platforms.nostr.characterLimit).toBe(1000);
+    expect(report.platforms.nostr.issues.map((issue) => issue.code)).toEqual(['TEXT_TOO_LONG']);
+    expect(validatePost({ ...request, content: { ...request.content, text: 'short' } }, { nostr: {} }).platforms.nostr)
+      .toMatchObject({ valid: true, characterLimit: undefined });
+  });
+
+  it('rejects an invalid post for an added platform with a typed error in strict mode', async () => {
+    const client = new CrosspostPluginClient({
+      baseUrl: 'http://fake.local',
+      accountId: 'alice.near',
+      validation: { strict: true, rules: { nostr: { maxCharacters: 10 } } },
+    });
+
+    await expect(client.createPost({ content: { text: 'far too long for nostr' }, platforms: ['nostr'], visibility: 'public' }))
+      .rejects.toBeInstanceOf(CrosspostValidationError);
+  });
+});
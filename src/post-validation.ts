@@ -0,0 +1,393 @@
+import type { CreatePostRequest, MediaItem } from './client';
+
+export type ReplySetting = 'everyone' | 'mentioned' | 'followers';
+export type Visibility = 'public' | 'followers' | 'private';
+
+export interface PlatformRules {
+  maxCharacters: number;
+  counting: 'twitter' | 'graphemes' | 'codepoints';
+  urlLength?: number; // every URL counts as this many characters (link shorteners)
+  maxMedia: number;
+  maxVideos: number;
+  mixedMedia: boolean; // images and videos in the same post
+  mediaTypes: MediaItem['type'][];
+  maxImageSize?: number; // in bytes
+  maxVideoSize?: number; // in bytes
+  maxVideoDuration?: number; // in seconds
+  altText: 'required' | 'recommended' | 'optional';
+  maxAltTextLength?: number;
+  visibility: Visibility[];
+  replySettings: ReplySetting[];
+}
+
+export interface PostValidationIssue {
+  code: string;
+  message: string;
+  field: string; // e.g. 'content.text', 'content.media[1].alt', 'visibility'
+  severity: 'error' | 'warning';
+  details?: Record<string, any>;
+}
+
+export interface PlatformValidationResult {
+  platform: string;
+  valid: boolean;
+  characterCount: number;
+  characterLimit?: number;
+  issues: PostValidationIssue[];
+}
+
+export interface PostValidationReport {
+  valid: boolean;
+  platforms: Record<string, PlatformValidationResult>;
+}
+
+const MB = 1024 * 1024;
+
+export const PLATFORM_RULES: Record<string, PlatformRules> = {
+  twitter: {
+    maxCharacters: 280,
+    counting: 'twitter',
+    urlLength: 23,
+    maxMedia: 4,
+    maxVideos: 1,
+    mixedMedia: false,
+    mediaTypes: ['image', 'video'],
+    maxImageSize: 5 * MB,
+    maxVideoSize: 512 * MB,
+    maxVideoDuration: 140,
+    altText: 'optional',
+    maxAltTextLength: 1000,
+    visibility: ['public'],
+    replySettings: ['everyone', 'mentioned', 'followers'],
+  },
+  mastodon: {
+    maxCharacters: 500,
+    counting: 'codepoints',
+    urlLength: 23,
+    maxMedia: 4,
+    maxVideos: 1,
+    mixedMedia: false,
+    mediaTypes: ['image', 'video', 'audio'],
+    maxImageSize: 16 * MB,
+    maxVideoSize: 99 * MB,
+    altText: 'optional',
+    maxAltTextLength: 1500,
+    visibility: ['public', 'followers', 'private'],
+    replySettings: ['everyone'],
+  },
+  bluesky: {
+    maxCharacters: 300,
+    counting: 'graphemes',
+    maxMedia: 4,
+    maxVideos: 1,
+    mixedMedia: false,
+    mediaTypes: ['image', 'video'],
+    maxImageSize: 1000000,
+    maxVideoSize: 100 * MB,
+    maxVideoDuration: 180,
+    altText: 'recommended',
+    maxAltTextLength: 2000,
+    visibility: ['public'],
+    replySettings: ['everyone', 'mentioned', 'followers'],
+  },
+  threads: {
+    maxCharacters: 500,
+    counting: 'codepoints',
+    maxMedia: 10,
+    maxVideos: 10,
+    mixedMedia: true,
+    mediaTypes: ['image', 'video'],
+    maxImageSize: 8 * MB,
+    maxVideoSize: 1024 * MB,
+    maxVideoDuration: 300,
+    altText: 'optional',
+    visibility: ['public'],
+    replySettings: ['everyone', 'mentioned', 'followers'],
+  },
+  linkedin: {
+    maxCharacters: 3000,
+    counting: 'codepoints',
+    maxMedia: 9,
+    maxVideos: 1,
+    mixedMedia: false,
+    mediaTypes: ['image', 'video', 'document'],
+    maxImageSize: 10 * MB,
+    maxVideoSize: 5 * 1024 * MB,
+    maxVideoDuration: 600,
+    altText: 'optional',
+    visibility: ['public', 'followers'],
+    replySettings: ['everyone'],
+  },
+  facebook: {
+    maxCharacters: 63206,
+    counting: 'codepoints',
+    maxMedia: 10,
+    maxVideos: 10,
+    mixedMedia: true,
+    mediaTypes: ['image', 'video'],
+    maxImageSize: 10 * MB,
+    maxVideoSize: 10 * 1024 * MB,
+    maxVideoDuration: 14400,
+    altText: 'optional',
+    visibility: ['public', 'followers', 'private'],
+    replySettings: ['everyone'],
+  },
+};
+
+// Platforms added through overrides start from these, so only what the override sets is checked
+const UNRESTRICTED_RULES: PlatformRules = {
+  maxCharacters: Infinity,
+  counting: 'graphemes',
+  maxMedia: Infinity,
+  maxVideos: Infinity,
+  mixedMedia: true,
+  mediaTypes: ['image', 'video', 'audio', 'document'],
+  altText: 'optional',
+  visibility: ['public', 'followers', 'private'],
+  replySettings: ['everyone', 'mentioned', 'followers'],
+};
+
+const PLATFORM_ALIASES: Record<string, string> = {
+  x: 'twitter',
+  bsky: 'bluesky',
+};
+
+const URL_PATTERN = /https?:\/\/[^\s<>"]+/g;
+
+/**
+ * Rules for a platform, with alias resolution and optional overrides
+ */
+export function getPlatformRules(
+  platform: string,
+  overrides: Record<string, Partial<PlatformRules>> = {}
+): PlatformRules | undefined {
+  const key = PLATFORM_ALIASES[platform.toLowerCase()] || platform.toLowerCase();
+  const base = PLATFORM_RULES[key];
+  const override = overrides[platform] || overrides[key];
+  if (!base && !override) {
+    return undefined;
+  }
+  return { ...(base || UNRESTRICTED_RULES), ...override };
+}
+
+/**
+ * Split text into user-perceived characters (grapheme clusters)
+ */
+export function splitGraphemes(text: string): string[] {
+  const Segmenter = (Intl as any).Segmenter;
+  if (Segmenter) {
+    return Array.from(new Segmenter(undefined, { granularity: 'grapheme' }).segment(text), (s: any) => s.segment);
+  }
+  return Array.from(text);
+}
+
+// twitter-text v3: these code point ranges weigh 1, everything else (CJK, emoji, ...) weighs 2
+const LIGHT_RANGES: Array<[number, number]> = [[0, 4351], [8192, 8205], [8208, 8223], [8242, 8247]];
+
+function twitterWeight(grapheme: string): number {
+  if (/\p{Extended_Pictographic}/u.test(grapheme)) {
+    // An emoji sequence counts as one emoji
+    return 2;
+  }
+  return Array.from(grapheme).reduce((total, char) => {
+    const code = char.codePointAt(0) as number;
+    return total + (LIGHT_RANGES.some(([min, max]) => code >= min && code <= max) ? 1 : 2);
+  }, 0);
+}
+
+/**
+ * Count characters the way the platform does, including URL weighting
+ */
+export function countCharacters(text: string, rules: Pick<PlatformRules, 'counting' | 'urlLength'>): number {
+  let count = 0;
+  let body = text;
+
+  if (rules.urlLength !== undefined) {
+    const urls = text.match(URL_PATTERN) || [];
+    count += urls.length * rules.urlLength;
+    body = text.replace(URL_PATTERN, '');
+  }
+
+  if (rules.counting === 'codepoints') {
+    return count + Array.from(body).length;
+  }
+
+  const graphemes = splitGraphemes(body);
+  return count + (rules.counting === 'twitter'
+    ? graphemes.reduce((total, grapheme) => total + twitterWeight(grapheme), 0)
+    : graphemes.length);
+}
+
+function validateMedia(media: MediaItem[], rules: PlatformRules, issues: PostValidationIssue[]): void {
+  const videos = media.filter((item) => item.type === 'video').length;
+  const images = media.filter((item) => item.type === 'image').length;
+
+  if (media.length > rules.maxMedia) {
+    issues.push({
+      code: 'TOO_MANY_MEDIA',
+      message: `At most ${rules.maxMedia} media attachments are allowed`,
+      field: 'content.media',
+      severity: 'error',
+      details: { count: media.length, max: rules.maxMedia },
+    });
+  }
+  if (videos > rules.maxVideos) {
+    issues.push({
+      code: 'TOO_MANY_VIDEOS',
+      message: `At most ${rules.maxVideos} video${rules.maxVideos === 1 ? '' : 's'} allowed`,
+      field: 'content.media',
+      severity: 'error',
+      details: { count: videos, max: rules.maxVideos },
+    });
+  }
+  if (!rules.mixedMedia && videos > 0 && images > 0) {
+    issues.push({
+      code: 'MIXED_MEDIA',
+      message: 'Images and videos cannot be combined in one post',
+      field: 'content.media',
+      severity: 'error',
+    });
+  }
+
+  media.forEach((item, index) => {
+    const field = `content.media[${index}]`;
+    const size = item.metadata?.size;
+    const duration = item.metadata?.duration;
+    const maxSize = item.type === 'image' ? rules.maxImageSize : item.type === 'video' ? rules.maxVideoSize : undefined;
+
+    if (!rules.mediaTypes.includes(item.type)) {
+      issues.push({
+        code: 'MEDIA_TYPE_NOT_SUPPORTED',
+        message: `${item.type} attachments are not supported`,
+        field: `${field}.type`,
+        severity: 'error',
+        details: { type: item.type, supported: rules.mediaTypes },
+      });
+    }
+    if (typeof size === 'number' && maxSize !== undefined && size > maxSize) {
+      issues.push({
+        code: 'MEDIA_TOO_LARGE',
+        message: `${item.type} is ${size} bytes, the limit is ${maxSize} bytes`,
+        field: `${field}.metadata.size`,
+        severity: 'error',
+        details: { size, max: maxSize },
+      });
+    }
+    if (item.type === 'video' && typeof duration === 'number' && rules.maxVideoDuration !== undefined && duration > rules.maxVideoDuration) {
+      issues.push({
+        code: 'MEDIA_TOO_LONG',
+        message: `Video is ${duration}s long, the limit is ${rules.maxVideoDuration}s`,
+        field: `${field}.metadata.duration`,
+        severity: 'error',
+        details: { duration, max: rules.maxVideoDuration },
+      });
+    }
+    if (!item.alt && item.type !== 'audio' && item.type !== 'document' && rules.altText !== 'optional') {
+      issues.push({
+        code: 'MISSING_ALT_TEXT',
+        message: 'Media should have alt text',
+        field: `${field}.alt`,
+        severity: rules.altText === 'required' ? 'error' : 'warning',
+      });
+    }
+    if (item.alt && rules.maxAltTextLength !== undefined && Array.from(item.alt).length > rules.maxAltTextLength) {
+      issues.push({
+        code: 'ALT_TEXT_TOO_LONG',
+        message: `Alt text is limited to ${rules.maxAltTextLength} characters`,
+        field: `${field}.alt`,
+        severity: 'error',
+        details: { max: rules.maxAltTextLength },
+      });
+    }
+  });
+}
+
+/**
+ * Check a post against the rules of one platform
+ */
+export function validatePostForPlatform(
+  request: Pick<CreatePostRequest, 'content' | 'visibility' | 'replySettings'>,
+  platform: string,
+  overrides: Record<string, Partial<PlatformRules>> = {}
+): PlatformValidationResult {
+  const rules = getPlatformRules(platform, overrides);
+  const text = request.content?.text || '';
+
+  if (!rules) {
+    return {
+      platform,
+      valid: true,
+      characterCount: Array.from(text).length,
+      issues: [{
+        code: 'UNKNOWN_PLATFORM',
+        message: `No validation rules for ${platform}, the post is sent unchecked`,
+        field: 'platforms',
+        severity: 'warning',
+      }],
+    };
+  }
+
+  const issues: PostValidationIssue[] = [];
+  const characterCount = countCharacters(text, rules);
+  const media = request.content?.media || [];
+
+  if (!text.trim() && media.length === 0) {
+    issues.push({ code: 'EMPTY_POST', message: 'Post has neither text nor media', field: 'content', severity: 'error' });
+  }
+  if (characterCount > rules.maxCharacters) {
+    issues.push({
+      code: 'TEXT_TOO_LONG',
+      message: `Text is ${characterCount} characters, the limit is ${rules.maxCharacters}`,
+      field: 'content.text',
+      severity: 'error',
+      details: { count: characterCount, max: rules.maxCharacters },
+    });
+  }
+
+  validateMedia(media, rules, issues);
+
+  if (request.visibility && !rules.visibility.includes(request.visibility)) {
+    issues.push({
+      code: 'VISIBILITY_NOT_SUPPORTED',
+      message: `Visibility "${request.visibility}" is not supported`,
+      field: 'visibility',
+      severity: 'error',
+      details: { supported: rules.visibility },
+    });
+  }
+  if (request.replySettings && !rules.replySettings.includes(request.replySettings)) {
+    issues.push({
+      code: 'REPLY_SETTINGS_NOT_SUPPORTED',
+      message: `Reply setting "${request.replySettings}" is not supported`,
+      field: 'replySettings',
+      severity: 'error',
+      details: { supported: rules.replySettings },
+    });
+  }
+
+  return {
+    platform,
+    valid: !issues.some((issue) => issue.severity === 'error'),
+    characterCount,
+    characterLimit: Number.isFinite(rules.maxCharacters) ? rules.maxCharacters : undefined,
+    issues,
+  };
+}
+
+/**
+ * Check a post against the rules of every platform it targets
+ */
+export function validatePost(
+  request: CreatePostRequest,
+  overrides: Record<string, Partial<PlatformRules>> = {}
+): PostValidationReport {
+  const platforms: Record<string, PlatformValidationResult> = {};
+  (request.platforms || []).forEach((platform) => {
+    platforms[platform] = validatePostForPlatform(request, platform, overrides);
+  });
+
+  return {
+    valid: Object.values(platforms).every((result) => result.valid),
+    platforms,
+  };
+}
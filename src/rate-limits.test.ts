@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { CrosspostAbortError, CrosspostRateLimitError } from './errors';
+import { RateLimitTracker, toEndpointKey, toResetTime } from './rate-limits';
+import { FakeCrosspostServer } from './testing';
+
+describe('rate-limit governor', () => {
+  it('normalizes endpoints and reset values', () => {
+    expect(toEndpointKey('https://api.example.com/api/posts?x=1')).toBe('/api/posts');
+    expect(toEndpointKey('api/posts')).toBe('/api/posts');
+    expect(toResetTime(30, 1_000)).toBe(31_000);
+    expect(toResetTime(1_700_000_000)).toBe(1_700_000_000_000);
+    expect(toResetTime(1_700_000_000_000)).toBe(1_700_000_000_000);
+  });
+
+  it('learns budgets from headers and consumes them on acquire', async () => {
+    const tracker = new RateLimitTracker();
+    tracker.updateFromHeaders('/api/posts', { 'x-ratelimit-limit': '10', 'x-ratelimit-remaining': '2', 'x-ratelimit-reset': '60' });
+
+    await tracker.acquire('/api/posts?page=2');
+
+    expect(tracker.snapshot().endpoints['/api/posts']).toMatchObject({ limit: 10, remaining: 1 });
+  });
+
+  it('holds a request back until an exhausted budget resets', async () => {
+    const tracker = new RateLimitTracker();
+    tracker.update('/api/posts', { limit: 5, remaining: 0, reset: Date.now() + 80 });
+
+    const started = Date.now();
+    await tracker.acquire('/api/posts');
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(70);
+    expect(tracker.snapshot().endpoints['/api/posts']).toMatchObject({ limit: 5, remaining: 4 });
+  });
+
+  it('fails fast when the wait exceeds maxWait, and only tracks when disabled', async () => {
+    const governed = new RateLimitTracker({ maxWait: 1000 });
+    const tracking = new RateLimitTracker({ enabled: false });
+    [governed, tracking].forEach((tracker) => tracker.markExhausted('/api/posts', 30));
+
+    await expect(governed.acquire('/api/posts')).rejects.toMatchObject({ code: 'RATE_LIMIT_EXHAUSTED', retryAfter: 30 });
+    await expect(tracking.acquire('/api/posts')).resolves.toBeUndefined();
+  });
+
+  it('stops waiting when the request is aborted', async () => {
+    const fake = new FakeCrosspostServer();
+    const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter });
+    client.rateLimits.markExhausted('/api/activity/leaderboard', 30);
+    const controller = new AbortController();
+
+    const pending = client.getLeaderboard('weekly', 10, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await expect(pending).rejects.toBeInstanceOf(CrosspostAbortError);
+    expect(fake.requests).toHaveLength(0);
+  });
+
+  it('is primed by getRateLimits and remembers a 429 for the endpoint', async () => {
+    const fake = new FakeCrosspostServer();
+    const client = new CrosspostPluginClient({
+      baseUrl: 'http://fake.local',
+      accountId: 'alice.near',
+      adapter: fake.adapter,
+      retry: false,
+      rateLimit: { maxWait: 1000 },
+    });
+    client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+
+    await client.getRateLimits();
+    expect(client.rateLimits.snapshot()).toMatchObject({
+      global: { limit: 10000, remaining: 10000 },
+      endpoints: { '/api/posts': { limit: 1000, remaining: 1000 } },
+    });
+
+    fake.inject({ path: '/api/activity/leaderboard', status: 429, retryAfter: 30, times: 1 });
+    await expect(client.getLeaderboard()).rejects.toBeInstanceOf(CrosspostRateLimitError);
+    const error = await client.getLeaderboard().catch((caught) => caught);
+
+    expect(error).toMatchObject({ code: 'RATE_LIMIT_EXHAUSTED' });
+    expect(fake.requests.filter((request) => request.path === '/api/activity/leaderboard')).toHaveLength(1);
+  });
+});
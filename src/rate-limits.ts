@@ -0,0 +1,212 @@
+import type { EndpointRateLimitResponse, RateLimitInfo, RateLimitsResponse } from './client';
+import { CrosspostAbortError, CrosspostRateLimitError, parseRetryAfter } from './errors';
+
+export interface RateLimitGovernorOptions {
+  enabled?: boolean; // delay requests when a budget is exhausted (tracking always happens)
+  maxWait?: number; // in ms, fail fast with CrosspostRateLimitError instead of waiting longer
+}
+
+export interface RateLimitSnapshot {
+  global?: RateLimitInfo;
+  endpoints: Record<string, RateLimitInfo>;
+}
+
+const GLOBAL_KEY = '*';
+
+/**
+ * Normalize a request url or server endpoint name to a budget key (path without query)
+ */
+export function toEndpointKey(url: string = ''): string {
+  const path = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0];
+  return path.startsWith('/') ? path : `/${path}`;
+}
+
+/**
+ * Convert a `reset` value to epoch ms. Accepts seconds until reset, epoch seconds or epoch ms.
+ */
+export function toResetTime(reset: number, now: number = Date.now()): number {
+  if (reset < 1e9) {
+    return now + reset * 1000;
+  }
+  return reset < 1e12 ? reset * 1000 : reset;
+}
+
+/**
+ * Wait `ms`, rejecting with CrosspostAbortError as soon as the signal aborts
+ */
+function waitFor(ms: number, endpoint: string, signal?: AbortSignal): Promise<void> {
+  const aborted = () => new CrosspostAbortError({
+    code: 'ABORTED',
+    message: 'Request was cancelled while waiting for the rate limit',
+    details: { endpoint },
+  });
+  if (signal?.aborted) {
+    return Promise.reject(aborted());
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(aborted());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Tracks per-endpoint quota and holds back requests while a budget is exhausted
+ */
+export class RateLimitTracker {
+  private budgets = new Map<string, RateLimitInfo>();
+  private enabled: boolean;
+  private maxWait: number;
+
+  constructor(options: RateLimitGovernorOptions = {}) {
+    this.enabled = options.enabled ?? true;
+    this.maxWait = options.maxWait ?? 60000;
+  }
+
+  /**
+   * Record the budget for an endpoint (`reset` is stored as epoch ms)
+   */
+  update(endpoint: string, info: RateLimitInfo): void {
+    const key = endpoint === GLOBAL_KEY ? GLOBAL_KEY : toEndpointKey(endpoint);
+    this.budgets.set(key, { ...info, reset: toResetTime(info.reset) });
+  }
+
+  /**
+   * Learn budgets from a getRateLimits() response
+   */
+  updateFromRateLimits(response: RateLimitsResponse): void {
+    if (response?.global) {
+      this.update(GLOBAL_KEY, response.global);
+    }
+    Object.entries(response?.endpoints || {}).forEach(([endpoint, info]) => this.update(endpoint, info));
+  }
+
+  /**
+   * Learn a budget from a getEndpointRateLimit() response
+   */
+  updateFromEndpointRateLimit(response: EndpointRateLimitResponse): void {
+    if (response?.endpoint && response.limit) {
+      this.update(response.endpoint, response.limit);
+    }
+  }
+
+  /**
+   * Learn a budget from X-RateLimit-* / Retry-After response headers
+   */
+  updateFromHeaders(endpoint: string, headers: Record<string, any> | undefined, status?: number): void {
+    if (!headers) {
+      return;
+    }
+
+    const limit = Number(headers['x-ratelimit-limit']);
+    const remaining = Number(headers['x-ratelimit-remaining']);
+    const reset = Number(headers['x-ratelimit-reset']);
+    const retryAfter = parseRetryAfter(headers['retry-after']);
+
+    if (!Number.isNaN(remaining) && headers['x-ratelimit-remaining'] !== undefined) {
+      const current = this.budgets.get(toEndpointKey(endpoint));
+      this.update(endpoint, {
+        limit: Number.isNaN(limit) ? current?.limit ?? remaining : limit,
+        remaining,
+        reset: Number.isNaN(reset) ? retryAfter ?? 60 : reset,
+        retryAfter,
+      });
+    } else if (status === 429 && retryAfter !== undefined) {
+      this.markExhausted(endpoint, retryAfter);
+    }
+  }
+
+  /**
+   * Mark an endpoint as exhausted for `retryAfter` seconds (e.g. after a 429)
+   */
+  markExhausted(endpoint: string, retryAfter: number): void {
+    const current = this.budgets.get(toEndpointKey(endpoint));
+    this.update(endpoint, {
+      limit: current?.limit ?? 0,
+      remaining: 0,
+      reset: retryAfter,
+      retryAfter,
+    });
+  }
+
+  /**
+   * Wait until both the endpoint and the global budget allow another request, then consume it.
+   * An aborted `signal` ends the wait with CrosspostAbortError.
+   */
+  async acquire(endpoint: string, signal?: AbortSignal): Promise<void> {
+    const keys = [GLOBAL_KEY, toEndpointKey(endpoint)];
+
+    for (;;) {
+      const wait = Math.max(0, ...keys.map((key) => this.getWaitTime(key)));
+      if (wait === 0) {
+        break;
+      }
+      if (!this.enabled) {
+        return;
+      }
+      if (wait > this.maxWait) {
+        throw new CrosspostRateLimitError({
+          code: 'RATE_LIMIT_EXHAUSTED',
+          message: `Rate limit for ${endpoint} exhausted, resets in ${Math.ceil(wait / 1000)}s`,
+          details: { endpoint, wait },
+          retryAfter: Math.ceil(wait / 1000),
+        });
+      }
+      await waitFor(wait, endpoint, signal);
+    }
+
+    keys.forEach((key) => {
+      const budget = this.budgets.get(key);
+      if (budget) {
+        budget.remaining = Math.max(0, budget.remaining - 1);
+      }
+    });
+  }
+
+  /**
+   * Current budget state; expired budgets are reported as refilled
+   */
+  snapshot(): RateLimitSnapshot {
+    const snapshot: RateLimitSnapshot = { endpoints: {} };
+    this.budgets.forEach((_, key) => {
+      const info = { ...this.refresh(key)! };
+      if (key === GLOBAL_KEY) {
+        snapshot.global = info;
+      } else {
+        snapshot.endpoints[key] = info;
+      }
+    });
+    return snapshot;
+  }
+
+  /**
+   * Forget everything learned so far
+   */
+  clear(): void {
+    this.budgets.clear();
+  }
+
+  private getWaitTime(key: string): number {
+    const budget = this.refresh(key);
+    if (!budget || budget.remaining > 0) {
+      return 0;
+    }
+    return Math.max(0, budget.reset - Date.now());
+  }
+
+  private refresh(key: string): RateLimitInfo | undefined {
+    const budget = this.budgets.get(key);
+    if (budget && budget.remaining <= 0 && budget.reset <= Date.now()) {
+      // Window elapsed: assume a full budget until the server tells us otherwise
+      budget.remaining = budget.limit;
+      budget.retryAfter = undefined;
+    }
+    return budget;
+  }
+}
@@ -0,0 +1,41 @@
+// React provider, hooks and components, a separate entry point so that the client can be used without React
+export {
+  CrosspostProvider,
+  useCrosspostClient,
+  useAuthStatus,
+  useConnectedAccounts,
+  useCreatePost,
+  useAccountPosts,
+  useAccountActivity,
+  useLeaderboard,
+  type CreatePostState,
+  type CrosspostProviderProps,
+  type PaginatedOptions,
+  type PaginatedState,
+  type QueryOptions,
+  type QueryState
+} from './react';
+
+export {
+  Composer,
+  type ComposerAttachment,
+  type ComposerProps,
+  type ComposerSlot,
+  type ComposerTheme
+} from './composer';
+
+export {
+  ActivityFeed,
+  AccountPostList,
+  Leaderboard,
+  type AccountPostListProps,
+  type ActivityFeedProps,
+  type FeedSlot,
+  type LeaderboardProps,
+  type LeaderboardSlot
+} from './feeds';
+
+export {
+  type CrosspostTheme,
+  type ThemingProps
+} from './theme';
@@ -0,0 +1,146 @@
+import { act, create, ReactTestRenderer } from 'react-test-renderer';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { CrosspostApiError } from './errors';
+import {
+  CrosspostProvider,
+  useAccountPosts,
+  useAuthStatus,
+  useCreatePost,
+  useCrosspostClient,
+  useLeaderboard,
+} from './react';
+import { FakeCrosspostServer } from './testing';
+
+(globalThis as any).IS_REACT_ACT_ENVIRONMENT = true;
+
+function setup() {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter, retry: false });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  return { fake, client };
+}
+
+function renderHook<P, T>(client: CrosspostPluginClient, hook: (props: P) => T, props: P) {
+  const result = { current: undefined as T };
+  function Probe(probeProps: { value: P }) {
+    result.current = hook(probeProps.value);
+    return null;
+  }
+  const element = (value: P) => <CrosspostProvider client={client}><Probe value={value} /></CrosspostProvider>;
+  let renderer!: ReactTestRenderer;
+  act(() => {
+    renderer = create(element(props));
+  });
+  return {
+    result,
+    rerender: (next: P) => act(() => renderer.update(element(next))),
+  };
+}
+
+// Lets the fake server answer and React commit, until `check` passes
+async function settle(check: () => void) {
+  for (let attempt = 0; ; attempt++) {
+    await act(() => new Promise((resolve) => setTimeout(resolve, 5)));
+    try {
+      check();
+      return;
+    } catch (error) {
+      if (attempt >= 100) {
+        throw error;
+      }
+    }
+  }
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('React hooks', () => {
+  it('needs a CrosspostProvider', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => undefined);
+    function Orphan() {
+      useCrosspostClient();
+      return null;
+    }
+
+    expect(() => act(() => {
+      create(<Orphan />);
+    })).toThrow(expect.objectContaining({ code: 'MISSING_PROVIDER' }));
+  });
+
+  it('loads the auth status and fetches it again when the auth changes', async () => {
+    const { fake, client } = setup();
+    const statusRequests = () => fake.requests.filter((request) => request.path === '/api/auth/status').length;
+
+    const { result } = renderHook(client, () => useAuthStatus(), undefined);
+    expect(result.current.loading).toBe(true);
+    await settle(() => expect(result.current.data).toBeDefined());
+
+    act(() => client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') }));
+
+    await settle(() => expect(statusRequests()).toBe(2));
+    expect(result.current).toMatchObject({ loading: false, error: null });
+  });
+
+  it('fetches the leaderboard again for a new period and skips it while disabled', async () => {
+    const { fake, client } = setup();
+    const { result, rerender } = renderHook(client, ({ period, enabled }: { period: 'daily' | 'weekly'; enabled: boolean }) => (
+      useLeaderboard(period, 10, { enabled })
+    ), { period: 'weekly', enabled: false });
+    expect(result.current.loading).toBe(false);
+    expect(fake.requests).toHaveLength(0);
+
+    rerender({ period: 'weekly', enabled: true });
+    await settle(() => expect(result.current.data?.period).toBe('weekly'));
+    rerender({ period: 'daily', enabled: true });
+
+    await settle(() => expect(result.current.data?.period).toBe('daily'));
+    expect(fake.requests.map((request) => request.query.period)).toEqual(['weekly', 'daily']);
+  });
+
+  it('accumulates account posts page by page', async () => {
+    const { client } = setup();
+    for (const text of ['One', 'Two', 'Three']) {
+      await client.createPost({ content: { text }, platforms: ['twitter'] });
+    }
+
+    const { result } = renderHook(client, () => useAccountPosts(undefined, {}, { pageSize: 2 }), undefined);
+    await settle(() => expect(result.current.items).toHaveLength(2));
+    expect(result.current).toMatchObject({ hasMore: true, total: 3, loading: false });
+
+    await act(() => result.current.loadMore());
+
+    expect(result.current.items).toHaveLength(3);
+    expect(result.current.hasMore).toBe(false);
+    expect(new Set(result.current.items.map((post) => post.content.text))).toEqual(new Set(['One', 'Two', 'Three']));
+  });
+
+  it('tracks a post while it is created and keeps the error of a failed one', async () => {
+    const { fake, client } = setup();
+    fake.inject({ path: '/api/posts', latency: 30, times: 1 });
+    const { result } = renderHook(client, () => useCreatePost(), undefined);
+
+    let created!: Promise<unknown>;
+    act(() => {
+      created = result.current.createPost({ content: { text: 'Hello' }, platforms: ['twitter'] });
+    });
+    expect(result.current.pending).toBe(true);
+    await act(async () => {
+      await created;
+    });
+    expect(result.current).toMatchObject({ pending: false, error: null, data: { success: true } });
+
+    fake.inject({ path: '/api/posts', status: 422, code: 'VALIDATION_ERROR', times: 1 });
+    let failure: unknown;
+    await act(async () => {
+      failure = await result.current.createPost({ content: { text: 'Again' }, platforms: ['twitter'] }).catch((error) => error);
+    });
+
+    expect(failure).toBeInstanceOf(CrosspostApiError);
+    expect(result.current.error).toBe(failure);
+    act(() => result.current.reset());
+    expect(result.current).toMatchObject({ data: undefined, error: null, pending: false });
+  });
+});
@@ -0,0 +1,313 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import type { ReactNode } from 'react';
+import {
+  AccountActivityFilters,
+  AccountPostsFilters,
+  ActivityItem,
+  AuthStatus,
+  ClientConfig,
+  ConnectedAccount,
+  CreatePostRequest,
+  CreatePostResponse,
+  CrosspostPluginClient,
+  LeaderboardResponse,
+  Post,
+  RequestOverride,
+} from './client';
+import { CrosspostApiError, toCrosspostApiError } from './errors';
+import type { PaginatedPage } from './pagination';
+
+// ===== PROVIDER =====
+
+const CrosspostContext = createContext<CrosspostPluginClient | null>(null);
+
+export interface CrosspostProviderProps {
+  client?: CrosspostPluginClient; // share an existing client
+  config?: ClientConfig | string; // or let the provider create one (read on first render only)
+  children?: ReactNode;
+}
+
+/**
+ * Makes a client available to the hooks below it
+ */
+export function CrosspostProvider({ client, config, children }: CrosspostProviderProps) {
+  const [created] = useState(() => (client ? null : new CrosspostPluginClient(config)));
+  const value = client || created!;
+  return <CrosspostContext.Provider value={value}>{children}</CrosspostContext.Provider>;
+}
+
+/**
+ * The client from the nearest CrosspostProvider
+ */
+export function useCrosspostClient(): CrosspostPluginClient {
+  const client = useContext(CrosspostContext);
+  if (!client) {
+    throw new CrosspostApiError({
+      code: 'MISSING_PROVIDER',
+      message: 'Crosspost hooks must be used inside a <CrosspostProvider>',
+    });
+  }
+  return client;
+}
+
+// ===== QUERIES =====
+
+export interface QueryState<T> {
+  data: T | undefined;
+  error: CrosspostApiError | null;
+  loading: boolean;
+  refetch: () => Promise<void>;
+}
+
+export interface QueryOptions {
+  enabled?: boolean; // skip fetching until true, default true
+  override?: RequestOverride;
+}
+
+/**
+ * Fetch on mount and whenever `key` changes; responses of superseded requests are ignored
+ */
+function useQuery<T>(key: string, fetcher: () => Promise<T>, enabled: boolean, refetchOnAuthChange = false): QueryState<T> {
+  const client = useCrosspostClient();
+  const [state, setState] = useState<Omit<QueryState<T>, 'refetch'>>({ data: undefined, error: null, loading: enabled });
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+  const generation = useRef(0);
+
+  const run = useCallback(async () => {
+    const current = ++generation.current;
+    setState((previous) => ({ ...previous, loading: true, error: null }));
+    try {
+      const data = await fetcherRef.current();
+      if (current === generation.current) {
+        setState({ data, error: null, loading: false });
+      }
+    } catch (error) {
+      if (current === generation.current) {
+        setState((previous) => ({ ...previous, error: toCrosspostApiError(error), loading: false }));
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) {
+      setState((previous) => ({ ...previous, loading: false }));
+      return;
+    }
+    run();
+    const unsubscribe = refetchOnAuthChange ? client.onAuthChange(() => run()) : undefined;
+    return () => {
+      // Unmounted or key changed: drop whatever is still in flight
+      generation.current++;
+      unsubscribe?.();
+    };
+  }, [client, key, enabled, refetchOnAuthChange, run]);
+
+  return { ...state, refetch: run };
+}
+
+/**
+ * Authentication status, refreshed whenever the client's auth changes
+ */
+export function useAuthStatus(options: QueryOptions = {}): QueryState<AuthStatus> {
+  const client = useCrosspostClient();
+  return useQuery('auth-status', () => client.getAuthStatus(options.override), options.enabled ?? true, true);
+}
+
+/**
+ * Connected platform accounts, refreshed whenever the client's auth changes
+ */
+export function useConnectedAccounts(options: QueryOptions = {}): QueryState<ConnectedAccount[]> {
+  const client = useCrosspostClient();
+  return useQuery('connected-accounts', () => client.getConnectedAccounts(options.override), options.enabled ?? true, true);
+}
+
+export function useLeaderboard(
+  period: 'daily' | 'weekly' | 'monthly' | 'all-time' = 'weekly',
+  limit: number = 50,
+  options: QueryOptions = {}
+): QueryState<LeaderboardResponse> {
+  const client = useCrosspostClient();
+  return useQuery(`leaderboard:${period}:${limit}`, () => client.getLeaderboard(period, limit, options.override), options.enabled ?? true);
+}
+
+// ===== PAGINATED LISTS =====
+
+export interface PaginatedState<T> {
+  items: T[];
+  total: number | undefined;
+  hasMore: boolean;
+  loading: boolean; // first page
+  loadingMore: boolean;
+  error: CrosspostApiError | null;
+  loadMore: () => Promise<void>;
+  refetch: () => Promise<void>; // start over from the first page
+}
+
+export interface PaginatedOptions extends QueryOptions {
+  pageSize?: number; // sent as `limit`, server default when omitted
+}
+
+type ListFetcher<T> = (page: number, limit?: number) => Promise<PaginatedPage<T> & { total?: number }>;
+
+/**
+ * Accumulates pages; a changed `key` starts over from the first page
+ */
+function usePaginatedList<T>(key: string, fetchPage: ListFetcher<T>, options: PaginatedOptions): PaginatedState<T> {
+  const enabled = options.enabled ?? true;
+  const [state, setState] = useState<Omit<PaginatedState<T>, 'loadMore' | 'refetch'>>({
+    items: [],
+    total: undefined,
+    hasMore: false,
+    loading: enabled,
+    loadingMore: false,
+    error: null,
+  });
+  const fetchRef = useRef(fetchPage);
+  fetchRef.current = fetchPage;
+  const generation = useRef(0);
+  const page = useRef(0);
+  const busy = useRef(false);
+
+  const load = useCallback(async (reset: boolean) => {
+    if (busy.current && !reset) {
+      return;
+    }
+    const current = reset ? ++generation.current : generation.current;
+    const next = reset ? 1 : page.current + 1;
+    busy.current = true;
+    setState((previous) => ({
+      ...previous,
+      ...(reset ? { items: [], total: undefined, hasMore: false } : {}),
+      loading: reset,
+      loadingMore: !reset,
+      error: null,
+    }));
+
+    try {
+      const result = await fetchRef.current(next, options.pageSize);
+      if (current !== generation.current) {
+        return;
+      }
+      page.current = next;
+      setState((previous) => ({
+        items: reset ? result.items : [...previous.items, ...result.items],
+        total: result.total,
+        hasMore: result.hasMore && result.items.length > 0,
+        loading: false,
+        loadingMore: false,
+        error: null,
+      }));
+    } catch (error) {
+      if (current === generation.current) {
+        setState((previous) => ({ ...previous, loading: false, loadingMore: false, error: toCrosspostApiError(error) }));
+      }
+    } finally {
+      if (current === generation.current) {
+        busy.current = false;
+      }
+    }
+  }, [options.pageSize]);
+
+  useEffect(() => {
+    if (!enabled) {
+      setState((previous) => ({ ...previous, loading: false }));
+      return;
+    }
+    load(true);
+    return () => {
+      generation.current++;
+      busy.current = false;
+    };
+  }, [key, enabled, load]);
+
+  const loadMore = useCallback(async () => {
+    if (state.hasMore && !state.loading) {
+      await load(false);
+    }
+  }, [state.hasMore, state.loading, load]);
+  const refetch = useCallback(() => load(true), [load]);
+
+  return { ...state, loadMore, refetch };
+}
+
+/**
+ * Posts of an account (the client's account by default) with "load more" pagination
+ */
+export function useAccountPosts(
+  accountId?: string,
+  filters: AccountPostsFilters = {},
+  options: PaginatedOptions = {}
+): PaginatedState<Post> {
+  const client = useCrosspostClient();
+  const account = accountId || client.getAccountId();
+  return usePaginatedList(`posts:${account}:${JSON.stringify(filters)}`, async (page, limit) => {
+    const response = await client.getAccountPosts(account, { ...filters, page, limit }, options.override);
+    return { items: response.posts, hasMore: response.pagination.hasMore, total: response.pagination.total };
+  }, options);
+}
+
+/**
+ * Activity of an account (the client's account by default) with "load more" pagination
+ */
+export function useAccountActivity(
+  accountId?: string,
+  filters: AccountActivityFilters = {},
+  options: PaginatedOptions = {}
+): PaginatedState<ActivityItem> {
+  const client = useCrosspostClient();
+  const account = accountId || client.getAccountId();
+  return usePaginatedList(`activity:${account}:${JSON.stringify(filters)}`, async (page, limit) => {
+    const response = await client.getAccountActivity(account, { ...filters, page, limit }, options.override);
+    return { items: response.activities, hasMore: response.pagination.hasMore, total: response.pagination.total };
+  }, options);
+}
+
+// ===== MUTATIONS =====
+
+export interface CreatePostState {
+  createPost: (request: CreatePostRequest, override?: RequestOverride) => Promise<CreatePostResponse>; // rejects on failure too
+  data: CreatePostResponse | undefined;
+  error: CrosspostApiError | null;
+  pending: boolean;
+  reset: () => void;
+}
+
+export function useCreatePost(): CreatePostState {
+  const client = useCrosspostClient();
+  const [state, setState] = useState<Pick<CreatePostState, 'data' | 'error' | 'pending'>>({ data: undefined, error: null, pending: false });
+  const mounted = useRef(true);
+  const latest = useRef(0);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  const createPost = useCallback(async (request: CreatePostRequest, override?: RequestOverride) => {
+    const current = ++latest.current;
+    setState((previous) => ({ ...previous, error: null, pending: true }));
+    try {
+      const data = await client.createPost(request, override);
+      if (mounted.current && current === latest.current) {
+        setState({ data, error: null, pending: false });
+      }
+      return data;
+    } catch (error) {
+      const apiError = toCrosspostApiError(error);
+      if (mounted.current && current === latest.current) {
+        setState((previous) => ({ ...previous, error: apiError, pending: false }));
+      }
+      throw apiError;
+    }
+  }, [client]);
+
+  const reset = useCallback(() => {
+    latest.current++;
+    setState({ data: undefined, error: null, pending: false });
+  }, []);
+
+  return useMemo(() => ({ ...state, createPost, reset }), [state, createPost, reset]);
+}
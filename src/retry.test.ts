@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { CrosspostNetworkError, CrosspostRateLimitError } from './errors';
+import { RetryPolicy } from './retry';
+import { FakeCrosspostServer } from './testing';
+
+function setup(retry: RetryPolicy = { baseDelay: 1, maxDelay: 5000, jitter: false }) {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({ baseUrl: 'http://fake.local', accountId: 'alice.near', adapter: fake.adapter, retry });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  const count = (path: string, method = 'get') => fake.requests.filter((request) => request.method === method && request.path === path).length;
+  return { fake, client, count };
+}
+
+describe('retries', () => {
+  it('retries GETs that fail with 5xx and network errors', async () => {
+    const { fake, client, count } = setup();
+    fake.inject({ path: '/api/auth/status', status: 503, times: 1 });
+    fake.inject({ path: '/api/auth/status', drop: true, times: 1 });
+
+    const status = await client.getAuthStatus();
+
+    expect(status.accountId).toBe('alice.near');
+    expect(count('/api/auth/status')).toBe(3);
+  });
+
+  it('gives up after maxAttempts', async () => {
+    const { fake, client, count } = setup({ baseDelay: 1, jitter: false, maxAttempts: 2 });
+    fake.inject({ path: '/api/auth/status', drop: true });
+
+    await expect(client.getAuthStatus()).rejects.toBeInstanceOf(CrosspostNetworkError);
+    expect(count('/api/auth/status')).toBe(2);
+  });
+
+  it('does not retry 4xx responses', async () => {
+    const { fake, client, count } = setup();
+    fake.inject({ path: '/api/activity/leaderboard', status: 400, code: 'BAD_REQUEST' });
+
+    await expect(client.getLeaderboard()).rejects.toMatchObject({ code: 'BAD_REQUEST', statusCode: 400 });
+    expect(count('/api/activity/leaderboard')).toBe(1);
+  });
+
+  it('does not wait longer than maxDelay for Retry-After', async () => {
+    const { fake, client, count } = setup({ baseDelay: 1, maxDelay: 100, jitter: false });
+    fake.inject({ path: '/api/activity/leaderboard', status: 429, retryAfter: 60 });
+
+    await expect(client.getLeaderboard()).rejects.toBeInstanceOf(CrosspostRateLimitError);
+    expect(count('/api/activity/leaderboard')).toBe(1);
+  });
+
+  it('only retries POSTs that carry an idempotency key', async () => {
+    const { fake, client, count } = setup();
+    fake.inject({ path: '/api/posts/like', status: 503, times: 1 });
+
+    await expect(client.likePost({ postId: '1', platforms: ['twitter'] })).rejects.toMatchObject({ statusCode: 503 });
+    expect(count('/api/posts/like', 'post')).toBe(1);
+  });
+});
@@ -0,0 +1,109 @@
+import { CrosspostApiError, CrosspostNetworkError, CrosspostRateLimitError, CrosspostTimeoutError, parseRetryAfter } from './errors';
+
+export interface RetryPolicy {
+  maxAttempts?: number; // total attempts including the first one
+  baseDelay?: number; // in ms, doubled on every attempt
+  maxDelay?: number; // in ms, requests that would wait longer are not retried
+  jitter?: boolean; // randomize delays ("full jitter") to avoid thundering herds
+  retryOn?: number[]; // HTTP status codes that are retried
+  retryMethods?: string[]; // HTTP methods that are retried
+  retryNetworkErrors?: boolean; // retry NETWORK_ERROR and TIMEOUT failures
+  onRetry?: (info: RetryAttemptInfo) => void;
+}
+
+export interface RetryAttemptInfo {
+  attempt: number; // the attempt that just failed, starting at 1
+  delay: number; // in ms before the next attempt
+  error: CrosspostApiError;
+  method: string;
+  url?: string;
+}
+
+export type ResolvedRetryPolicy = Required<Omit<RetryPolicy, 'onRetry'>> & Pick<RetryPolicy, 'onRetry'>;
+
+export const DEFAULT_RETRY_POLICY: ResolvedRetryPolicy = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  jitter: true,
+  retryOn: [408, 429, 500, 502, 503, 504],
+  // POST is not idempotent and is only retried when it carries an Idempotency-Key
+  retryMethods: ['get', 'head', 'options', 'put', 'delete'],
+  retryNetworkErrors: true,
+};
+
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
+/**
+ * Merge a user supplied policy with the defaults (`false` disables retries)
+ */
+export function resolveRetryPolicy(policy?: RetryPolicy | false): ResolvedRetryPolicy | null {
+  if (policy === false) {
+    return null;
+  }
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...policy,
+    retryMethods: (policy?.retryMethods || DEFAULT_RETRY_POLICY.retryMethods).map((m) => m.toLowerCase()),
+  };
+}
+
+/**
+ * Seconds the server asked us to wait, from the `retryAfter` body field or the Retry-After header
+ */
+export function getRetryAfter(error: CrosspostApiError): number | undefined {
+  if (error instanceof CrosspostRateLimitError && error.retryAfter !== undefined) {
+    return error.retryAfter;
+  }
+  const response = (error.cause as any)?.response;
+  return response?.data?.retryAfter ?? parseRetryAfter(response?.headers?.['retry-after']);
+}
+
+function hasHeader(headers: Record<string, any> | undefined, name: string): boolean {
+  if (!headers) {
+    return false;
+  }
+  const lower = name.toLowerCase();
+  return Object.keys(headers).some((key) => key.toLowerCase() === lower && !!headers[key]);
+}
+
+/**
+ * Delay in ms before the next attempt, or null when the request must not be retried
+ */
+export function getRetryDelay(
+  policy: ResolvedRetryPolicy,
+  error: CrosspostApiError,
+  request: { method?: string; headers?: Record<string, any> },
+  attempt: number
+): number | null {
+  if (attempt >= policy.maxAttempts) {
+    return null;
+  }
+
+  const method = (request.method || 'get').toLowerCase();
+  const idempotent = policy.retryMethods.includes(method) || hasHeader(request.headers, IDEMPOTENCY_KEY_HEADER);
+  if (!idempotent) {
+    return null;
+  }
+
+  const transient = error instanceof CrosspostNetworkError || error instanceof CrosspostTimeoutError;
+  if (transient ? !policy.retryNetworkErrors : !policy.retryOn.includes(error.statusCode as number)) {
+    return null;
+  }
+
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  const delay = policy.jitter ? Math.round(Math.random() * backoff) : backoff;
+
+  const retryAfter = getRetryAfter(error);
+  if (retryAfter !== undefined) {
+    const serverDelay = retryAfter * 1000;
+    // Don't hold the caller longer than the policy allows, surface the error instead
+    return serverDelay > policy.maxDelay ? null : Math.max(delay, serverDelay);
+  }
+
+  return delay;
+}
+
+export function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
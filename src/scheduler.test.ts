@@ -0,0 +1,86 @@
+import { describe, expect, it, vi } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { FakeCrosspostServer } from './testing';
+
+function setup() {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({
+    baseUrl: 'http://fake.local',
+    accountId: 'alice.near',
+    adapter: fake.adapter,
+    retry: false,
+    outbox: { autoFlush: false },
+  });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  const scheduler = client.createScheduler({ autoStart: false });
+  return { fake, client, scheduler, outbox: client.outbox! };
+}
+
+describe('scheduler', () => {
+  it('hands a post that is due while offline to the outbox and marks it published once replayed', async () => {
+    const { fake, scheduler, outbox } = setup();
+    const offline = fake.inject({ drop: true });
+    const published = vi.fn();
+    scheduler.on('published', published);
+
+    const item = await scheduler.schedule({ content: { text: 'Later' }, platforms: ['twitter'] }, Date.now() - 1);
+    await scheduler.runDue();
+
+    const queued = await scheduler.get(item.id);
+    expect(queued?.status).toBe('queued');
+    expect(queued?.outboxEntryId).toBe(outbox.getState().entries[0].id);
+
+    offline();
+    await outbox.flush();
+    await scheduler.runDue();
+
+    await vi.waitFor(() => expect(published).toHaveBeenCalled());
+    const done = await scheduler.get(item.id);
+    expect(done?.status).toBe('published');
+    expect(done?.response?.post.id).toBe(fake.getPosts()[0].id);
+    expect(fake.getPosts().filter((post) => post.content.text === 'Later')).toHaveLength(1);
+  });
+
+  it('marks a queued post failed when the outbox drops it', async () => {
+    const { fake, scheduler, outbox } = setup();
+    const offline = fake.inject({ drop: true });
+    const item = await scheduler.schedule({ content: { text: 'Later' }, platforms: ['twitter'] }, Date.now() - 1);
+    await scheduler.runDue();
+    offline();
+    fake.inject({ path: '/api/posts', status: 422, code: 'VALIDATION_ERROR', times: 1 });
+
+    await outbox.flush();
+
+    await vi.waitFor(async () => expect((await scheduler.get(item.id))?.status).toBe('failed'));
+    expect((await scheduler.get(item.id))?.error).toMatchObject({ code: 'VALIDATION_ERROR' });
+  });
+
+  it('takes a cancelled or rescheduled post out of the outbox', async () => {
+    const { fake, scheduler, outbox } = setup();
+    fake.inject({ drop: true });
+    const first = await scheduler.schedule({ content: { text: 'One' }, platforms: ['twitter'] }, Date.now() - 1);
+    const second = await scheduler.schedule({ content: { text: 'Two' }, platforms: ['twitter'] }, Date.now() - 1);
+    await scheduler.runDue();
+    expect(outbox.size).toBe(2);
+
+    await scheduler.cancel(first.id);
+    const moved = await scheduler.reschedule(second.id, Date.now() + 60000);
+
+    expect(outbox.size).toBe(0);
+    expect(await scheduler.get(first.id)).toBeUndefined();
+    expect(moved).toMatchObject({ status: 'pending', outboxEntryId: undefined });
+  });
+
+  it('prunes queued posts whose outbox entry is gone', async () => {
+    const { fake, scheduler, outbox } = setup();
+    fake.inject({ drop: true });
+    const item = await scheduler.schedule({ content: { text: 'Later' }, platforms: ['twitter'] }, Date.now() - 1);
+    await scheduler.runDue();
+
+    expect(await scheduler.prune()).toBe(0);
+    await outbox.clear();
+
+    expect(await scheduler.prune()).toBe(1);
+    expect(await scheduler.get(item.id)).toBeUndefined();
+  });
+});
@@ -0,0 +1,402 @@
+import type { CreatePostRequest, CreatePostResponse, CrosspostError } from './client';
+import {
+  CrosspostApiError,
+  CrosspostNotFoundError,
+  CrosspostQueuedError,
+  CrosspostValidationError,
+  toCrosspostApiError,
+} from './errors';
+import { TypedEmitter, generateId } from './events';
+import type { Outbox } from './outbox';
+import { getRetryAfter } from './retry';
+import { MemoryStorage, StorageAdapter } from './storage';
+
+// 'queued': handed off to the client's outbox while offline; it becomes 'published' or 'failed' once replayed
+export type ScheduledPostStatus = 'pending' | 'publishing' | 'queued' | 'published' | 'failed';
+
+export interface ScheduledPost {
+  id: string;
+  request: CreatePostRequest; // published as-is once due (without scheduledAt)
+  scheduledAt: string;
+  status: ScheduledPostStatus;
+  attempts: number;
+  createdAt: string;
+  updatedAt: string;
+  response?: CreatePostResponse; // set once published
+  error?: CrosspostError; // last failure
+  outboxEntryId?: string; // set once queued
+}
+
+export interface SchedulerOptions {
+  storage?: StorageAdapter<ScheduledPost>; // defaults to in-memory
+  pollInterval?: number; // upper bound between checks for due posts (ms), default 60000
+  maxAttempts?: number; // publish attempts for transient failures, default 3
+  retryDelay?: number; // base delay before re-trying a transient failure (ms), doubled per attempt, default 60000
+  autoStart?: boolean; // start firing due posts right away, default true
+}
+
+export interface SchedulerEvents {
+  scheduled: ScheduledPost;
+  rescheduled: ScheduledPost;
+  cancelled: ScheduledPost;
+  published: ScheduledPost;
+  queued: ScheduledPost;
+  retrying: ScheduledPost;
+  failed: ScheduledPost;
+}
+
+export type PublishFunction = (request: CreatePostRequest, item: ScheduledPost) => Promise<CreatePostResponse>;
+
+// setTimeout overflows past ~24.8 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+function toTimestamp(at: Date | string | number): string {
+  const date = at instanceof Date ? at : new Date(at);
+  if (Number.isNaN(date.getTime())) {
+    throw new CrosspostValidationError({
+      code: 'INVALID_SCHEDULE_TIME',
+      message: `Invalid schedule time: ${String(at)}`,
+    });
+  }
+  return date.toISOString();
+}
+
+function isTransient(error: CrosspostApiError): boolean {
+  return ['NETWORK_ERROR', 'TIMEOUT'].includes(error.code)
+    || error.statusCode === 408
+    || error.statusCode === 429
+    || (error.statusCode !== undefined && error.statusCode >= 500);
+}
+
+/**
+ * Client-side queue that holds posts until they are due, then publishes them through createPost
+ */
+export class PostScheduler {
+  private readonly storage: StorageAdapter<ScheduledPost>;
+  private readonly pollInterval: number;
+  private readonly maxAttempts: number;
+  private readonly retryDelay: number;
+  private readonly events = new TypedEmitter<SchedulerEvents>();
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private running = false;
+  private processing: Promise<void> | null = null;
+  private recovered: Promise<void> | null = null;
+
+  constructor(
+    private readonly publish: PublishFunction,
+    options: SchedulerOptions = {},
+    private readonly outbox: Outbox | null = null
+  ) {
+    this.storage = options.storage || new MemoryStorage<ScheduledPost>();
+    this.pollInterval = options.pollInterval ?? 60000;
+    this.maxAttempts = Math.max(1, options.maxAttempts ?? 3);
+    this.retryDelay = options.retryDelay ?? 60000;
+    if (outbox) {
+      outbox.on('replayed', ({ entry, result }) => this.settleQueued(entry.id, result as CreatePostResponse));
+      outbox.on('dropped', ({ entry, error }) => this.settleQueued(entry.id, undefined, error));
+    }
+    if (options.autoStart !== false) {
+      this.start();
+    }
+  }
+
+  /**
+   * Subscribe to scheduler events; returns an unsubscribe function
+   */
+  on<K extends keyof SchedulerEvents>(event: K, listener: (item: SchedulerEvents[K]) => void): () => void {
+    return this.events.on(event, listener);
+  }
+
+  /**
+   * Start firing due posts, including those persisted by a previous session
+   */
+  start(): void {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.process();
+  }
+
+  /**
+   * Stop the timer; a publish already in flight still completes
+   */
+  stop(): void {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue a post for publication at the given time
+   */
+  async schedule(request: CreatePostRequest, at: Date | string | number): Promise<ScheduledPost> {
+    const { scheduledAt: _serverSchedule, ...rest } = request;
+    const now = new Date().toISOString();
+    const item: ScheduledPost = {
+      id: generateId(),
+      request: rest,
+      scheduledAt: toTimestamp(at),
+      status: 'pending',
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await this.storage.set(item.id, item);
+    this.events.emit('scheduled', item);
+    this.wake();
+    return item;
+  }
+
+  /**
+   * Scheduled posts ordered by publication time, optionally filtered by status
+   */
+  async list(filter: { status?: ScheduledPostStatus | ScheduledPostStatus[] } = {}): Promise<ScheduledPost[]> {
+    await this.recover();
+    const statuses = filter.status === undefined ? null : ([] as ScheduledPostStatus[]).concat(filter.status);
+    return (await this.storage.entries())
+      .map(([, item]) => item)
+      .filter((item) => !statuses || statuses.includes(item.status))
+      .sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt));
+  }
+
+  async get(id: string): Promise<ScheduledPost | undefined> {
+    await this.recover();
+    return this.storage.get(id);
+  }
+
+  /**
+   * Move a pending, queued or failed post to a new time; failed posts get a fresh set of attempts.
+   * A queued post is taken out of the outbox and published by the scheduler again.
+   */
+  async reschedule(id: string, at: Date | string | number): Promise<ScheduledPost> {
+    const item = await this.requireItem(id, ['pending', 'queued', 'failed']);
+    await this.releaseQueued(item);
+    const updated: ScheduledPost = {
+      ...item,
+      scheduledAt: toTimestamp(at),
+      status: 'pending',
+      attempts: item.status === 'failed' ? 0 : item.attempts,
+      outboxEntryId: undefined,
+      updatedAt: new Date().toISOString(),
+    };
+    await this.storage.set(id, updated);
+    this.events.emit('rescheduled', updated);
+    this.wake();
+    return updated;
+  }
+
+  /**
+   * Remove a post that has not been published yet; a queued post is taken out of the outbox too
+   */
+  async cancel(id: string): Promise<ScheduledPost> {
+    const item = await this.requireItem(id, ['pending', 'queued', 'failed']);
+    await this.releaseQueued(item);
+    await this.storage.delete(id);
+    this.events.emit('cancelled', item);
+    return item;
+  }
+
+  /**
+   * Drop published and failed posts from storage, and queued ones whose outbox entry is gone
+   * (e.g. replayed while no scheduler was listening); returns how many were removed
+   */
+  async prune(): Promise<number> {
+    const done: ScheduledPost[] = [];
+    for (const item of await this.list({ status: ['published', 'queued', 'failed'] })) {
+      if (item.status !== 'queued' || !item.outboxEntryId || !(await this.outbox?.has(item.outboxEntryId))) {
+        done.push(item);
+      }
+    }
+    await Promise.all(done.map((item) => this.storage.delete(item.id)));
+    return done.length;
+  }
+
+  /**
+   * Publish everything that is due now; resolves once the current batch is done
+   */
+  async runDue(): Promise<void> {
+    if (!this.processing) {
+      this.processing = this.publishDue().finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  private async requireItem(id: string, statuses: ScheduledPostStatus[]): Promise<ScheduledPost> {
+    const item = await this.get(id);
+    if (!item) {
+      throw new CrosspostNotFoundError({
+        code: 'SCHEDULED_POST_NOT_FOUND',
+        message: `Scheduled post ${id} not found`,
+        details: { id },
+      });
+    }
+    if (!statuses.includes(item.status)) {
+      throw new CrosspostValidationError({
+        code: 'SCHEDULED_POST_LOCKED',
+        message: `Scheduled post ${id} is already ${item.status}`,
+        details: { id, status: item.status },
+      });
+    }
+    return item;
+  }
+
+  private async releaseQueued(item: ScheduledPost): Promise<void> {
+    if (item.status === 'queued' && item.outboxEntryId) {
+      await this.outbox?.remove(item.outboxEntryId);
+    }
+  }
+
+  /**
+   * Record the outcome of a queued post once the outbox replayed or dropped its entry
+   */
+  private settleQueued(entryId: string, response?: CreatePostResponse, error?: CrosspostApiError): void {
+    this.list({ status: 'queued' })
+      .then(async (queued) => {
+        const item = queued.find((candidate) => candidate.outboxEntryId === entryId);
+        if (!item) {
+          return;
+        }
+        const failure = error || (response?.success ? undefined : new CrosspostApiError({
+          code: 'SCHEDULED_POST_FAILED',
+          message: response?.message || 'Scheduled post was not published',
+        }));
+        const settled: ScheduledPost = {
+          ...item,
+          status: failure ? 'failed' : 'published',
+          response,
+          error: failure?.toJSON(),
+          updatedAt: new Date().toISOString(),
+        };
+        await this.storage.set(item.id, settled);
+        this.events.emit(failure ? 'failed' : 'published', settled);
+      })
+      .catch((failure) => console.warn('Scheduler could not record the outcome of a queued post:', failure));
+  }
+
+  /**
+   * A post left in "publishing" means the previous session died mid-request; queue it again.
+   * Publishes reuse the post id as idempotency key, so the server can drop the duplicate.
+   */
+  private recover(): Promise<void> {
+    if (!this.recovered) {
+      this.recovered = this.storage.entries().then(async (entries) => {
+        await Promise.all(entries
+          .filter(([, item]) => item.status === 'publishing')
+          .map(([id, item]) => this.storage.set(id, { ...item, status: 'pending' })));
+      });
+      this.recovered.catch(() => {
+        this.recovered = null;
+      });
+    }
+    return this.recovered;
+  }
+
+  private async publishDue(): Promise<void> {
+    const due = (await this.list({ status: 'pending' })).filter((item) => Date.parse(item.scheduledAt) <= Date.now());
+
+    for (const item of due) {
+      // The post may have been cancelled or moved while earlier ones were publishing
+      const current = await this.storage.get(item.id);
+      if (!current || current.status !== 'pending' || Date.parse(current.scheduledAt) > Date.now()) {
+        continue;
+      }
+      await this.publishItem(current);
+    }
+  }
+
+  private async publishItem(item: ScheduledPost): Promise<void> {
+    const publishing: ScheduledPost = {
+      ...item,
+      status: 'publishing',
+      attempts: item.attempts + 1,
+      updatedAt: new Date().toISOString(),
+    };
+    await this.storage.set(item.id, publishing);
+
+    try {
+      const response = await this.publish(publishing.request, publishing);
+      if (!response.success) {
+        throw new CrosspostApiError({
+          code: 'SCHEDULED_POST_FAILED',
+          message: response.message || 'Scheduled post was not published',
+        });
+      }
+      const published: ScheduledPost = {
+        ...publishing,
+        status: 'published',
+        response,
+        error: undefined,
+        updatedAt: new Date().toISOString(),
+      };
+      await this.storage.set(item.id, published);
+      this.events.emit('published', published);
+    } catch (error) {
+      if (error instanceof CrosspostQueuedError) {
+        // The outbox owns it now; publishing it again here would only queue it twice
+        const queued: ScheduledPost = {
+          ...publishing,
+          status: 'queued',
+          outboxEntryId: error.entryId,
+          updatedAt: new Date().toISOString(),
+        };
+        await this.storage.set(item.id, queued);
+        this.events.emit('queued', queued);
+        return;
+      }
+      const apiError = toCrosspostApiError(error);
+      const retry = isTransient(apiError) && publishing.attempts < this.maxAttempts;
+      const delay = (getRetryAfter(apiError) ?? this.retryDelay * 2 ** (publishing.attempts - 1));
+      const failed: ScheduledPost = {
+        ...publishing,
+        status: retry ? 'pending' : 'failed',
+        scheduledAt: retry ? new Date(Date.now() + delay).toISOString() : publishing.scheduledAt,
+        error: apiError.toJSON(),
+        updatedAt: new Date().toISOString(),
+      };
+      await this.storage.set(item.id, failed);
+      this.events.emit(retry ? 'retrying' : 'failed', failed);
+    }
+  }
+
+  private wake(): void {
+    if (this.running) {
+      this.process();
+    }
+  }
+
+  private async process(): Promise<void> {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    try {
+      await this.runDue();
+    } catch (error) {
+      console.warn('Scheduler failed to publish due posts:', error);
+    }
+    if (!this.running) {
+      return;
+    }
+
+    let next = this.pollInterval;
+    try {
+      const [upcoming] = await this.list({ status: 'pending' });
+      if (upcoming) {
+        next = Math.min(next, Math.max(0, Date.parse(upcoming.scheduledAt) - Date.now()));
+      }
+    } catch {
+      // Storage hiccup: fall back to polling
+    }
+    if (this.running && !this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.process();
+      }, Math.min(next, MAX_TIMER_DELAY));
+    }
+  }
+}
@@ -0,0 +1,121 @@
+import { describe, expect, it, vi } from 'vitest';
+import { ClientConfig, CrosspostPluginClient } from './client';
+import { CrosspostSchemaError } from './errors';
+import { ResponseValidationOptions, responseSchemas, schema, validateSchema } from './schemas';
+import { FakeCrosspostServer } from './testing';
+
+function setup(responseValidation: ResponseValidationOptions, mangle?: (path: string, body: any) => void, config: Partial<ClientConfig> = {}) {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({
+    baseUrl: 'http://fake.local',
+    accountId: 'alice.near',
+    adapter: async (config) => {
+      const response = await fake.adapter(config);
+      if (mangle) {
+        const body = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+        mangle(config.url || '', body);
+        response.data = body;
+      }
+      return response;
+    },
+    responseValidation,
+    ...config,
+  });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  return { fake, client };
+}
+
+const breakLeaderboard = (path: string, body: any) => {
+  if (path.includes('leaderboard')) {
+    body.entries[0] = { ...body.entries[0], score: '12', change: { direction: 'sideways' } };
+  }
+};
+
+describe('response validation', () => {
+  it('accepts every response of the fake server in strict mode', async () => {
+    const { client } = setup({ mode: 'strict' });
+    const { post } = await client.createPost({ content: { text: 'Hi' }, platforms: ['twitter'] });
+
+    await expect(Promise.all([
+      client.getAuthStatus(),
+      client.getConnectedAccounts(),
+      client.refreshProfile(),
+      client.getRateLimits(),
+      client.getLeaderboard(),
+      client.getAccountActivity('alice.near'),
+      client.getAccountPosts('alice.near'),
+      client.likePost({ postId: post.id, platforms: ['twitter'] }),
+    ])).resolves.toBeDefined();
+  });
+
+  it('throws CrosspostSchemaError naming the offending path in strict mode', async () => {
+    const { fake, client } = setup({ mode: 'strict' }, breakLeaderboard);
+
+    const error = await client.getLeaderboard().catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(CrosspostSchemaError);
+    expect(error).toMatchObject({ code: 'INVALID_RESPONSE', path: 'entries[0].score' });
+    expect(fake.requests.filter((request) => request.path === '/api/activity/leaderboard')).toHaveLength(1);
+  });
+
+  it('coerces and reports in lenient mode', async () => {
+    const onIssues = vi.fn();
+    const { client } = setup({ mode: 'lenient', onIssues }, breakLeaderboard);
+
+    const leaderboard = await client.getLeaderboard();
+
+    expect(leaderboard.entries[0].score).toBe(12);
+    expect(leaderboard.entries[0].change).toEqual({ direction: 'sideways', value: 0 });
+    expect(onIssues).toHaveBeenCalledWith(
+      [
+        { path: 'entries[0].score', expected: 'number', received: 'string' },
+        { path: 'entries[0].change.direction', expected: "'up' | 'down' | 'same'", received: 'string' },
+        { path: 'entries[0].change.value', expected: 'number', received: 'undefined' },
+      ],
+      { method: 'get', url: '/api/activity/leaderboard', schema: 'LeaderboardResponse' }
+    );
+  });
+
+  it('replaces missing arrays in lenient mode', async () => {
+    const { client } = setup({ mode: 'lenient', onIssues: () => undefined }, (path, body) => {
+      if (path.endsWith('/posts')) {
+        delete body.posts;
+      }
+    });
+
+    const response = await client.getAccountPosts('alice.near');
+
+    expect(response.posts).toEqual([]);
+  });
+
+  it('still records and invalidates after a write whose response fails strict validation', async () => {
+    const onIssues = vi.fn();
+    const { fake, client } = setup({ mode: 'strict', onIssues }, (path, body) => {
+      if (path === '/api/posts') {
+        body.message = 42;
+      }
+    }, { cache: {} });
+    await client.getAccountPosts('alice.near');
+    const request = { content: { text: 'Odd response' }, platforms: ['twitter'] };
+
+    const { post } = await client.createPost(request, { idempotencyKey: 'odd-1' });
+    const again = await client.createPost(request, { idempotencyKey: 'odd-1' });
+    const posts = await client.getAccountPosts('alice.near');
+
+    expect(onIssues).toHaveBeenCalledWith([{ path: 'message', expected: 'string', received: 'number' }], expect.objectContaining({ method: 'post' }));
+    expect(again.post.id).toBe(post.id);
+    expect(fake.requests.filter((sent) => sent.method === 'post' && sent.path === '/api/posts')).toHaveLength(1);
+    expect(posts.posts.map((item) => item.id)).toContain(post.id);
+  });
+
+  it('exports validators for host types', () => {
+    const Settings = schema.object<{ theme: 'light' | 'dark'; pageSize?: number }>('Settings', {
+      theme: schema.literal('light', 'dark'),
+      pageSize: schema.optional(schema.number),
+    });
+
+    expect(validateSchema(Settings, { theme: 'dark', pageSize: '20', extra: true }, { mode: 'lenient', onIssues: () => undefined }))
+      .toEqual({ theme: 'dark', pageSize: 20, extra: true });
+    expect(() => validateSchema(responseSchemas.Post, { id: 1 })).toThrow(/at id: expected string, received number/);
+  });
+});
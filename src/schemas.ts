@@ -0,0 +1,466 @@
+import { CrosspostSchemaError } from './errors';
+import type {
+  AccountActivityResponse,
+  AccountPostsResponse,
+  ActivityItem,
+  AuthStatus,
+  ConnectedAccount,
+  CreatePostResponse,
+  EndpointRateLimitResponse,
+  HealthResponse,
+  LeaderboardEntry,
+  LeaderboardResponse,
+  LoginResponse,
+  MediaItem,
+  NearAuthorizationStatus,
+  Post,
+  PostContent,
+  ProfileData,
+  RateLimitInfo,
+  RateLimitsResponse,
+  RefreshTokenResponse,
+  WriteResponse,
+} from './client';
+
+// strict throws on the first mismatch, lenient coerces what it can and reports the rest
+export type ResponseValidationMode = 'strict' | 'lenient';
+
+export interface SchemaIssue {
+  path: string; // e.g. 'entries[0].change.direction', '' for the value itself
+  expected: string;
+  received: string; // type of the offending value
+}
+
+export interface Schema<T> {
+  readonly expected: string; // description used in issues, e.g. 'number' or "'up' | 'down'"
+  parse(value: unknown, path: string, context: SchemaContext): T;
+}
+
+export interface SchemaContext {
+  mode: ResponseValidationMode;
+  label: string; // what is being validated, e.g. 'LeaderboardResponse from GET /api/activity/leaderboard'
+  issues: SchemaIssue[];
+}
+
+export interface ValidateSchemaOptions {
+  mode?: ResponseValidationMode; // default 'strict'
+  label?: string;
+  onIssues?: (issues: SchemaIssue[]) => void; // lenient mode, defaults to console.warn
+}
+
+export interface ResponseValidationOptions {
+  mode: ResponseValidationMode; // applies to GETs; write responses are always checked leniently, the write already happened
+  onIssues?: (issues: SchemaIssue[], request: { method: string; url: string; schema: string }) => void; // lenient mode, defaults to console.warn
+}
+
+// ===== BUILDERS =====
+
+function typeOf(value: unknown): string {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function joinPath(path: string, key: string | number): string {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Record a mismatch; strict mode stops right here
+ */
+function mismatch<T>(context: SchemaContext, path: string, expected: string, value: unknown, fallback: T): T {
+  const issue: SchemaIssue = { path, expected, received: typeOf(value) };
+  if (context.mode === 'strict') {
+    throw new CrosspostSchemaError({
+      code: 'INVALID_RESPONSE',
+      message: `Invalid ${context.label} at ${path || '(root)'}: expected ${expected}, received ${issue.received}`,
+      path,
+      details: { ...issue },
+    });
+  }
+  context.issues.push(issue);
+  return fallback;
+}
+
+const string: Schema<string> = {
+  expected: 'string',
+  parse(value, path, context) {
+    if (typeof value === 'string') {
+      return value;
+    }
+    const coerced = typeof value === 'number' || typeof value === 'boolean' ? String(value) : '';
+    return mismatch(context, path, 'string', value, coerced);
+  },
+};
+
+const number: Schema<number> = {
+  expected: 'number',
+  parse(value, path, context) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return value;
+    }
+    const coerced = typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : 0;
+    return mismatch(context, path, 'number', value, coerced);
+  },
+};
+
+const boolean: Schema<boolean> = {
+  expected: 'boolean',
+  parse(value, path, context) {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const coerced = value === 'true' || value === 1;
+    return mismatch(context, path, 'boolean', value, coerced);
+  },
+};
+
+const unknown: Schema<any> = {
+  expected: 'any',
+  parse: (value) => value,
+};
+
+/**
+ * One of a fixed set of strings; lenient mode keeps unknown strings so newer server values survive
+ */
+function literal<T extends string>(...options: T[]): Schema<T> {
+  const expected = options.map((option) => `'${option}'`).join(' | ');
+  return {
+    expected,
+    parse(value, path, context) {
+      if (options.includes(value as T)) {
+        return value as T;
+      }
+      return mismatch(context, path, expected, value, (typeof value === 'string' ? value : options[0]) as T);
+    },
+  };
+}
+
+/**
+ * A field that may be missing; null counts as missing
+ */
+function optional<T>(schema: Schema<T>): Schema<T | undefined> {
+  return {
+    expected: `${schema.expected} | undefined`,
+    parse: (value, path, context) => (value === undefined || value === null ? undefined : schema.parse(value, path, context)),
+  };
+}
+
+function array<T>(item: Schema<T>): Schema<T[]> {
+  return {
+    expected: `${item.expected}[]`,
+    parse(value, path, context) {
+      if (!Array.isArray(value)) {
+        return mismatch(context, path, `${item.expected}[]`, value, []);
+      }
+      return value.map((entry, index) => item.parse(entry, joinPath(path, index), context));
+    },
+  };
+}
+
+function record<T>(entry: Schema<T>): Schema<Record<string, T>> {
+  return {
+    expected: `Record<string, ${entry.expected}>`,
+    parse(value, path, context) {
+      const source = isPlainObject(value) ? value : mismatch(context, path, `Record<string, ${entry.expected}>`, value, {});
+      return Object.fromEntries(Object.entries(source).map(([key, item]) => [key, entry.parse(item, joinPath(path, key), context)]));
+    },
+  };
+}
+
+/**
+ * An object with known fields; fields the schema doesn't know about are passed through untouched
+ */
+function object<T>(name: string, shape: { [K in keyof T]-?: Schema<T[K]> }): Schema<T> {
+  return {
+    expected: name,
+    parse(value, path, context) {
+      const source = isPlainObject(value) ? value : mismatch(context, path, name, value, {} as Record<string, unknown>);
+      const result: Record<string, unknown> = { ...source };
+      for (const key of Object.keys(shape) as Array<keyof T & string>) {
+        const parsed = shape[key].parse(source[key], joinPath(path, key), context);
+        if (parsed === undefined) {
+          delete result[key];
+        } else {
+          result[key] = parsed;
+        }
+      }
+      return result as T;
+    },
+  };
+}
+
+/**
+ * Building blocks for validators of host-defined types
+ */
+export const schema = { string, number, boolean, unknown, literal, optional, array, record, object };
+
+// ===== RESPONSE SCHEMAS =====
+
+const RateLimitInfoSchema = object<RateLimitInfo>('RateLimitInfo', {
+  limit: number,
+  remaining: number,
+  reset: number,
+  retryAfter: optional(number),
+});
+
+const ConnectedAccountSchema = object<ConnectedAccount>('ConnectedAccount', {
+  id: string,
+  platform: string,
+  username: string,
+  displayName: string,
+  avatar: optional(string),
+  isActive: boolean,
+  connectedAt: string,
+  lastUsedAt: optional(string),
+});
+
+const MediaItemSchema = object<MediaItem>('MediaItem', {
+  type: literal('image', 'video', 'audio', 'document'),
+  url: string,
+  thumbnail: optional(string),
+  alt: optional(string),
+  metadata: optional(record(unknown)),
+});
+
+const PostContentSchema = object<PostContent>('PostContent', {
+  text: string,
+  media: optional(array(MediaItemSchema)),
+  hashtags: optional(array(string)),
+  mentions: optional(array(string)),
+  links: optional(array(string)),
+});
+
+const PostSchema = object<Post>('Post', {
+  id: string,
+  content: PostContentSchema,
+  author: object<Post['author']>('PostAuthor', {
+    accountId: string,
+    displayName: string,
+    avatar: optional(string),
+  }),
+  platforms: array(string),
+  status: literal('draft', 'scheduled', 'published', 'failed'),
+  createdAt: string,
+  publishedAt: optional(string),
+  scheduledAt: optional(string),
+  visibility: literal('public', 'followers', 'private'),
+  replySettings: literal('everyone', 'mentioned', 'followers'),
+  stats: object<Post['stats']>('PostStats', {
+    likes: number,
+    reposts: number,
+    replies: number,
+    views: optional(number),
+  }),
+  engagement: object<Post['engagement']>('PostEngagement', {
+    isLiked: boolean,
+    isReposted: boolean,
+    isBookmarked: boolean,
+  }),
+});
+
+const LeaderboardEntrySchema = object<LeaderboardEntry>('LeaderboardEntry', {
+  rank: number,
+  accountId: string,
+  displayName: string,
+  avatar: optional(string),
+  score: number,
+  stats: object<LeaderboardEntry['stats']>('LeaderboardStats', {
+    posts: number,
+    likes: number,
+    reposts: number,
+    replies: number,
+  }),
+  change: object<LeaderboardEntry['change']>('LeaderboardChange', {
+    direction: literal('up', 'down', 'same'),
+    value: number,
+  }),
+});
+
+const ActivityItemSchema = object<ActivityItem>('ActivityItem', {
+  id: string,
+  type: literal('post', 'like', 'repost', 'reply', 'follow', 'mention'),
+  actor: object<ActivityItem['actor']>('ActivityActor', {
+    accountId: string,
+    displayName: string,
+    avatar: optional(string),
+  }),
+  target: optional(object<NonNullable<ActivityItem['target']>>('ActivityTarget', {
+    type: literal('post', 'user'),
+    id: string,
+    content: optional(string),
+  })),
+  content: optional(string),
+  platforms: array(string),
+  timestamp: string,
+  metadata: optional(record(unknown)),
+});
+
+const PaginationSchema = object<AccountPostsResponse['pagination']>('Pagination', {
+  page: number,
+  limit: number,
+  total: number,
+  hasMore: boolean,
+});
+
+const DateRangeSchema = optional(object<{ start: string; end: string }>('DateRange', { start: string, end: string }));
+
+/**
+ * Validators for every response type of the client, keyed by type name
+ */
+export const responseSchemas = {
+  HealthResponse: object<HealthResponse>('HealthResponse', {
+    status: literal('ok', 'error'),
+    message: string,
+    timestamp: string,
+  }),
+  RateLimitInfo: RateLimitInfoSchema,
+  RateLimitsResponse: object<RateLimitsResponse>('RateLimitsResponse', {
+    global: RateLimitInfoSchema,
+    endpoints: record(RateLimitInfoSchema),
+  }),
+  EndpointRateLimitResponse: object<EndpointRateLimitResponse>('EndpointRateLimitResponse', {
+    endpoint: string,
+    limit: RateLimitInfoSchema,
+  }),
+  ConnectedAccount: ConnectedAccountSchema,
+  ConnectedAccounts: array(ConnectedAccountSchema),
+  AuthStatus: object<AuthStatus>('AuthStatus', {
+    isAuthenticated: boolean,
+    accountId: string,
+    connectedAccounts: array(ConnectedAccountSchema),
+    permissions: array(string),
+    expiresAt: optional(string),
+  }),
+  NearAuthorizationStatus: object<NearAuthorizationStatus>('NearAuthorizationStatus', {
+    isAuthorized: boolean,
+    accountId: string,
+    permissions: array(string),
+    expiresAt: optional(string),
+  }),
+  LoginResponse: object<LoginResponse>('LoginResponse', {
+    success: boolean,
+    token: optional(string),
+    accountId: string,
+    expiresAt: optional(string),
+    message: optional(string),
+  }),
+  RefreshTokenResponse: object<RefreshTokenResponse>('RefreshTokenResponse', {
+    success: boolean,
+    token: string,
+    expiresAt: string,
+  }),
+  RevokeResponse: object<{ success: boolean; message?: string }>('RevokeResponse', {
+    success: boolean,
+    message: optional(string),
+  }),
+  ProfileData: object<ProfileData>('ProfileData', {
+    accountId: string,
+    displayName: string,
+    avatar: optional(string),
+    bio: optional(string),
+    connectedAccounts: array(ConnectedAccountSchema),
+    stats: object<ProfileData['stats']>('ProfileStats', {
+      totalPosts: number,
+      totalLikes: number,
+      totalReposts: number,
+    }),
+  }),
+  MediaItem: MediaItemSchema,
+  PostContent: PostContentSchema,
+  Post: PostSchema,
+  // A write that failed on every platform may come back without a post; platformResults are normalized by the client
+  CreatePostResponse: object<Omit<CreatePostResponse, 'platformResults'>>('CreatePostResponse', {
+    success: boolean,
+    post: optional(PostSchema) as Schema<Post>,
+    message: optional(string),
+  }),
+  WriteResponse: object<Omit<WriteResponse, 'platformResults'>>('WriteResponse', {
+    success: boolean,
+    message: optional(string),
+  }),
+  LeaderboardEntry: LeaderboardEntrySchema,
+  LeaderboardResponse: object<LeaderboardResponse>('LeaderboardResponse', {
+    period: literal('daily', 'weekly', 'monthly', 'all-time'),
+    entries: array(LeaderboardEntrySchema),
+    totalParticipants: number,
+    lastUpdated: string,
+  }),
+  ActivityItem: ActivityItemSchema,
+  AccountActivityResponse: object<AccountActivityResponse>('AccountActivityResponse', {
+    accountId: string,
+    activities: array(ActivityItemSchema),
+    pagination: PaginationSchema,
+    filters: object<AccountActivityResponse['filters']>('ActivityFilters', {
+      types: optional(array(string)),
+      platforms: optional(array(string)),
+      dateRange: DateRangeSchema,
+    }),
+  }),
+  AccountPostsResponse: object<AccountPostsResponse>('AccountPostsResponse', {
+    accountId: string,
+    posts: array(PostSchema),
+    pagination: PaginationSchema,
+    filters: object<AccountPostsResponse['filters']>('PostsFilters', {
+      platforms: optional(array(string)),
+      status: optional(array(string)),
+      dateRange: DateRangeSchema,
+    }),
+  }),
+};
+
+// Endpoints of the client and the schema of their response, by method and path
+const RESPONSE_ROUTES: Array<[string, RegExp, keyof typeof responseSchemas]> = [
+  ['get', /^\/health$/, 'HealthResponse'],
+  ['get', /^\/api\/rate-limits$/, 'RateLimitsResponse'],
+  ['get', /^\/api\/rate-limits\/[^/]+$/, 'EndpointRateLimitResponse'],
+  ['post', /^\/api\/auth\/(authorize-near|login)$/, 'LoginResponse'],
+  ['get', /^\/api\/auth\/near-status$/, 'NearAuthorizationStatus'],
+  ['post', /^\/api\/auth\/refresh$/, 'RefreshTokenResponse'],
+  ['get', /^\/api\/auth\/profile$/, 'ProfileData'],
+  ['get', /^\/api\/auth\/status$/, 'AuthStatus'],
+  ['post', /^\/api\/auth\/revoke$/, 'RevokeResponse'],
+  ['get', /^\/api\/auth\/connected-accounts$/, 'ConnectedAccounts'],
+  ['post', /^\/api\/posts(\/(repost|quote|reply))?$/, 'CreatePostResponse'],
+  ['post', /^\/api\/posts\/(like|unlike)$/, 'WriteResponse'],
+  ['delete', /^\/api\/posts$/, 'WriteResponse'],
+  ['get', /^\/api\/activity\/leaderboard$/, 'LeaderboardResponse'],
+  ['get', /^\/api\/activity\/account\/[^/]+$/, 'AccountActivityResponse'],
+  ['get', /^\/api\/activity\/account\/[^/]+\/posts$/, 'AccountPostsResponse'],
+];
+
+/**
+ * Name of the schema a client endpoint's response is checked against, if it has one
+ */
+export function responseSchemaFor(method: string, url: string): keyof typeof responseSchemas | undefined {
+  const path = url.split('?')[0];
+  return RESPONSE_ROUTES.find(([routeMethod, pattern]) => routeMethod === method.toLowerCase() && pattern.test(path))?.[2];
+}
+
+/**
+ * Check a value against a schema: strict mode throws CrosspostSchemaError, lenient mode returns a coerced copy
+ */
+export function validateSchema<T>(target: Schema<T>, value: unknown, options: ValidateSchemaOptions = {}): T {
+  const context: SchemaContext = {
+    mode: options.mode || 'strict',
+    label: options.label || target.expected,
+    issues: [],
+  };
+  const result = target.parse(value, '', context);
+  if (context.issues.length > 0) {
+    if (options.onIssues) {
+      options.onIssues(context.issues);
+    } else {
+      console.warn(`Coerced invalid ${context.label}:`, context.issues);
+    }
+  }
+  return result;
+}
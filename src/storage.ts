@@ -0,0 +1,251 @@
+/**
+ * Minimal async key-value store used by the scheduler and other persistent subsystems
+ */
+export interface StorageAdapter<T> {
+  get(key: string): Promise<T | undefined>;
+  set(key: string, value: T): Promise<void>;
+  delete(key: string): Promise<void>;
+  entries(): Promise<Array<[string, T]>>;
+  clear(): Promise<void>;
+}
+
+/**
+ * Keeps everything in memory; data is lost when the process or tab ends
+ */
+export class MemoryStorage<T> implements StorageAdapter<T> {
+  private items = new Map<string, T>();
+
+  async get(key: string): Promise<T | undefined> {
+    return this.items.get(key);
+  }
+
+  async set(key: string, value: T): Promise<void> {
+    this.items.set(key, value);
+  }
+
+  async delete(key: string): Promise<void> {
+    this.items.delete(key);
+  }
+
+  async entries(): Promise<Array<[string, T]>> {
+    return Array.from(this.items.entries());
+  }
+
+  async clear(): Promise<void> {
+    this.items.clear();
+  }
+}
+
+/**
+ * Browser storage backed by localStorage (or any Web Storage); values are stored as JSON under a key prefix
+ */
+export class LocalStorageStorage<T> implements StorageAdapter<T> {
+  constructor(
+    private readonly prefix: string = 'crosspost:',
+    private readonly storage: Storage = globalThis.localStorage
+  ) {}
+
+  async get(key: string): Promise<T | undefined> {
+    const value = this.storage.getItem(this.prefix + key);
+    return value === null ? undefined : JSON.parse(value) as T;
+  }
+
+  async set(key: string, value: T): Promise<void> {
+    this.storage.setItem(this.prefix + key, JSON.stringify(value));
+  }
+
+  async delete(key: string): Promise<void> {
+    this.storage.removeItem(this.prefix + key);
+  }
+
+  async entries(): Promise<Array<[string, T]>> {
+    const entries: Array<[string, T]> = [];
+    for (let index = 0; index < this.storage.length; index++) {
+      const key = this.storage.key(index);
+      if (key !== null && key.startsWith(this.prefix)) {
+        entries.push([key.slice(this.prefix.length), JSON.parse(this.storage.getItem(key) as string) as T]);
+      }
+    }
+    return entries;
+  }
+
+  async clear(): Promise<void> {
+    const keys = (await this.entries()).map(([key]) => this.prefix + key);
+    keys.forEach((key) => this.storage.removeItem(key));
+  }
+}
+
+/**
+ * Browser storage backed by an IndexedDB object store
+ */
+export class IndexedDBStorage<T> implements StorageAdapter<T> {
+  private db: Promise<IDBDatabase> | null = null;
+
+  constructor(
+    private readonly dbName: string = 'crosspost-plugin',
+    private readonly storeName: string = 'default'
+  ) {}
+
+  async get(key: string): Promise<T | undefined> {
+    return this.run('readonly', (store) => store.get(key));
+  }
+
+  async set(key: string, value: T): Promise<void> {
+    await this.run('readwrite', (store) => store.put(value, key));
+  }
+
+  async delete(key: string): Promise<void> {
+    await this.run('readwrite', (store) => store.delete(key));
+  }
+
+  async entries(): Promise<Array<[string, T]>> {
+    const [keys, values] = await Promise.all([
+      this.run<IDBValidKey[]>('readonly', (store) => store.getAllKeys()),
+      this.run<T[]>('readonly', (store) => store.getAll()),
+    ]);
+    return keys.map((key, index) => [String(key), values[index]]);
+  }
+
+  async clear(): Promise<void> {
+    await this.run('readwrite', (store) => store.clear());
+  }
+
+  private open(): Promise<IDBDatabase> {
+    if (!this.db) {
+      const db = this.connect();
+      this.db = db;
+      db.catch(() => {
+        if (this.db === db) {
+          this.db = null;
+        }
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Open the database, adding our store with a version bump when another store was created first
+   */
+  private connect(version?: number): Promise<IDBDatabase> {
+    return new Promise((resolve, reject) => {
+      const request = version === undefined ? indexedDB.open(this.dbName) : indexedDB.open(this.dbName, version);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.storeName)) {
+          request.result.createObjectStore(this.storeName);
+        }
+      };
+      request.onblocked = () => {
+        // Connections opened elsewhere without a versionchange handler; the upgrade resumes once they close
+        console.warn(`IndexedDB "${this.dbName}" waits for other connections to close before adding "${this.storeName}"`);
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Step aside when another store of this database is added; the next operation reconnects
+        db.onversionchange = () => {
+          db.close();
+          this.db = null;
+        };
+        if (db.objectStoreNames.contains(this.storeName)) {
+          resolve(db);
+          return;
+        }
+        db.close();
+        resolve(this.connect(db.version + 1));
+      };
+      request.onerror = () => {
+        if (request.error?.name === 'VersionError') {
+          // Another instance bumped the version first: start over from the current one
+          resolve(this.connect());
+          return;
+        }
+        reject(request.error);
+      };
+    });
+  }
+
+  private async run<R>(mode: IDBTransactionMode, action: (store: IDBObjectStore) => IDBRequest): Promise<R> {
+    const db = await this.open();
+    let transaction: IDBTransaction;
+    try {
+      transaction = db.transaction(this.storeName, mode);
+    } catch (error) {
+      if ((error as DOMException)?.name !== 'InvalidStateError') {
+        throw error;
+      }
+      // Closed for another store's upgrade since it was opened
+      this.db = null;
+      return this.run(mode, action);
+    }
+    return new Promise((resolve, reject) => {
+      const request = action(transaction.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result as R);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+/**
+ * Node.js storage persisted as one JSON file; writes are serialized and atomic (temp file + rename)
+ */
+export class JsonFileStorage<T> implements StorageAdapter<T> {
+  private items: Promise<Map<string, T>> | null = null;
+  private writes: Promise<void> = Promise.resolve();
+
+  constructor(private readonly filePath: string) {}
+
+  async get(key: string): Promise<T | undefined> {
+    return (await this.load()).get(key);
+  }
+
+  async set(key: string, value: T): Promise<void> {
+    (await this.load()).set(key, value);
+    return this.flush();
+  }
+
+  async delete(key: string): Promise<void> {
+    (await this.load()).delete(key);
+    return this.flush();
+  }
+
+  async entries(): Promise<Array<[string, T]>> {
+    return Array.from((await this.load()).entries());
+  }
+
+  async clear(): Promise<void> {
+    (await this.load()).clear();
+    return this.flush();
+  }
+
+  private load(): Promise<Map<string, T>> {
+    if (!this.items) {
+      this.items = import(/* webpackIgnore: true */ 'node:fs/promises').then(async ({ readFile }) => {
+        try {
+          return new Map(Object.entries(JSON.parse(await readFile(this.filePath, 'utf8')) as Record<string, T>));
+        } catch (error: any) {
+          if (error?.code === 'ENOENT') {
+            return new Map<string, T>();
+          }
+          throw error;
+        }
+      });
+    }
+    return this.items;
+  }
+
+  private flush(): Promise<void> {
+    const write = this.writes.then(async () => {
+      const [{ writeFile, rename, mkdir }, { dirname }] = await Promise.all([
+        import(/* webpackIgnore: true */ 'node:fs/promises'),
+        import(/* webpackIgnore: true */ 'node:path'),
+      ]);
+      const items = await this.load();
+      const temp = `${this.filePath}.${Date.now()}.tmp`;
+      await mkdir(dirname(this.filePath), { recursive: true });
+      await writeFile(temp, JSON.stringify(Object.fromEntries(items), null, 2), 'utf8');
+      await rename(temp, this.filePath);
+    });
+    // Keep the chain alive after a failed write; the caller still sees the error
+    this.writes = write.catch(() => undefined);
+    return write;
+  }
+}
@@ -0,0 +1,9 @@
+// Test helpers, a separate entry point so that the fake server never ends up in production bundles
+export {
+  FakeCrosspostServer,
+  type FakeFault,
+  type FakeListener,
+  type FakeRequest,
+  type FakeResponse,
+  type FakeServerOptions
+} from './fake-server';
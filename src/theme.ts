@@ -0,0 +1,110 @@
+import type { CSSProperties } from 'react';
+
+export interface CrosspostTheme {
+  primary: string;
+  background: string;
+  surface: string; // secondary panels: drop zone, attachments, list items
+  text: string;
+  muted: string;
+  border: string;
+  danger: string;
+  success: string;
+  radius: string;
+  fontFamily: string;
+}
+
+// Every theme key maps to a CSS custom property, so hosts can also theme from their own stylesheet
+const THEME_VARIABLES: Record<keyof CrosspostTheme, string> = {
+  primary: '--crosspost-primary',
+  background: '--crosspost-background',
+  surface: '--crosspost-surface',
+  text: '--crosspost-text',
+  muted: '--crosspost-muted',
+  border: '--crosspost-border',
+  danger: '--crosspost-danger',
+  success: '--crosspost-success',
+  radius: '--crosspost-radius',
+  fontFamily: '--crosspost-font-family',
+};
+
+const DEFAULT_THEME: CrosspostTheme = {
+  primary: '#2563eb',
+  background: '#ffffff',
+  surface: '#f8fafc',
+  text: '#0f172a',
+  muted: '#64748b',
+  border: '#cbd5e1',
+  danger: '#dc2626',
+  success: '#16a34a',
+  radius: '8px',
+  fontFamily: 'inherit',
+};
+
+/**
+ * Props shared by the federated components for matching a host's design system
+ */
+export interface ThemingProps<Slot extends string> {
+  theme?: Partial<CrosspostTheme>;
+  className?: string; // added to the root element
+  classNames?: Partial<Record<Slot, string>>;
+  unstyled?: boolean; // drop the built-in styles and style the `crosspost-<component>__*` classes instead
+}
+
+/**
+ * A theme value as a CSS variable reference with the default as fallback
+ */
+export function themed(key: keyof CrosspostTheme): string {
+  return `var(${THEME_VARIABLES[key]}, ${DEFAULT_THEME[key]})`;
+}
+
+export const baseStyles = {
+  root: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 12,
+    padding: 16,
+    background: themed('background'),
+    color: themed('text'),
+    fontFamily: themed('fontFamily'),
+    border: `1px solid ${themed('border')}`,
+    borderRadius: themed('radius'),
+  },
+  panel: {
+    padding: 8,
+    background: themed('surface'),
+    border: `1px solid ${themed('border')}`,
+    borderRadius: themed('radius'),
+  },
+  button: {
+    padding: '8px 16px',
+    color: '#fff',
+    background: themed('primary'),
+    border: 'none',
+    borderRadius: themed('radius'),
+    cursor: 'pointer',
+  },
+  muted: { fontSize: '0.85em', color: themed('muted') },
+  error: { color: themed('danger') },
+} satisfies Record<string, CSSProperties>;
+
+/**
+ * Builds `className`/`style` props for the parts ("slots") of a component
+ */
+export function createSlots<Slot extends string>(
+  component: string,
+  styles: Record<Slot, CSSProperties>,
+  { theme, className, classNames = {}, unstyled = false }: ThemingProps<Slot>
+): (name: Slot, extra?: CSSProperties) => { className: string; style?: CSSProperties } {
+  const variables = Object.fromEntries(Object.entries(theme || {})
+    .map(([key, value]) => [THEME_VARIABLES[key as keyof CrosspostTheme], value])) as CSSProperties;
+
+  return (name, extra) => {
+    const isRoot = name === 'root';
+    return {
+      className: [`crosspost-${component}__${name}`, classNames[name], isRoot ? className : undefined].filter(Boolean).join(' '),
+      style: unstyled
+        ? (isRoot ? variables : undefined)
+        : { ...styles[name], ...extra, ...(isRoot ? variables : {}) },
+    };
+  };
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { CrosspostPluginClient } from './client';
+import { PLATFORM_RULES, countCharacters } from './post-validation';
+import { FakeCrosspostServer } from './testing';
+import { distributeMedia, splitIntoSegments } from './threads';
+
+function setup() {
+  const fake = new FakeCrosspostServer();
+  const client = new CrosspostPluginClient({
+    baseUrl: 'http://fake.local',
+    accountId: 'alice.near',
+    adapter: fake.adapter,
+    retry: false,
+  });
+  client.setAuth({ accountId: 'alice.near', nearSignature: fake.issueToken('alice.near') });
+  const writes = (path: string) => fake.requests.filter((request) => request.method === 'post' && request.path === path);
+  return { fake, client, writes };
+}
+
+const text = Array.from({ length: 30 }, (_, index) => `Sentence number ${index} of the thread.`).join(' ');
+
+describe('threads', () => {
+  it('splits text at sentence boundaries within the platform limit and numbers the segments', () => {
+    const segments = splitIntoSegments({ text, hashtags: ['long'] }, PLATFORM_RULES.twitter, { numbering: true });
+
+    expect(segments.length).toBeGreaterThan(1);
+    segments.forEach((segment, index) => {
+      expect(countCharacters(segment.text || '', PLATFORM_RULES.twitter)).toBeLessThanOrEqual(280);
+      expect(segment.text).toMatch(new RegExp(`\\. ${index + 1}/${segments.length}$`));
+    });
+    expect(segments.map((segment) => segment.text!.replace(/ \d+\/\d+$/, '')).join(' ')).toBe(text);
+    expect(segments[0].hashtags).toEqual(['long']);
+    expect(segments[1].hashtags).toBeUndefined();
+  });
+
+  it('spreads media over segments according to the platform rules', () => {
+    const image = { type: 'image' as const, url: 'https://example.com/a.png' };
+    const video = { type: 'video' as const, url: 'https://example.com/a.mp4' };
+
+    const groups = distributeMedia([image, image, image, image, image, video], PLATFORM_RULES.twitter);
+
+    expect(groups.map((group) => group.length)).toEqual([4, 1, 1]);
+    expect(groups[2]).toEqual([video]);
+  });
+
+  it('publishes one chain per distinct segmentation and replies onto the previous segment', async () => {
+    const { client, writes } = setup();
+
+    const thread = await client.createThread({ text }, ['twitter', 'bluesky', 'mastodon', 'threads']);
+
+    expect(thread.success).toBe(true);
+    expect(thread.chains.map((chain) => chain.platforms)).toEqual([['twitter'], ['bluesky'], ['mastodon', 'threads']]);
+    thread.chains.forEach((chain) => {
+      expect(chain.status).toBe('published');
+      expect(chain.posts).toHaveLength(chain.segments.length);
+    });
+    const replies = writes('/api/posts/reply').map((sent) => sent.body.originalPostId);
+    const expected = thread.chains.flatMap((chain) => chain.posts.slice(0, -1).map((post) => post.id));
+    expect(replies.sort()).toEqual(expected.sort());
+  });
+
+  it('reports where a chain stopped and resumes from there', async () => {
+    const { fake, client, writes } = setup();
+    fake.inject({ path: '/api/posts/reply', status: 500, times: 1 });
+
+    const partial = await client.createThread({ text }, ['twitter']);
+
+    expect(partial.success).toBe(false);
+    expect(partial.chains[0]).toMatchObject({ status: 'partial', failedAt: 1, error: expect.objectContaining({ statusCode: 500 }) });
+
+    const resumed = await client.resumeThread(partial);
+
+    expect(resumed.success).toBe(true);
+    expect(resumed.chains[0].posts[0].id).toBe(partial.chains[0].posts[0].id);
+    expect(writes('/api/posts')).toHaveLength(1);
+  });
+
+  it('gives every thread segment its own key derived from the caller key', async () => {
+    const { client, writes } = setup();
+
+    const thread = await client.createThread({ text }, ['twitter'], {}, { idempotencyKey: 'thread-1' });
+
+    expect(thread.success).toBe(true);
+    const keys = [...writes('/api/posts'), ...writes('/api/posts/reply')].map((sent) => sent.headers['idempotency-key']);
+    expect(keys.length).toBeGreaterThan(1);
+    expect(keys).toEqual(thread.chains[0].segments.map((_, index) => `thread-1:twitter:${index}`));
+  });
+});
@@ -0,0 +1,146 @@
+import type { CreatePostRequest, MediaItem, Post, PostContent } from './client';
+import type { CrosspostApiError } from './errors';
+import { PlatformRules, countCharacters, splitGraphemes } from './post-validation';
+
+export interface ThreadOptions {
+  numbering?: boolean | ((index: number, total: number) => string); // true appends " 1/3"
+  maxCharacters?: number; // limit for platforms without rules, or to split earlier than required
+  visibility?: CreatePostRequest['visibility'];
+  replySettings?: CreatePostRequest['replySettings'];
+}
+
+export interface ThreadChain {
+  platforms: string[]; // platforms that share the same segmentation are published together
+  segments: PostContent[];
+  visibility?: CreatePostRequest['visibility'];
+  replySettings?: CreatePostRequest['replySettings'];
+  posts: Post[]; // published segments, in order
+  status: 'published' | 'partial' | 'failed';
+  failedAt?: number; // index of the first segment that was not published
+  error?: CrosspostApiError;
+}
+
+export interface CreateThreadResult {
+  success: boolean;
+  chains: ThreadChain[];
+}
+
+type CountRules = Pick<PlatformRules, 'counting' | 'urlLength'>;
+
+function formatNumber(numbering: ThreadOptions['numbering'], index: number, total: number): string {
+  if (!numbering || total < 2) {
+    return '';
+  }
+  return typeof numbering === 'function' ? numbering(index, total) : ` ${index + 1}/${total}`;
+}
+
+function splitSentences(text: string): string[] {
+  const Segmenter = (Intl as any).Segmenter;
+  if (Segmenter) {
+    return Array.from(new Segmenter(undefined, { granularity: 'sentence' }).segment(text), (s: any) => s.segment as string);
+  }
+  return text.match(/[^.!?\n]+(?:[.!?]+["')\]]*|\n+|$)\s*/g) || [text];
+}
+
+/**
+ * Greedily pack pieces (sentences, then words, then graphemes) into chunks that fit the limit
+ */
+function pack(text: string, limit: number, rules: CountRules): string[] {
+  const fits = (value: string) => countCharacters(value.trim(), rules) <= limit;
+  const chunks: string[] = [];
+  let current = '';
+
+  const push = (piece: string, level: number) => {
+    if (fits(current + piece)) {
+      current += piece;
+      return;
+    }
+    if (current.trim()) {
+      chunks.push(current.trim());
+      current = '';
+    }
+    if (fits(piece) || level >= 2) {
+      // A single grapheme over the limit can't be split any further
+      current = piece.trimStart();
+      return;
+    }
+    // Piece alone is too long: break it down further
+    const parts = level === 0
+      ? piece.split(/(?<=\s)/)
+      : splitGraphemes(piece);
+    parts.forEach((part) => push(part, level + 1));
+  };
+
+  splitSentences(text).forEach((sentence) => push(sentence, 0));
+  if (current.trim()) {
+    chunks.push(current.trim());
+  }
+  return chunks;
+}
+
+/**
+ * Group media so that every group respects the platform's per-post media rules
+ */
+export function distributeMedia(media: MediaItem[], rules?: Pick<PlatformRules, 'maxMedia' | 'maxVideos' | 'mixedMedia'>): MediaItem[][] {
+  if (!rules) {
+    return media.length ? [media] : [];
+  }
+
+  const groups: MediaItem[][] = [];
+  let group: MediaItem[] = [];
+  media.forEach((item) => {
+    const videos = group.filter((m) => m.type === 'video').length + (item.type === 'video' ? 1 : 0);
+    const mixed = !rules.mixedMedia && group.some((m) => (m.type === 'video') !== (item.type === 'video'));
+    if (group.length >= rules.maxMedia || videos > rules.maxVideos || mixed) {
+      groups.push(group);
+      group = [];
+    }
+    group.push(item);
+  });
+  if (group.length) {
+    groups.push(group);
+  }
+  return groups;
+}
+
+/**
+ * Split post content into thread segments that fit a platform
+ */
+export function splitIntoSegments(content: PostContent, rules: PlatformRules | undefined, options: ThreadOptions = {}): PostContent[] {
+  const countRules: CountRules = rules || { counting: 'codepoints' };
+  const limit = Math.min(options.maxCharacters ?? Infinity, rules?.maxCharacters ?? Infinity);
+  const mediaGroups = distributeMedia(content.media || [], rules);
+  const text = content.text || '';
+
+  let texts = [text];
+  let total = Math.max(1, mediaGroups.length);
+  if (Number.isFinite(limit)) {
+    // Reserve room for the numbering; repeat until the segment count is stable
+    for (let pass = 0; pass < 5; pass++) {
+      const reserve = countCharacters(formatNumber(options.numbering, total - 1, total), countRules);
+      texts = pack(text, Math.max(1, limit - reserve), countRules);
+      const nextTotal = Math.max(texts.length, mediaGroups.length, 1);
+      if (nextTotal === total) {
+        break;
+      }
+      total = nextTotal;
+    }
+  }
+  total = Math.max(texts.length, mediaGroups.length, 1);
+
+  return Array.from({ length: total }, (_, index) => {
+    const segment: PostContent = {
+      text: `${texts[index] || ''}${formatNumber(options.numbering, index, total)}`.trim(),
+    };
+    if (mediaGroups[index]) {
+      segment.media = mediaGroups[index];
+    }
+    if (index === 0) {
+      // Tags and links belong to the head of the thread
+      if (content.hashtags) segment.hashtags = content.hashtags;
+      if (content.mentions) segment.mentions = content.mentions;
+      if (content.links) segment.links = content.links;
+    }
+    return segment;
+  });
+}